@@ -0,0 +1,48 @@
+import { getArts } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { createFoundryPack } from "@/data/foundryExport.mjs";
+import { getGuidelines } from "@/data/guidelineActions.mjs";
+import { NotFoundException } from "@/data/guidelines.mjs";
+import { getSpells } from "@/data/spellActions.mjs";
+
+/**
+ * The export is read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * Download the guidelines and the spells of a magic style as a Foundry VTT compendium pack.
+ * 
+ * The search parameters select the magic style ("style"), the hidden source books ("hide"), and
+ * whether the stored spells are included ("spells" other than "false").
+ * 
+ * @param {Request} request The request.
+ * @returns {Promise<Response>} The compendium pack as a JSON file download.
+ */
+export async function GET(request) {
+    const params = new URL(request.url).searchParams;
+    const style = params.get("style") || hermeticStyle;
+    const hidden = params.getAll("hide");
+    const includeSpells = params.get("spells") !== "false";
+    let arts;
+    try {
+        arts = await getArts(style);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            return new Response(error.message, { status: 404 });
+        }
+        throw error;
+    }
+    const [guidelines, spells] = await Promise.all([
+        getGuidelines({ style, where: hidden.length > 0 ? { source: { notIn: hidden } } : {} }),
+        includeSpells ? getSpells(style) : []
+    ]);
+    const pack = createFoundryPack({ ...arts, guidelines, 
+        spells: spells.filter( spell => (spell.source == null || !hidden.includes(spell.source.ref))) });
+    return new Response(JSON.stringify(pack, null, 2), {
+        headers: {
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Disposition": `attachment; filename="${pack.name}.json"`
+        }
+    });
+}
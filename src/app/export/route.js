@@ -0,0 +1,63 @@
+import { getArts } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { exportFormats, exportGuidelines } from "@/data/guidelineExport.mjs";
+import { getGuidelines, getSourcebooks } from "@/data/guidelineActions.mjs";
+import { NotFoundException, toSlug } from "@/data/guidelines.mjs";
+
+/**
+ * The export is read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * Download the guidelines as a printable sheet.
+ * 
+ * The search parameters select the magic style ("style"), the optional technique ("technique") and
+ * form ("form"), the format ("format", one of "markdown", "html" and "latex"), and the hidden source
+ * books ("hide").
+ * 
+ * @param {Request} request The request.
+ * @returns {Promise<Response>} The sheet as a file download.
+ */
+export async function GET(request) {
+    const params = new URL(request.url).searchParams;
+    const style = params.get("style") || hermeticStyle;
+    const technique = params.get("technique") || undefined;
+    const form = params.get("form") || undefined;
+    const format = params.get("format") || "markdown";
+    const hidden = params.getAll("hide");
+    if (!Object.prototype.hasOwnProperty.call(exportFormats, format)) {
+        return new Response(`Unsupported export format ${format}`, { status: 400 });
+    }
+    let arts;
+    try {
+        arts = await getArts(style);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            return new Response(error.message, { status: 404 });
+        }
+        throw error;
+    }
+    if ((technique && !arts.techniques.includes(technique)) || (form && !arts.forms.includes(form))) {
+        return new Response("Unknown technique or form", { status: 404 });
+    }
+    const [guidelines, sourcebooks] = await Promise.all([
+        getGuidelines({ style, where: {
+            ...(technique ? { technique } : {}),
+            ...(form ? { form } : {}),
+            ...(hidden.length > 0 ? { source: { notIn: hidden } } : {})
+        }}),
+        getSourcebooks()
+    ]);
+    const selection = [technique, form].filter(Boolean).join(" ") || (style === hermeticStyle ? "" : style);
+    const title = selection ? `${selection} guidelines` : "Spell guidelines";
+    const { extension, contentType } = exportFormats[format];
+    return new Response(exportGuidelines(guidelines, format, { 
+        title, techniques: arts.techniques, forms: arts.forms, sourcebooks 
+    }), {
+        headers: {
+            "Content-Type": contentType,
+            "Content-Disposition": `attachment; filename="${toSlug(title)}.${extension}"`
+        }
+    });
+}
@@ -0,0 +1,55 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import GuidelineEditor from "@/components/GuidelineEditor";
+import { getArts } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelineBySlug, getSourcebooks } from "@/data/guidelineActions.mjs";
+import { NotFoundException, generalLevelKey, guidelineKeyToString, parseSourceReference } from "@/data/guidelines.mjs";
+import { getGuidelinePath, slugToForm, slugToLevel, slugToTechnique } from "@/data/routes.mjs";
+
+/**
+ * The guideline is read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * The guideline edit page.
+ * 
+ * @param {Object} props The page properties.
+ * @param {{technique: string, form: string, level: string, name: string}} props.params The route parameters.
+ * @param {{style?: string}} props.searchParams The search parameters.
+ */
+export default async function EditGuidelinePage({params, searchParams}) {
+    const style = typeof searchParams?.style === "string" ? searchParams.style : hermeticStyle;
+    let guideline, arts;
+    try {
+        arts = await getArts(style);
+        const technique = slugToTechnique(params.technique, arts.techniques);
+        const form = slugToForm(params.form, arts.forms);
+        const level = slugToLevel(params.level);
+        if (technique === undefined || form === undefined || level === undefined) {
+            notFound();
+        }
+        guideline = await getGuidelineBySlug(technique, form, level, params.name, style);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            notFound();
+        }
+        throw error;
+    }
+    const sourcebooks = await getSourcebooks();
+    const { description, source } = guideline.source ? guideline : parseSourceReference(guideline.description);
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={getGuidelinePath(guideline)}>{guideline.name}</Link>
+            <h1 className="text-2xl font-bold">Edit guideline</h1>
+            <GuidelineEditor style={style} techniques={arts.techniques} forms={arts.forms} sourcebooks={sourcebooks}
+            guidelineKey={guidelineKeyToString(guideline)} initialValues={{
+                technique: guideline.technique, form: guideline.form,
+                level: guideline.level == null ? generalLevelKey : String(guideline.level),
+                name: guideline.name, description, levelFormula: guideline.levelFormula?.source,
+                source: source?.ref, page: source?.page == null ? undefined : String(source.page)
+            }} />
+        </main>
+    );
+}
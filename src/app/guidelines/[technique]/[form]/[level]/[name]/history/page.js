@@ -0,0 +1,49 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { getArts } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelineBySlug, getGuidelineHistory } from "@/data/guidelineActions.mjs";
+import { NotFoundException } from "@/data/guidelines.mjs";
+import { getGuidelinePath, slugToForm, slugToLevel, slugToTechnique } from "@/data/routes.mjs";
+import GuidelineHistory from "@/components/GuidelineHistory";
+
+/**
+ * The history is read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * The revision history page of a guideline.
+ * 
+ * @param {Object} props The page properties.
+ * @param {{technique: string, form: string, level: string, name: string}} props.params The route parameters.
+ * @param {{style?: string}} props.searchParams The search parameters.
+ */
+export default async function GuidelineHistoryPage({params, searchParams}) {
+    const style = typeof searchParams?.style === "string" ? searchParams.style : hermeticStyle;
+    let guideline, revisions;
+    try {
+        const arts = await getArts(style);
+        const technique = slugToTechnique(params.technique, arts.techniques);
+        const form = slugToForm(params.form, arts.forms);
+        const level = slugToLevel(params.level);
+        if (technique === undefined || form === undefined || level === undefined) {
+            notFound();
+        }
+        guideline = await getGuidelineBySlug(technique, form, level, params.name, style);
+        revisions = await getGuidelineHistory(guideline);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            notFound();
+        }
+        throw error;
+    }
+
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={getGuidelinePath(guideline)}>{guideline.name}</Link>
+            <h1 className="text-2xl font-bold">History of {guideline.name}</h1>
+            <GuidelineHistory revisions={revisions} style={style} />
+        </main>
+    );
+}
@@ -0,0 +1,113 @@
+import Link from "next/link";
+import LevelFormulaCalculator from "@/components/LevelFormulaCalculator";
+import DeleteGuidelineForm from "@/components/DeleteGuidelineForm";
+import { notFound } from "next/navigation";
+import { getArts } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelineBySlug, getGuidelines, getSourcebooks } from "@/data/guidelineActions.mjs";
+import { NotFoundException, guidelineKeyToString, parseSourceReference, sourceReferenceToString } from "@/data/guidelines.mjs";
+import { getGuidelineEditPath, getGuidelineHistoryPath, getGuidelinePath, slugToForm, slugToLevel, slugToTechnique } from "@/data/routes.mjs";
+
+/**
+ * The guidelines are read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * The guideline properties.
+ * @typedef {import("@/data/guidelines.mjs").Guideline} Guideline
+ */
+
+/**
+ * Get the guidelines of the closest levels below and above the level.
+ * 
+ * @param {Guideline[]} guidelines The guidelines of the technique and form.
+ * @param {number|null} level The level of the current guideline.
+ * @returns {{previous: Guideline[], next: Guideline[]}} The guidelines of the previous and
+ * the next level.
+ */
+function getNeighbours(guidelines, level) {
+    const leveled = guidelines.filter( guideline => (guideline.level != null));
+    if (level == null) {
+        return { previous: [], next: [] };
+    }
+    const previousLevel = Math.max(...leveled.map( g => (g.level)).filter( l => (l < level)));
+    const nextLevel = Math.min(...leveled.map( g => (g.level)).filter( l => (l > level)));
+    return {
+        previous: leveled.filter( guideline => (guideline.level === previousLevel)),
+        next: leveled.filter( guideline => (guideline.level === nextLevel))
+    };
+}
+
+/**
+ * The list of neighbouring guidelines.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string} props.title The title of the list.
+ * @param {Guideline[]} props.guidelines The listed guidelines.
+ */
+function NeighbourList({title, guidelines}) {
+    if (guidelines.length === 0) {
+        return null;
+    }
+    return (
+        <div>
+            <h3 className="font-semibold">{title}: Level {guidelines[0].level}</h3>
+            <ul className="list-disc list-inside">
+                {guidelines.map( (guideline, index) => (<li key={`${index}-${guideline.name}`}>
+                    <Link className="underline" href={getGuidelinePath(guideline)}>{guideline.name}</Link>
+                </li>))}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * The guideline detail page.
+ * 
+ * @param {Object} props The page properties.
+ * @param {{technique: string, form: string, level: string, name: string}} props.params The route parameters.
+ * @param {{style?: string}} props.searchParams The search parameters.
+ */
+export default async function GuidelinePage({params, searchParams}) {
+    const style = typeof searchParams?.style === "string" ? searchParams.style : hermeticStyle;
+    let guideline, technique, form, level;
+    try {
+        const arts = await getArts(style);
+        technique = slugToTechnique(params.technique, arts.techniques);
+        form = slugToForm(params.form, arts.forms);
+        level = slugToLevel(params.level);
+        if (technique === undefined || form === undefined || level === undefined) {
+            notFound();
+        }
+        guideline = await getGuidelineBySlug(technique, form, level, params.name, style);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            notFound();
+        }
+        throw error;
+    }
+    const { description, source } = guideline.source ? guideline : parseSourceReference(guideline.description);
+    const book = source ? (await getSourcebooks()).find( cursor => (cursor.abbrev === source.ref)) : undefined;
+    const { previous, next } = getNeighbours(await getGuidelines({ style, 
+        where: { technique, form, level: { isNull: false } } }), level);
+
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={style === hermeticStyle ? "/" : `/?style=${encodeURIComponent(style)}`}
+            >All guidelines</Link>
+            <h1 className="text-2xl font-bold">{guideline.name}</h1>
+            <p>{style === hermeticStyle ? "" : `${style} `}{technique} {form} {guideline.isGeneric ? "general guideline" : `level ${guideline.level}`}</p>
+            {description && <p>{description}</p>}
+            {guideline.levelFormula && <LevelFormulaCalculator formula={guideline.levelFormula.source} />}
+            {source && <p className="text-sm">Source: {sourceReferenceToString(source, book)}</p>}
+            <nav className="flex flex-col gap-2">
+                <NeighbourList title="Previous" guidelines={previous} />
+                <NeighbourList title="Next" guidelines={next} />
+            </nav>
+            <Link className="underline" href={getGuidelineEditPath(guideline)}>Edit</Link>
+            <Link className="underline" href={getGuidelineHistoryPath(guideline)}>History</Link>
+            <DeleteGuidelineForm style={style} guidelineKey={guidelineKeyToString(guideline)} />
+        </main>
+    );
+}
@@ -0,0 +1,43 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import GuidelineEditor from "@/components/GuidelineEditor";
+import { getArts } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getSourcebooks } from "@/data/guidelineActions.mjs";
+import { NotFoundException } from "@/data/guidelines.mjs";
+
+/**
+ * The arts are read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * The new guideline page.
+ * 
+ * @param {Object} props The page properties.
+ * @param {{style?: string, technique?: string, form?: string}} props.searchParams The search parameters.
+ */
+export default async function NewGuidelinePage({searchParams}) {
+    const style = typeof searchParams?.style === "string" ? searchParams.style : hermeticStyle;
+    let arts;
+    try {
+        arts = await getArts(style);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            notFound();
+        }
+        throw error;
+    }
+    const sourcebooks = await getSourcebooks();
+    const technique = arts.techniques.includes(searchParams?.technique) ? searchParams.technique : undefined;
+    const form = arts.forms.includes(searchParams?.form) ? searchParams.form : undefined;
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={style === hermeticStyle ? "/" : `/?style=${encodeURIComponent(style)}`}
+            >All guidelines</Link>
+            <h1 className="text-2xl font-bold">New {style === hermeticStyle ? "" : `${style} `}guideline</h1>
+            <GuidelineEditor style={style} techniques={arts.techniques} forms={arts.forms} sourcebooks={sourcebooks}
+            initialValues={{ technique, form }} />
+        </main>
+    );
+}
@@ -0,0 +1,25 @@
+import Link from "next/link";
+import GuidelineImport from "@/components/GuidelineImport";
+import { hermeticStyle } from "@/data/arts.mjs";
+
+/**
+ * The guideline import page.
+ * 
+ * @param {Object} props The page properties.
+ * @param {{style?: string}} props.searchParams The search parameters.
+ */
+export default function ImportPage({searchParams}) {
+    const style = typeof searchParams?.style === "string" ? searchParams.style : hermeticStyle;
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={style === hermeticStyle ? "/" : `/?style=${encodeURIComponent(style)}`}
+            >All guidelines</Link>
+            <h1 className="text-2xl font-bold">Import {style === hermeticStyle ? "" : `${style} `}guidelines</h1>
+            <p>The CSV file starts with a header row naming the columns technique, form, level, name, description,
+                levelFormula, source and page. The JSON file contains an array of guidelines with the same fields.
+                The text format reads guidelines pasted from the rulebook layout: a header like &quot;CrAn
+                Guidelines&quot; followed by &quot;General:&quot; and &quot;Level N:&quot; entries.</p>
+            <GuidelineImport style={style} />
+        </main>
+    );
+}
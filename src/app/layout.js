@@ -13,8 +13,8 @@ const geistMono = localFont({
 });
 
 export const metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  title: "Ars Magica Guidelines",
+  description: "The spell guidelines of Ars Magica 5th edition",
 };
 
 export default function RootLayout({ children }) {
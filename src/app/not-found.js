@@ -0,0 +1,14 @@
+import Link from "next/link";
+
+/**
+ * The page shown, when the requested resource does not exist.
+ */
+export default function NotFound() {
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <h1 className="text-2xl font-bold">Not found</h1>
+            <p>The requested page does not exist.</p>
+            <Link className="underline" href="/">All guidelines</Link>
+        </main>
+    );
+}
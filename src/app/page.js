@@ -1,101 +1,103 @@
-import Image from "next/image";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import GuidelineMatrix from "@/components/GuidelineMatrix";
+import SourcebookFilter from "@/components/SourcebookFilter";
+import StyleSelector from "@/components/StyleSelector";
+import GroupTree from "@/components/GroupTree";
+import GuidelineSearch from "@/components/GuidelineSearch";
+import GuidelineExport from "@/components/GuidelineExport";
+import { getArts, getMagicStyles } from "@/data/artActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelines, getSourcebooks } from "@/data/guidelineActions.mjs";
+import { getGroupTrees } from "@/data/groupActions.mjs";
+import { getNewGuidelinePath } from "@/data/routes.mjs";
+import { NotFoundException } from "@/data/guidelines.mjs";
 
-export default function Home() {
-  return (
-    <div className="grid grid-rows-[20px_1fr_20px] items-center justify-items-center min-h-screen p-8 pb-20 gap-16 sm:p-20 font-[family-name:var(--font-geist-sans)]">
-      <main className="flex flex-col gap-8 row-start-2 items-center sm:items-start">
-        <Image
-          className="dark:invert"
-          src="https://nextjs.org/icons/next.svg"
-          alt="Next.js logo"
-          width={180}
-          height={38}
-          priority
-        />
-        <ol className="list-inside list-decimal text-sm text-center sm:text-left font-[family-name:var(--font-geist-mono)]">
-          <li className="mb-2">
-            Get started by editing{" "}
-            <code className="bg-black/[.05] dark:bg-white/[.06] px-1 py-0.5 rounded font-semibold">
-              src/app/page.js
-            </code>
-            .
-          </li>
-          <li>Save and see your changes instantly.</li>
-        </ol>
+/**
+ * The guidelines are read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
 
-        <div className="flex gap-4 items-center flex-col sm:flex-row">
-          <a
-            className="rounded-full border border-solid border-transparent transition-colors flex items-center justify-center bg-foreground text-background gap-2 hover:bg-[#383838] dark:hover:bg-[#ccc] text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5"
-            href="https://vercel.com/new?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            <Image
-              className="dark:invert"
-              src="https://nextjs.org/icons/vercel.svg"
-              alt="Vercel logomark"
-              width={20}
-              height={20}
-            />
-            Deploy now
-          </a>
-          <a
-            className="rounded-full border border-solid border-black/[.08] dark:border-white/[.145] transition-colors flex items-center justify-center hover:bg-[#f2f2f2] dark:hover:bg-[#1a1a1a] hover:border-transparent text-sm sm:text-base h-10 sm:h-12 px-4 sm:px-5 sm:min-w-44"
-            href="https://nextjs.org/docs?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            Read our docs
-          </a>
-        </div>
-      </main>
-      <footer className="row-start-3 flex gap-6 flex-wrap items-center justify-center">
-        <a
-          className="flex items-center gap-2 hover:underline hover:underline-offset-4"
-          href="https://nextjs.org/learn?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <Image
-            aria-hidden
-            src="https://nextjs.org/icons/file.svg"
-            alt="File icon"
-            width={16}
-            height={16}
-          />
-          Learn
-        </a>
-        <a
-          className="flex items-center gap-2 hover:underline hover:underline-offset-4"
-          href="https://vercel.com/templates?framework=next.js&utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <Image
-            aria-hidden
-            src="https://nextjs.org/icons/window.svg"
-            alt="Window icon"
-            width={16}
-            height={16}
-          />
-          Examples
-        </a>
-        <a
-          className="flex items-center gap-2 hover:underline hover:underline-offset-4"
-          href="https://nextjs.org?utm_source=create-next-app&utm_medium=appdir-template-tw&utm_campaign=create-next-app"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          <Image
-            aria-hidden
-            src="https://nextjs.org/icons/globe.svg"
-            alt="Globe icon"
-            width={16}
-            height={16}
-          />
-          Go to nextjs.org →
-        </a>
-      </footer>
-    </div>
-  );
+/**
+ * Get the values of a search parameter.
+ * 
+ * @param {string|string[]|undefined} param The search parameter value.
+ * @returns {string[]} The values of the search parameter.
+ */
+function searchParamValues(param) {
+    return param == null ? [] : Array.isArray(param) ? param : [param];
+}
+
+/**
+ * Get the arts and the guidelines of a magic style.
+ * 
+ * @param {string} style The magic style.
+ * @param {string[]} hidden The abbreviations of the hidden source books.
+ * @returns {Promise<import("@/data/artActions.mjs").StyleArts & {guidelines: import("@/data/guidelines.mjs").Guideline[], 
+ * groups: import("@/data/groupActions.mjs").GuidelineGroupTree[]}>} The arts, the guidelines and the guideline
+ * groups of the style.
+ */
+async function getStyleContent(style, hidden) {
+    const [arts, guidelines, groups] = await Promise.all([
+        getArts(style),
+        getGuidelines({ style, where: hidden.length > 0 ? { source: { notIn: hidden } } : {} }),
+        getGroupTrees(style)
+    ]);
+    return { ...arts, guidelines, groups };
+}
+
+/**
+ * The guideline browser page. The technique and form search parameters select the initially shown
+ * level ladder.
+ * 
+ * @param {Object} props The page properties.
+ * @param {Record<string, string|string[]|undefined>} props.searchParams The search parameters.
+ */
+export default async function Home({searchParams}) {
+    const hidden = searchParamValues(searchParams?.hide);
+    const selected = searchParamValues(searchParams?.style);
+    const styles = selected.length > 0 ? selected : [hermeticStyle];
+    const technique = typeof searchParams?.technique === "string" ? searchParams.technique : undefined;
+    const form = typeof searchParams?.form === "string" ? searchParams.form : undefined;
+    let contents;
+    try {
+        contents = await Promise.all(styles.map( style => (getStyleContent(style, hidden))));
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            notFound();
+        }
+        throw error;
+    }
+    const [allStyles, sourcebooks] = await Promise.all([getMagicStyles(), getSourcebooks()]);
+    return (
+        <main className="flex flex-col gap-8 p-8 sm:p-20">
+            <h1 className="text-2xl font-bold">Spell guidelines</h1>
+            <nav className="flex gap-4">
+                {styles.map( style => (<Link key={style} className="underline" 
+                href={style === hermeticStyle ? "/trash" : `/trash?style=${encodeURIComponent(style)}`}
+                >Removed {style === hermeticStyle ? "" : `${style} `}guidelines</Link>))}
+                {styles.map( style => (<Link key={`import-${style}`} className="underline" 
+                href={style === hermeticStyle ? "/import" : `/import?style=${encodeURIComponent(style)}`}
+                >Import {style === hermeticStyle ? "" : `${style} `}guidelines</Link>))}
+                {styles.map( style => (<Link key={`new-${style}`} className="underline" href={getNewGuidelinePath(style)}
+                >New {style === hermeticStyle ? "" : `${style} `}guideline</Link>))}
+            </nav>
+            <StyleSelector styles={allStyles} selected={styles} preserved={{hide: hidden}} />
+            <SourcebookFilter sourcebooks={sourcebooks} hidden={hidden} preserved={{style: selected}} />
+            <div className="flex flex-wrap gap-16">
+                {contents.map( content => (
+                    <section key={content.style} className="flex flex-col gap-4">
+                        {contents.length > 1 && <h2 className="text-xl font-bold">{content.style}</h2>}
+                        <GuidelineSearch style={content.style} techniques={content.techniques} forms={content.forms} />
+                        <GuidelineMatrix key={`${technique}/${form}`} style={content.style} techniques={content.techniques} forms={content.forms} 
+                        guidelines={content.guidelines} initialSelection={content.techniques.includes(technique) && 
+                            content.forms.includes(form) ? [technique, form] : undefined} />
+                        <GuidelineExport style={content.style} techniques={content.techniques} forms={content.forms}
+                        hidden={hidden} />
+                        <GroupTree groups={content.groups} />
+                    </section>
+                ))}
+            </div>
+        </main>
+    );
 }
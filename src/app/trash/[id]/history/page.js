@@ -0,0 +1,45 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelineHistory, getTrashedGuideline } from "@/data/guidelineActions.mjs";
+import { NotFoundException } from "@/data/guidelines.mjs";
+import GuidelineHistory from "@/components/GuidelineHistory";
+
+/**
+ * The history is read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * The revision history page of a guideline in the trash. Reverting to a revision before the removal
+ * restores the guideline.
+ *
+ * @param {Object} props The page properties.
+ * @param {{id: string}} props.params The route parameters.
+ */
+export default async function TrashedGuidelineHistoryPage({params}) {
+    if (!/^\d+$/.test(params.id)) {
+        notFound();
+    }
+    let trashed, revisions;
+    try {
+        trashed = await getTrashedGuideline(Number(params.id));
+        revisions = await getGuidelineHistory(trashed.id);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            notFound();
+        }
+        throw error;
+    }
+    const style = trashed.guideline.style ?? hermeticStyle;
+
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={style === hermeticStyle ? "/trash" : `/trash?style=${encodeURIComponent(style)}`}
+            >Trash</Link>
+            <h1 className="text-2xl font-bold">History of {trashed.guideline.name}</h1>
+            <p className="text-sm">Removed {trashed.deletedAt.toISOString()}</p>
+            <GuidelineHistory revisions={revisions} style={style} />
+        </main>
+    );
+}
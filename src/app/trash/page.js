@@ -0,0 +1,41 @@
+import Link from "next/link";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getTrashedGuidelines } from "@/data/guidelineActions.mjs";
+import { getTrashedGuidelineHistoryPath } from "@/data/routes.mjs";
+import TrashedGuidelineActions from "@/components/TrashedGuidelineActions";
+
+/**
+ * The trash is read from the database on every request.
+ */
+export const dynamic = "force-dynamic";
+
+/**
+ * The trash page listing the removed guidelines.
+ * 
+ * @param {Object} props The page properties.
+ * @param {{style?: string}} props.searchParams The search parameters.
+ */
+export default async function TrashPage({searchParams}) {
+    const style = typeof searchParams?.style === "string" ? searchParams.style : hermeticStyle;
+    const trashed = await getTrashedGuidelines(style);
+    return (
+        <main className="flex flex-col gap-4 p-8 sm:p-20">
+            <Link className="underline" href={style === hermeticStyle ? "/" : `/?style=${encodeURIComponent(style)}`}
+            >All guidelines</Link>
+            <h1 className="text-2xl font-bold">Removed {style === hermeticStyle ? "" : `${style} `}guidelines</h1>
+            {trashed.length === 0 && <p>The trash is empty.</p>}
+            <ul className="flex flex-col gap-4">
+                {trashed.map( ({id, guideline, deletedAt}) => (
+                    <li key={id} className="flex flex-col gap-1">
+                        <p><span className="font-semibold">{guideline.name}</span> ({guideline.technique} {guideline.form} {
+                            guideline.level ?? "general"})</p>
+                        {guideline.description && <p className="text-sm">{guideline.description}</p>}
+                        <p className="text-sm">Removed {deletedAt.toISOString()} <Link className="underline" 
+                            href={getTrashedGuidelineHistoryPath(id)}>History</Link></p>
+                        <TrashedGuidelineActions id={id} />
+                    </li>
+                ))}
+            </ul>
+        </main>
+    );
+}
@@ -0,0 +1,43 @@
+"use client"
+
+/**
+ * @module components/DeleteGuidelineForm
+ * The component moving a guideline to the trash.
+ */
+
+import { useEffect } from "react";
+import { useFormState } from "react-dom";
+import { useRouter } from "next/navigation";
+import { handleDeleteGuideline } from "@/data/guidelineActions.mjs";
+import { hermeticStyle } from "@/data/arts.mjs";
+
+/**
+ * The delete guideline form component. The browser moves to the trash after the removal.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string} props.style The magic style of the guideline.
+ * @param {string} props.guidelineKey The guideline key string of the guideline.
+ */
+export default function DeleteGuidelineForm({style, guidelineKey}) {
+    const [state, formAction] = useFormState(handleDeleteGuideline, undefined);
+    const router = useRouter();
+
+    useEffect(() => {
+        if (state?.success) {
+            router.push(style === hermeticStyle ? "/trash" : `/trash?style=${encodeURIComponent(style)}`);
+        }
+    }, [state, style, router]);
+
+    return (
+        <form className="flex flex-col gap-2" action={formAction}>
+            <input type="hidden" name="style" value={style} />
+            <input type="hidden" name="key" value={guidelineKey} />
+            <div className="flex gap-2">
+                <input className="px-1 text-background" name="author" placeholder="Your name" aria-label="Your name" 
+                defaultValue={state?.values.author} />
+                <button className="border border-foreground px-2" type="submit">Move to trash</button>
+            </div>
+            {state?.message && <p role="alert">{state.message}</p>}
+        </form>
+    );
+}
@@ -0,0 +1,58 @@
+
+/**
+ * @module components/GroupTree
+ * The component showing the guideline group tree.
+ */
+
+import Link from "next/link";
+import { getGuidelinePath } from "@/data/routes.mjs";
+import { getArtAbbrev } from "@/data/arts.mjs";
+
+/**
+ * The guideline group tree type.
+ * @typedef {import("@/data/groupActions.mjs").GuidelineGroupTree} GuidelineGroupTree
+ */
+
+/**
+ * The members of a guideline group.
+ * 
+ * @param {Object} props The component properties.
+ * @param {GuidelineGroupTree["members"]} props.members The members of the group.
+ */
+function GroupMembers({members}) {
+    return (
+        <ul className="pl-4">
+            {members.map( (member, index) => (member.type === "group" ? 
+                <li key={`group-${member.name}`}>
+                    <details>
+                        <summary className="cursor-pointer font-semibold">{member.name}</summary>
+                        <GroupMembers members={member.members} />
+                    </details>
+                </li> : 
+                <li key={`guideline-${index}`}>
+                    <Link className="underline" href={getGuidelinePath(member)}>{member.name}</Link>
+                    {" "}({getArtAbbrev(member.technique)}{getArtAbbrev(member.form)} {
+                        member.level == null ? "general" : member.level})
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * The guideline group tree component.
+ * 
+ * @param {Object} props The component properties.
+ * @param {GuidelineGroupTree[]} props.groups The root groups.
+ */
+export default function GroupTree({groups}) {
+    if (groups.length === 0) {
+        return null;
+    }
+    return (
+        <section className="flex flex-col gap-2">
+            <h3 className="text-lg font-bold">Groups</h3>
+            <GroupMembers members={groups} />
+        </section>
+    );
+}
@@ -0,0 +1,139 @@
+"use client"
+
+/**
+ * @module components/GuidelineEditor
+ * The component creating and editing a guideline.
+ */
+
+import { useEffect } from "react";
+import { useFormState, useFormStatus } from "react-dom";
+import { useRouter } from "next/navigation";
+import { handleCreateGuideline, handleUpdateGuideline } from "@/data/guidelineActions.mjs";
+import { generalLevelKey } from "@/data/guidelines.mjs";
+import { getLadderPath } from "@/data/routes.mjs";
+
+/**
+ * The levels of the level picker.
+ */
+const ladderLevels = [1, 2, 3, 4, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75];
+
+/**
+ * The initial values of the editor.
+ * @typedef {Object} GuidelineEditorValues
+ * @property {string} [technique] The technique.
+ * @property {string} [form] The form.
+ * @property {string} [level] The level, or "general".
+ * @property {string} [name] The name.
+ * @property {string} [description] The description.
+ * @property {string} [levelFormula] The level formula of a general guideline.
+ * @property {string} [source] The abbreviation of the source book.
+ * @property {string} [page] The page of the source book.
+ */
+
+/**
+ * The error message of a field.
+ *
+ * @param {Object} props The component properties.
+ * @param {string} props.id The identifier of the message.
+ * @param {string} [props.error] The error message.
+ */
+function FieldError({id, error}) {
+    return error ? <p id={id} className="text-sm" role="alert">{error}</p> : null;
+}
+
+/**
+ * The submit button showing the pending submission.
+ *
+ * @param {Object} props The component properties.
+ * @param {string} props.label The label of the button.
+ */
+function SubmitButton({label}) {
+    const { pending } = useFormStatus();
+    return (<button className="self-start border border-foreground px-2" type="submit" disabled={pending}>{label}</button>);
+}
+
+/**
+ * The guideline editor component. The editor creates a new guideline, or updates the guideline
+ * of the guideline key. The browser moves to the level ladder of the guideline after success.
+ *
+ * @param {Object} props The component properties.
+ * @param {string} props.style The magic style of the guideline.
+ * @param {Readonly<string[]>} props.techniques The techniques of the style.
+ * @param {Readonly<string[]>} props.forms The forms of the style.
+ * @param {import("@/data/guidelines.mjs").Sourcebook[]} [props.sourcebooks=[]] The source books.
+ * @param {string} [props.guidelineKey] The guideline key string of the edited guideline. Undefined,
+ * if a new guideline is created.
+ * @param {GuidelineEditorValues} [props.initialValues={}] The initial values of the fields.
+ */
+export default function GuidelineEditor({style, techniques, forms, sourcebooks = [], guidelineKey = undefined,
+    initialValues = {}}) {
+    const [state, formAction] = useFormState(guidelineKey === undefined ? handleCreateGuideline :
+        handleUpdateGuideline, undefined);
+    const router = useRouter();
+    const values = { ...initialValues, ...(state?.values ?? {}) };
+    const errors = state?.errors ?? {};
+
+    useEffect(() => {
+        if (state?.success && state.key) {
+            router.push(getLadderPath(state.key.style, state.key.technique, state.key.form));
+        }
+    }, [state, router]);
+
+    /**
+     * The accessibility properties of a field.
+     * @param {string} field The field name.
+     */
+    const fieldProps = (field) => ({
+        id: `guideline-${field}`, name: field, defaultValue: values[field] ?? "",
+        "aria-invalid": errors[field] ? true : undefined,
+        "aria-describedby": errors[field] ? `guideline-${field}-error` : undefined
+    });
+
+    return (
+        <form className="flex flex-col gap-2 max-w-prose" action={formAction}>
+            <input type="hidden" name="style" value={style} />
+            {guidelineKey !== undefined && <input type="hidden" name="key" value={guidelineKey} />}
+            {state?.message && <p role="alert">{state.message}</p>}
+            <FieldError id="guideline-style-error" error={errors.style} />
+            <label htmlFor="guideline-technique">Technique</label>
+            <select className="text-background" {...fieldProps("technique")}>
+                <option value="">Select technique</option>
+                {techniques.map( art => (<option key={art} value={art}>{art}</option>))}
+            </select>
+            <FieldError id="guideline-technique-error" error={errors.technique} />
+            <label htmlFor="guideline-form">Form</label>
+            <select className="text-background" {...fieldProps("form")}>
+                <option value="">Select form</option>
+                {forms.map( art => (<option key={art} value={art}>{art}</option>))}
+            </select>
+            <FieldError id="guideline-form-error" error={errors.form} />
+            <label htmlFor="guideline-level">Level</label>
+            <select className="text-background" {...fieldProps("level")} defaultValue={values.level ?? generalLevelKey}>
+                <option value={generalLevelKey}>General</option>
+                {ladderLevels.map( level => (<option key={level} value={String(level)}>{level}</option>))}
+            </select>
+            <FieldError id="guideline-level-error" error={errors.level} />
+            <label htmlFor="guideline-name">Name</label>
+            <input className="px-1 text-background" {...fieldProps("name")} />
+            <FieldError id="guideline-name-error" error={errors.name} />
+            <label htmlFor="guideline-description">Description</label>
+            <textarea className="h-24 px-1 text-background" {...fieldProps("description")} />
+            <FieldError id="guideline-description-error" error={errors.description} />
+            <label htmlFor="guideline-levelFormula">Level formula of a general guideline</label>
+            <input className="px-1 text-background" placeholder="(level + 2 magnitudes)/2" {...fieldProps("levelFormula")} />
+            <FieldError id="guideline-levelFormula-error" error={errors.levelFormula} />
+            <label htmlFor="guideline-source">Source</label>
+            <select className="text-background" {...fieldProps("source")}>
+                <option value="">No source</option>
+                {sourcebooks.map( book => (<option key={book.abbrev} value={book.abbrev}>{book.title}</option>))}
+            </select>
+            <FieldError id="guideline-source-error" error={errors.source} />
+            <label htmlFor="guideline-page">Page</label>
+            <input className="w-24 px-1 text-background" type="number" min="1" {...fieldProps("page")} />
+            <FieldError id="guideline-page-error" error={errors.page} />
+            <label htmlFor="guideline-author">Your name</label>
+            <input className="px-1 text-background" {...fieldProps("author")} />
+            <SubmitButton label={guidelineKey === undefined ? "Create guideline" : "Save guideline"} />
+        </form>
+    );
+}
@@ -0,0 +1,41 @@
+/**
+ * @module components/GuidelineExport
+ * The component downloading the guidelines as a printable sheet.
+ */
+
+import HiddenParams from "./HiddenParams";
+import { exportFormats } from "@/data/guidelineExport.mjs";
+
+/**
+ * The guideline export component. The form downloads the sheet of the selected technique and
+ * form from the export route. The link downloads the Foundry VTT compendium pack of the style.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string} props.style The magic style of the exported guidelines.
+ * @param {Readonly<string[]>} props.techniques The techniques of the style.
+ * @param {Readonly<string[]>} props.forms The forms of the style.
+ * @param {string[]} [props.hidden=[]] The abbreviations of the hidden source books.
+ */
+export default function GuidelineExport({style, techniques, forms, hidden = []}) {
+    return (
+        <form className="flex flex-wrap gap-2 items-center" method="get" action="/export">
+            <HiddenParams params={{style: [style], hide: hidden}} />
+            <span className="font-semibold">Print sheet</span>
+            <select className="text-background" name="technique" aria-label="Technique" defaultValue="">
+                <option value="">All techniques</option>
+                {techniques.map( art => (<option key={art} value={art}>{art}</option>))}
+            </select>
+            <select className="text-background" name="form" aria-label="Form" defaultValue="">
+                <option value="">All forms</option>
+                {forms.map( art => (<option key={art} value={art}>{art}</option>))}
+            </select>
+            <select className="text-background" name="format" aria-label="Format" defaultValue="html">
+                {Object.getOwnPropertyNames(exportFormats).map( format => (
+                    <option key={format} value={format}>{exportFormats[format].name}</option>))}
+            </select>
+            <button className="border border-foreground px-2" type="submit">Download</button>
+            <a className="underline" href={`/export/foundry?${new URLSearchParams([["style", style], 
+                ...hidden.map( book => (["hide", book]))])}`} download>Foundry VTT compendium</a>
+        </form>
+    );
+}
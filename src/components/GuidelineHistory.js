@@ -0,0 +1,76 @@
+
+/**
+ * @module components/GuidelineHistory
+ * The component listing the revisions of a guideline.
+ */
+
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelineChanges, sourceReferenceToString } from "@/data/guidelines.mjs";
+import RevertGuidelineForm from "@/components/RevertGuidelineForm";
+
+/**
+ * The operation names of the revisions.
+ * @type {Record<string, string>}
+ */
+const operationNames = {
+    create: "Created",
+    update: "Updated",
+    delete: "Moved to trash",
+    restore: "Restored",
+    revert: "Reverted"
+};
+
+/**
+ * Format a field value of a guideline snapshot.
+ *
+ * @param {import("@/data/guidelines.mjs").GuidelineChange} change The changed field.
+ * @param {import("@/data/guidelines.mjs").Guideline|null} snapshot The snapshot of the value.
+ * @param {any} value The value of the field.
+ * @returns {string} The formatted value.
+ */
+function formatValue(change, snapshot, value) {
+    if (snapshot == null) {
+        return "—";
+    } else if (change.field === "level") {
+        return value == null ? "general" : String(value);
+    } else if (change.field === "source") {
+        return value == null ? "—" : sourceReferenceToString(value);
+    }
+    return value == null ? "—" : String(value);
+}
+
+/**
+ * The revision history component. The revisions before the latest have a form reverting the
+ * guideline to the revision.
+ *
+ * @param {Object} props The component properties.
+ * @param {import("@/data/guidelineActions.mjs").GuidelineRevision[]} props.revisions The revisions, the latest first.
+ * @param {string} [props.style] The magic style of the guideline. @default "Hermetic"
+ */
+export default function GuidelineHistory({revisions, style = hermeticStyle}) {
+    return (
+        <>
+            {revisions.length === 0 && <p>The guideline has no recorded revisions.</p>}
+            <ol className="flex flex-col gap-4">
+                {revisions.map( (revision, index) => (
+                    <li key={revision.id} className="flex flex-col gap-1">
+                        <p><span className="font-semibold">{operationNames[revision.operation]}</span> {
+                            revision.createdAt.toISOString()} by {revision.author ?? "unknown"}</p>
+                        <table className="text-sm">
+                            <tbody>
+                                {getGuidelineChanges(revision.before, revision.after).map( change => (
+                                    <tr key={change.field}>
+                                        <th className="pr-2 text-left">{change.field}</th>
+                                        <td className="pr-2 line-through">{formatValue(change, revision.before, change.before)}</td>
+                                        <td>{formatValue(change, revision.after, change.after)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {index > 0 && <RevertGuidelineForm revision={revision.id} style={style} />}
+                    </li>
+                ))}
+            </ol>
+        </>
+    );
+}
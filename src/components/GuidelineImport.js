@@ -0,0 +1,121 @@
+"use client"
+
+/**
+ * @module components/GuidelineImport
+ * The component importing guidelines from CSV, JSON and plain-text files.
+ */
+
+import { useState } from "react";
+import { importGuidelines } from "@/data/guidelineActions.mjs";
+import { importFormats } from "@/data/guidelineImport.mjs";
+
+/**
+ * The import report table.
+ * 
+ * @param {Object} props The component properties.
+ * @param {import("@/data/guidelineActions.mjs").ImportReport} props.report The import report.
+ */
+function ImportReportView({report}) {
+    if (report.error) {
+        return (<p role="alert">The file could not be read: {report.error}</p>);
+    }
+    return (
+        <div className="flex flex-col gap-2">
+            <p role="status">{report.applied ? "Imported" : "Planned"}: {report.inserts} new and {report.updates
+            } updated guidelines. {report.invalid > 0 && `${report.invalid} invalid rows prevent the import.`}</p>
+            <table className="text-sm">
+                <thead>
+                    <tr>
+                        <th className="pr-2 text-left">Row</th>
+                        <th className="pr-2 text-left">Guideline</th>
+                        <th className="pr-2 text-left">Action</th>
+                        <th className="text-left">Errors</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {report.rows.map( row => (
+                        <tr key={row.row}>
+                            <td className="pr-2">{row.row}</td>
+                            <td className="pr-2">{row.key && decodeURIComponent(row.key.replaceAll("/", " / "))}</td>
+                            <td className="pr-2">{row.action}</td>
+                            <td>{row.errors.map( error => (
+                                `${error.field ? `${error.field}: ` : ""}${error.message}`)).join("; ")}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * The guideline import component. The file is checked with a dry run before it is imported.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string} props.style The magic style of the imported guidelines.
+ */
+export default function GuidelineImport({style}) {
+    const [text, setText] = useState("");
+    const [format, setFormat] = useState("csv");
+    const [author, setAuthor] = useState("");
+    const [report, setReport] = useState(undefined);
+    const [pending, setPending] = useState(false);
+    const [error, setError] = useState(undefined);
+
+    /**
+     * Handle the selection of the imported file.
+     * @param {import("react").ChangeEvent<HTMLInputElement>} event The change event.
+     */
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        if (file) {
+            const extension = file.name.split(".").pop()?.toLowerCase();
+            const fileFormat = extension === "txt" ? "text" : extension;
+            if (importFormats.includes(fileFormat)) {
+                setFormat(fileFormat);
+            }
+            setText(await file.text());
+            setReport(undefined);
+        }
+    };
+
+    /**
+     * Run the import.
+     * @param {boolean} dryRun Is the import a dry run.
+     */
+    const handleImport = async (dryRun) => {
+        setPending(true);
+        setError(undefined);
+        try {
+            setReport(await importGuidelines(text, format, { style, dryRun, author: author || undefined }));
+        } catch (cause) {
+            setError("The import failed");
+        } finally {
+            setPending(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-4">
+            <input type="file" accept=".csv,.json,.txt,text/csv,application/json,text/plain" aria-label="Imported file" 
+            onChange={handleFile} />
+            <textarea className="h-48 px-1 font-mono text-background" aria-label="Imported content" value={text}
+            onChange={(event) => { setText(event.target.value); setReport(undefined); }} />
+            <div className="flex flex-wrap gap-2 items-center">
+                <select className="text-background" aria-label="Format" value={format} 
+                onChange={(event) => setFormat(event.target.value)}>
+                    {importFormats.map( f => (<option key={f} value={f}>{f.toUpperCase()}</option>))}
+                </select>
+                <input className="px-1 text-background" placeholder="Your name" aria-label="Your name" value={author}
+                onChange={(event) => setAuthor(event.target.value)} />
+                <button className="border border-foreground px-2" type="button" disabled={pending || !text} 
+                onClick={() => handleImport(true)}>Check</button>
+                <button className="border border-foreground px-2" type="button" 
+                disabled={pending || !report || report.error || report.invalid > 0 || report.applied} 
+                onClick={() => handleImport(false)}>Import</button>
+            </div>
+            {error && <p role="alert">{error}</p>}
+            {report && <ImportReportView report={report} />}
+        </div>
+    );
+}
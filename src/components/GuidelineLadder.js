@@ -0,0 +1,70 @@
+
+/**
+ * @module components/GuidelineLadder
+ * The component listing the guidelines of a technique and form combination.
+ */
+
+import Link from "next/link";
+import { hermeticStyle } from "@/data/arts.mjs";
+import { getGuidelinePath, getNewGuidelinePath } from "@/data/routes.mjs";
+
+/**
+ * The guideline properties.
+ * @typedef {import("@/data/guidelines.mjs").Guideline} Guideline
+ */
+
+/**
+ * Group the leveled guidelines by their levels.
+ * 
+ * @param {Guideline[]} guidelines The guidelines.
+ * @returns {Array<[number, Guideline[]]>} The level and the guidelines of the level in
+ * the ascending order of levels.
+ */
+function groupByLevel(guidelines) {
+    return [...guidelines.filter( guideline => (guideline.level != null)).reduce(
+        (result, guideline) => {
+            result.set(guideline.level, [...(result.get(guideline.level) ?? []), guideline]);
+            return result;
+        }, /** @type {Map<number, Guideline[]>} */ new Map())].sort( (a, b) => (a[0] - b[0]));
+}
+
+/**
+ * The guideline ladder component.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string} props.technique The technique of the guidelines.
+ * @param {string} props.form The form of the guidelines.
+ * @param {Guideline[]} props.guidelines The guidelines of the technique and form.
+ * @param {string} [props.style] The magic style of the guidelines. @default "Hermetic"
+ */
+export default function GuidelineLadder({technique, form, guidelines, style = hermeticStyle}) {
+    const general = guidelines.filter( guideline => (guideline.level == null));
+    const ladder = groupByLevel(guidelines);
+    return (
+        <section className="flex flex-col gap-4">
+            <h2 className="text-xl font-bold">{technique} {form} guidelines</h2>
+            {general.length > 0 && <div>
+                <h3 className="font-semibold">General</h3>
+                <ul className="list-disc list-inside">
+                    {general.map( (guideline, index) => (<li key={`${index}-${guideline.name}`}>
+                        <Link className="underline" href={getGuidelinePath(guideline)}>{guideline.name}</Link>
+                    </li>))}
+                </ul>
+            </div>}
+            {ladder.length > 0 ? <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1">
+                {ladder.map( ([level, members]) => ([
+                    <dt key={`level-${level}`} className="font-semibold">Level {level}:</dt>,
+                    <dd key={`members-${level}`}>
+                        <ul>
+                            {members.map( (guideline, index) => (<li key={`${index}-${guideline.name}`}>
+                                <Link className="underline" href={getGuidelinePath(guideline)}>{guideline.name}</Link>
+                            </li>))}
+                        </ul>
+                    </dd>
+                ]))}
+            </dl> : (general.length === 0 && <p>No guidelines.</p>)}
+            <Link className="underline" href={getNewGuidelinePath(style, technique, form)}
+            >Add {technique} {form} guideline</Link>
+        </section>
+    );
+}
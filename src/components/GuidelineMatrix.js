@@ -0,0 +1,89 @@
+"use client"
+
+/**
+ * @module components/GuidelineMatrix
+ * The component showing the guidelines as technique and form matrix.
+ */
+
+import { useState } from "react";
+import { getArtAbbrev, hermeticStyle } from "@/data/arts.mjs";
+import GuidelineLadder from "./GuidelineLadder";
+
+/**
+ * The guideline properties.
+ * @typedef {import("@/data/guidelines.mjs").Guideline} Guideline
+ */
+
+/**
+ * The guideline matrix component.
+ * 
+ * @param {Object} props The component properties.
+ * @param {Readonly<string[]>} props.techniques The techniques of the matrix rows.
+ * @param {Readonly<string[]>} props.forms The forms of the matrix columns.
+ * @param {Guideline[]} props.guidelines The guidelines of the matrix.
+ * @param {string} [props.style] The magic style of the guidelines. @default "Hermetic"
+ * @param {[string, string]} [props.initialSelection] The initially selected technique and form.
+ */
+export default function GuidelineMatrix({techniques, forms, guidelines, style = hermeticStyle, 
+    initialSelection = undefined}) {
+    /**
+     * The selected technique and form.
+     * @type {[[string, string]|undefined, (selected: [string, string]|undefined) => void]}
+     */
+    const [selected, setSelected] = useState(initialSelection);
+
+    /**
+     * Get the guidelines of a technique and form combination.
+     * @param {string} technique The technique.
+     * @param {string} form The form.
+     * @returns {Guideline[]} The guidelines of the combination.
+     */
+    const guidelinesOf = (technique, form) => (guidelines.filter( 
+        guideline => (guideline.technique === technique && guideline.form === form)));
+
+    /**
+     * Handle the selection of a cell.
+     * @param {string} technique The technique of the cell.
+     * @param {string} form The form of the cell.
+     */
+    const handleSelect = (technique, form) => {
+        if (selected && selected[0] === technique && selected[1] === form) {
+            setSelected(undefined);
+        } else {
+            setSelected([technique, form]);
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-8">
+            <table className="border-collapse">
+                <thead>
+                    <tr>
+                        <th></th>
+                        {forms.map( form => (<th key={form} className="px-2 py-1" title={form}>{form}</th>))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {techniques.map( technique => (
+                        <tr key={technique}>
+                            <th className="px-2 py-1 text-left" title={technique}>{technique}</th>
+                            {forms.map( form => {
+                                const count = guidelinesOf(technique, form).length;
+                                const isSelected = selected && selected[0] === technique && selected[1] === form;
+                                return (<td key={form} className="border border-foreground text-center">
+                                    <button type="button" 
+                                    className={`w-full px-2 py-1 ${isSelected ? "bg-foreground text-background" : ""}`}
+                                    title={`${technique} ${form}`} aria-pressed={isSelected ? true : false}
+                                    onClick={() => handleSelect(technique, form)}
+                                    >{count}<span className="sr-only"> {getArtAbbrev(technique)}{getArtAbbrev(form)} guidelines</span></button>
+                                </td>);
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {selected && <GuidelineLadder style={style} technique={selected[0]} form={selected[1]} 
+            guidelines={guidelinesOf(...selected)} />}
+        </div>
+    );
+}
@@ -0,0 +1,119 @@
+"use client"
+
+/**
+ * @module components/GuidelineSearch
+ * The component searching the guidelines by their names and descriptions.
+ */
+
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { searchGuidelines } from "@/data/guidelineActions.mjs";
+import { getGuidelinePath } from "@/data/routes.mjs";
+
+/**
+ * The delay of the search after the last change in milliseconds.
+ */
+const searchDelay = 300;
+
+/**
+ * The maximum levels of the level filter.
+ */
+const maxLevels = [1, 2, 3, 4, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50];
+
+/**
+ * Get the query conditions of the search filters.
+ *
+ * @param {string} technique The selected technique, or an empty string for all techniques.
+ * @param {string} form The selected form, or an empty string for all forms.
+ * @param {string} level The selected level filter: an empty string for all levels, "general"
+ * for the general guidelines, or the maximum level.
+ * @returns {import("@/data/guidelineQuery.mjs").GuidelineQuery["where"]} The query conditions.
+ */
+function getConditions(technique, form, level) {
+    return {
+        ...(technique ? { technique } : {}),
+        ...(form ? { form } : {}),
+        ...(level === "general" ? { level: null } : level ? { level: { gte: 1, lte: Number(level) } } : {})
+    };
+}
+
+/**
+ * The guideline search component. The search is performed as the user types.
+ *
+ * @param {Object} props The component properties.
+ * @param {string} props.style The magic style of the searched guidelines.
+ * @param {Readonly<string[]>} props.techniques The techniques of the style.
+ * @param {Readonly<string[]>} props.forms The forms of the style.
+ */
+export default function GuidelineSearch({style, techniques, forms}) {
+    const [search, setSearch] = useState("");
+    const [technique, setTechnique] = useState("");
+    const [form, setForm] = useState("");
+    const [level, setLevel] = useState("");
+    /**
+     * The search results.
+     * @type {[import("@/data/guidelineActions.mjs").GuidelineSearchResult[], Function]}
+     */
+    const [results, setResults] = useState([]);
+    const [error, setError] = useState(undefined);
+
+    useEffect(() => {
+        let cancelled = false;
+        const timeout = setTimeout(() => {
+            searchGuidelines(search, { style, where: getConditions(technique, form, level) }).then(
+                (found) => {
+                    if (!cancelled) {
+                        setResults(found);
+                        setError(undefined);
+                    }
+                },
+                () => {
+                    if (!cancelled) {
+                        setError("The search failed");
+                    }
+                }
+            );
+        }, searchDelay);
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+        };
+    }, [style, search, technique, form, level]);
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex flex-wrap gap-2 items-center" role="search">
+                <input className="px-1 text-background" type="search" placeholder="Search guidelines"
+                aria-label="Search guidelines" value={search} onChange={(event) => setSearch(event.target.value)} />
+                <select className="text-background" aria-label="Technique" value={technique}
+                onChange={(event) => setTechnique(event.target.value)}>
+                    <option value="">All techniques</option>
+                    {techniques.map( art => (<option key={art} value={art}>{art}</option>))}
+                </select>
+                <select className="text-background" aria-label="Form" value={form}
+                onChange={(event) => setForm(event.target.value)}>
+                    <option value="">All forms</option>
+                    {forms.map( art => (<option key={art} value={art}>{art}</option>))}
+                </select>
+                <select className="text-background" aria-label="Level" value={level}
+                onChange={(event) => setLevel(event.target.value)}>
+                    <option value="">All levels</option>
+                    <option value="general">General</option>
+                    {maxLevels.map( max => (<option key={max} value={String(max)}>Level {max} or less</option>))}
+                </select>
+            </div>
+            {error && <p role="alert">{error}</p>}
+            {search.trim() && !error && results.length === 0 && <p>No guidelines found.</p>}
+            <ol className="flex flex-col gap-2" aria-live="polite">
+                {results.map( ({guideline, snippet}) => (
+                    <li key={`${guideline.technique}/${guideline.form}/${guideline.level}/${guideline.name}`}>
+                        <Link className="underline" href={getGuidelinePath(guideline)}>{guideline.name}</Link>
+                        {` (${guideline.technique} ${guideline.form} ${guideline.level ?? "general"})`}
+                        <p className="text-sm">{snippet.map( (segment, index) => (segment.match ?
+                            <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>))}</p>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
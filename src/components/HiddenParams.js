@@ -0,0 +1,17 @@
+
+/**
+ * @module components/HiddenParams
+ * The component preserving search parameters in a GET form.
+ */
+
+/**
+ * The hidden inputs of the preserved search parameters.
+ * 
+ * @param {Object} props The component properties.
+ * @param {Record<string, string[]>} props.params The preserved search parameters.
+ */
+export default function HiddenParams({params}) {
+    return Object.getOwnPropertyNames(params).flatMap( name => (params[name].map( (value, index) => (
+        <input key={`${name}-${index}`} type="hidden" name={name} value={value} />
+    ))));
+}
@@ -0,0 +1,35 @@
+"use client"
+
+/**
+ * @module components/LevelFormulaCalculator
+ * The component evaluating the level formula of a general guideline.
+ */
+
+import { useState } from "react";
+import { LevelFormula } from "@/data/levelFormula.mjs";
+
+/**
+ * The level formula calculator component.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string} props.formula The level formula source.
+ * @param {string} [props.label] The label of the input level.
+ */
+export default function LevelFormulaCalculator({formula, label = "Input level"}) {
+    const [level, setLevel] = useState("");
+    const levelFormula = LevelFormula.parse(formula);
+    let result = undefined;
+    if (/^[1-9]\d*$/.test(level)) {
+        result = levelFormula.evaluate(Number(level));
+    }
+    return (
+        <div className="flex flex-col gap-2">
+            <p>Level: <code>{levelFormula.source}</code></p>
+            <label className="flex gap-2 items-center">{label}
+                <input className="w-24 px-1 text-background" type="number" min="1" value={level} 
+                onChange={(event) => setLevel(event.target.value)} />
+            </label>
+            {result !== undefined && <p>Guideline level: {result}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+"use client"
+
+/**
+ * @module components/RevertGuidelineForm
+ * The component reverting a guideline to a revision.
+ */
+
+import { useFormState } from "react-dom";
+import { handleRevertGuideline } from "@/data/guidelineActions.mjs";
+
+/**
+ * The revert form of a revision. The failures, like a reverted guideline with the key of an
+ * existing guideline, are shown with the form.
+ *
+ * @param {Object} props The component properties.
+ * @param {number} props.revision The identifier of the revision.
+ * @param {string} props.style The magic style of the guideline.
+ */
+export default function RevertGuidelineForm({revision, style}) {
+    const [state, formAction] = useFormState(handleRevertGuideline, undefined);
+    return (
+        <div className="flex flex-col gap-1">
+            <form className="flex gap-2" action={formAction}>
+                <input type="hidden" name="revision" value={revision} />
+                <input type="hidden" name="style" value={style} />
+                <input className="px-1 text-background" name="author" placeholder="Your name"
+                aria-label="Your name" />
+                <button className="border border-foreground px-2" type="submit">Revert to this revision</button>
+            </form>
+            {state?.message && <p role="alert">{state.message}</p>}
+        </div>
+    );
+}
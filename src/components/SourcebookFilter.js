@@ -0,0 +1,38 @@
+
+/**
+ * @module components/SourcebookFilter
+ * The component selecting the source books whose content is hidden.
+ */
+
+import HiddenParams from "./HiddenParams";
+
+/**
+ * The source book filter component. The form submits the hidden book abbreviations
+ * as the "hide" search parameters of the current page.
+ * 
+ * @param {Object} props The component properties.
+ * @param {import("@/data/guidelines.mjs").Sourcebook[]} props.sourcebooks The source books.
+ * @param {string[]} props.hidden The abbreviations of the hidden source books.
+ * @param {Record<string, string[]>} [props.preserved={}] The other search parameters preserved
+ * by the form.
+ */
+export default function SourcebookFilter({sourcebooks, hidden, preserved = {}}) {
+    if (sourcebooks.length === 0) {
+        return null;
+    }
+    return (
+        <form className="flex flex-col gap-2" method="get">
+            <HiddenParams params={preserved} />
+            <fieldset className="flex flex-wrap gap-4">
+                <legend className="font-semibold">Hide content from</legend>
+                {sourcebooks.map( book => (
+                    <label key={book.abbrev} className="flex gap-1 items-center" title={book.title}>
+                        <input type="checkbox" name="hide" value={book.abbrev} 
+                        defaultChecked={hidden.includes(book.abbrev)} />{book.title}
+                    </label>
+                ))}
+            </fieldset>
+            <button className="self-start border border-foreground px-2" type="submit">Apply</button>
+        </form>
+    );
+}
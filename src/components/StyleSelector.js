@@ -0,0 +1,38 @@
+
+/**
+ * @module components/StyleSelector
+ * The component selecting the shown magic styles.
+ */
+
+import HiddenParams from "./HiddenParams";
+
+/**
+ * The magic style selector component. The form submits the selected styles as the "style"
+ * search parameters of the current page.
+ * 
+ * @param {Object} props The component properties.
+ * @param {string[]} props.styles The magic styles.
+ * @param {string[]} props.selected The selected magic styles.
+ * @param {Record<string, string[]>} [props.preserved={}] The other search parameters preserved
+ * by the form.
+ */
+export default function StyleSelector({styles, selected, preserved = {}}) {
+    if (styles.length < 2) {
+        return null;
+    }
+    return (
+        <form className="flex flex-col gap-2" method="get">
+            <HiddenParams params={preserved} />
+            <fieldset className="flex flex-wrap gap-4">
+                <legend className="font-semibold">Traditions</legend>
+                {styles.map( style => (
+                    <label key={style} className="flex gap-1 items-center">
+                        <input type="checkbox" name="style" value={style} 
+                        defaultChecked={selected.includes(style)} />{style}
+                    </label>
+                ))}
+            </fieldset>
+            <button className="self-start border border-foreground px-2" type="submit">Show</button>
+        </form>
+    );
+}
@@ -0,0 +1,39 @@
+"use client"
+
+/**
+ * @module components/TrashedGuidelineActions
+ * The component restoring or purging a guideline in the trash.
+ */
+
+import { useFormState } from "react-dom";
+import { handlePurgeGuideline, handleRestoreGuideline } from "@/data/guidelineActions.mjs";
+
+/**
+ * The restore and purge forms of a trashed guideline. The failures, like a restored guideline
+ * with the key of an existing guideline, are shown with the forms.
+ * 
+ * @param {Object} props The component properties.
+ * @param {number} props.id The identifier of the trashed guideline.
+ */
+export default function TrashedGuidelineActions({id}) {
+    const [restoreState, restoreAction] = useFormState(handleRestoreGuideline, undefined);
+    const [purgeState, purgeAction] = useFormState(handlePurgeGuideline, undefined);
+    return (
+        <div className="flex flex-col gap-1">
+            <div className="flex gap-2">
+                <form className="flex gap-2" action={restoreAction}>
+                    <input type="hidden" name="id" value={id} />
+                    <input className="px-1 text-background" name="author" placeholder="Your name" 
+                    aria-label="Your name" />
+                    <button className="border border-foreground px-2" type="submit">Restore</button>
+                </form>
+                <form action={purgeAction}>
+                    <input type="hidden" name="id" value={id} />
+                    <button className="border border-foreground px-2" type="submit">Delete permanently</button>
+                </form>
+            </div>
+            {restoreState?.message && <p role="alert">{restoreState.message}</p>}
+            {purgeState?.message && <p role="alert">{purgeState.message}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+"use server"
+/**
+ * @model actions/arts
+ * 
+ * The actions to get and declare the magic styles and their arts.
+ */
+
+import { NotFoundException } from "./guidelines.mjs";
+import { getArtAbbrev, hermeticStyle } from "./arts.mjs";
+import { Pool } from 'pg';
+const pool = new Pool();
+
+/**
+ * The arts of a magic style.
+ * @typedef {Object} StyleArts
+ * @property {string} style The magic style.
+ * @property {string[]} techniques The techniques of the style in the order of declaration.
+ * @property {string[]} forms The forms of the style in the order of declaration.
+ */
+
+/**
+ * Get the magic styles.
+ * 
+ * @returns {Promise<string[]>} The names of the magic styles in the order of declaration.
+ */
+export async function getMagicStyles() {
+    return new Promise( (resolve, reject) => {
+        pool.query("SELECT name FROM magicStyles ORDER BY style_id").then(
+            (result) => {
+                resolve(result.rows.map( row => (row.name)));
+            },
+            (error) => {
+                reject(new Error("Could not access the magic styles", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * Get the arts of a magic style.
+ * 
+ * @param {string} [style] The magic style. @default "Hermetic"
+ * @returns {Promise<StyleArts>} The arts of the style.
+ * @throws {NotFoundException} The style does not exist.
+ */
+export async function getArts(style = hermeticStyle) {
+    return new Promise( (resolve, reject) => {
+        pool.query("SELECT magicStyles.name AS style, arts.art, " + 
+            "EXISTS (SELECT 1 FROM techniques WHERE techniques.art_id = arts.art_id) AS technique " + 
+            "FROM magicStyles LEFT JOIN arts ON arts.style_id = magicStyles.style_id " + 
+            "WHERE magicStyles.name = $1 ORDER BY arts.art_id", [style]).then(
+            (result) => {
+                if (result.rowCount === 0) {
+                    reject(new NotFoundException(`The magic style ${style} does not exist`));
+                } else {
+                    const arts = result.rows.filter( row => (row.art != null));
+                    resolve({
+                        style,
+                        techniques: arts.filter( row => (row.technique)).map( row => (row.art)),
+                        forms: arts.filter( row => (!row.technique)).map( row => (row.art))
+                    });
+                }
+            },
+            (error) => {
+                reject(new Error("Could not access the arts", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * Declare a new magic style with its arts.
+ * 
+ * @param {string} style The name of the magic style.
+ * @param {Omit<StyleArts, "style">} arts The techniques and the forms of the style.
+ * @returns {Promise<StyleArts>} The arts of the created style.
+ * @throws {RangeError} The style already exists, or the arts were invalid.
+ */
+export async function addMagicStyle(style, arts) {
+    const techniques = [...(arts.techniques ?? [])];
+    const forms = [...(arts.forms ?? [])];
+    if (!style || [...techniques, ...forms].some( art => (typeof art !== "string" || art.trim() === "")) || 
+        new Set([...techniques, ...forms]).size !== techniques.length + forms.length) {
+        throw new RangeError("Invalid magic style declaration");
+    }
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const created = await client.query("INSERT INTO magicStyles(name) VALUES ($1) " + 
+            "ON CONFLICT (name) DO NOTHING RETURNING style_id", [style]);
+        if (created.rowCount === 0) {
+            throw new RangeError(`The magic style ${style} already exists`);
+        }
+        const styleId = created.rows[0].style_id;
+        for (const [table, names] of [["techniques", techniques], ["forms", forms]]) {
+            for (const art of names) {
+                const result = await client.query("INSERT INTO arts(style_id, art, abbrev) VALUES ($1, $2, $3) " + 
+                    "RETURNING art_id", [styleId, art, getArtAbbrev(art)]);
+                await client.query(`INSERT INTO ${table}(art_id) VALUES ($1)`, [result.rows[0].art_id]);
+            }
+        }
+        await client.query("COMMIT");
+        return { style, techniques, forms };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw (error instanceof RangeError ? error : new Error("Could not insert the magic style", { cause: error }));
+    } finally {
+        client.release();
+    }
+}
@@ -0,0 +1,40 @@
+
+/**
+ * @module data/arts
+ * The arts of the magic styles.
+ */
+
+/**
+ * The name of the Hermetic magic style.
+ * @type {string}
+ */
+export const hermeticStyle = "Hermetic";
+
+/**
+ * The Hermetic techniques in the order of the rulebook.
+ * @type {Readonly<string[]>}
+ */
+export const hermeticTechniques = Object.freeze(["Creo", "Intellego", "Muto", "Perdo", "Rego"]);
+
+/**
+ * The Hermetic forms in the order of the rulebook.
+ * @type {Readonly<string[]>}
+ */
+export const hermeticForms = Object.freeze(["Animal", "Aquam", "Auram", "Corpus", "Herbam", "Ignem", "Imaginem",
+    "Mentem", "Terram", "Vim"]);
+
+/**
+ * The Hermetic arts in the order of the rulebook. The techniques precede the forms.
+ * @type {Readonly<string[]>}
+ */
+export const hermeticArts = Object.freeze([...hermeticTechniques, ...hermeticForms]);
+
+/**
+ * Get the abbreviation of an art.
+ * 
+ * @param {string} art The art name.
+ * @returns {string} The two letter abbreviation of the art.
+ */
+export function getArtAbbrev(art) {
+    return art.substring(0, 2);
+}
@@ -97,3 +97,90 @@ export function compareIgnoreNull(compare)  {
         return (compared === null || comparee === null) ? 0 : compare(compared, comparee);
     };
 }
+
+/**
+ * Create compare function comparing the keys extracted from the compared values.
+ * 
+ * @template TYPE The compared type.
+ * @template [KEY=any] The key type.
+ * @param {(value: TYPE) => KEY} keyExtractor The function extracting the compared key.
+ * @param {Compare<KEY>} [compare] The comparison of the keys. Defaults to the natural
+ * order of the keys.
+ * @returns {Compare<TYPE>} The comparison function comparing the keys of the values.
+ */
+export function comparing(keyExtractor, compare = naturalCompare) {
+    return (compared, comparee) => (compare(keyExtractor(compared), keyExtractor(comparee)));
+}
+
+/**
+ * Compare values with their natural order.
+ * 
+ * @template [TYPE=any] The compared type.
+ * @param {TYPE} compared The compared value.
+ * @param {TYPE} comparee The value compared with.
+ * @returns {ComparisonResult} The comparison result. An undefined value, if the values
+ * are not comparable with each other.
+ */
+export function naturalCompare(compared, comparee) {
+    return compared < comparee ? -1 : comparee < compared ? 1 : compared === comparee ? 0 : undefined;
+}
+
+/**
+ * Create compare function using the next comparison, if the previous comparisons
+ * consider the values equal.
+ * 
+ * @template TYPE The compared type.
+ * @param {Compare<TYPE>} compare The first comparison.
+ * @param {...Compare<TYPE>} others The comparisons used in order, if all previous comparisons
+ * considered the values equal.
+ * @returns {Compare<TYPE>} The comparison function. The result is undefined, if any comparison
+ * found the values incomparable.
+ */
+export function thenComparing(compare, ...others) {
+    return (compared, comparee) => ([compare, ...others].reduce(
+        (result, cmp) => (result === 0 ? cmp(compared, comparee) : result), 0));
+}
+
+/**
+ * Create compare function with the reversed order.
+ * 
+ * @template TYPE The compared type.
+ * @param {Compare<TYPE>} compare The reversed comparison.
+ * @returns {Compare<TYPE>} The comparison function with the reversed order.
+ */
+export function reversed(compare) {
+    return (compared, comparee) => {
+        const result = compare(compared, comparee);
+        return result === undefined || result === 0 ? result : -result;
+    };
+}
+
+/**
+ * Create compare function ordering null and undefined values before all other values.
+ * 
+ * @template TYPE The compared type.
+ * @param {Compare<TYPE>} compare The comparison of the other values.
+ * @returns {Compare<TYPE|null|undefined>} The comparison function accepting null and
+ * undefined values in addition to the compared types.
+ */
+export function nullsFirst(compare) {
+    return (compared, comparee) => {
+        if (compared == null || comparee == null) {
+            return compared == null ? (comparee == null ? 0 : -1) : 1;
+        } else {
+            return compare(compared, comparee);
+        }
+    };
+}
+
+/**
+ * Create compare function ordering null and undefined values after all other values.
+ * 
+ * @template TYPE The compared type.
+ * @param {Compare<TYPE>} compare The comparison of the other values.
+ * @returns {Compare<TYPE|null|undefined>} The comparison function accepting null and
+ * undefined values in addition to the compared types.
+ */
+export function nullsLast(compare) {
+    return reversed(nullsFirst(reversed(compare)));
+}
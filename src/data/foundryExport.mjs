@@ -0,0 +1,219 @@
+/**
+ * @module data/foundryExport
+ * The export of the guidelines and the spells as a Foundry VTT compendium pack of the
+ * Ars Magica 5th edition system.
+ *
+ * The guidelines are exported as base effect items, and the spells as spell items. The arts and
+ * the spell parameters are mapped to the keys of the system.
+ */
+
+import { getArtAbbrev } from "./arts.mjs";
+import { guidelineKeyToString } from "./guidelines.mjs";
+
+/**
+ * The identifier of the Ars Magica system of Foundry VTT.
+ */
+export const foundrySystem = "arm5e";
+
+/**
+ * The scope of the flags of the exported documents.
+ */
+const flagScope = "ars-magica-guidelines";
+
+/**
+ * The system keys of the ranges.
+ * @type {Readonly<Record<string, string>>}
+ */
+const rangeKeys = Object.freeze({
+    "Personal": "personal", "Touch": "touch", "Eye": "eye", "Voice": "voice", "Sight": "sight",
+    "Arcane Connection": "arc"
+});
+
+/**
+ * The system keys of the durations.
+ * @type {Readonly<Record<string, string>>}
+ */
+const durationKeys = Object.freeze({
+    "Momentary": "moment", "Concentration": "conc", "Diameter": "diam", "Sun": "sun", "Ring": "ring",
+    "Moon": "moon", "Year": "year"
+});
+
+/**
+ * The system keys of the targets.
+ * @type {Readonly<Record<string, string>>}
+ */
+const targetKeys = Object.freeze({
+    "Individual": "ind", "Circle": "circle", "Part": "part", "Group": "group", "Room": "room",
+    "Structure": "struct", "Boundary": "bound", "Taste": "taste", "Touch": "touch", "Smell": "smell",
+    "Hearing": "hearing", "Vision": "vision"
+});
+
+/**
+ * A Foundry VTT item document.
+ * @typedef {Object} FoundryItem
+ * @property {string} _id The document identifier.
+ * @property {string} _key The database key of the document.
+ * @property {string} name The name of the item.
+ * @property {"baseEffect"|"spell"} type The item type.
+ * @property {Record<string, any>} system The system data of the item.
+ * @property {Record<string, Record<string, any>>} flags The flags of the item.
+ */
+
+/**
+ * A Foundry VTT compendium pack.
+ * @typedef {Object} FoundryPack
+ * @property {string} name The name of the pack.
+ * @property {string} label The label of the pack.
+ * @property {"Item"} type The document type of the pack.
+ * @property {string} system The game system of the pack.
+ * @property {FoundryItem[]} documents The documents of the pack.
+ */
+
+/**
+ * The characters of the document identifiers.
+ */
+const idCharacters = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Create a stable document identifier. The same source always has the same identifier,
+ * so a re-imported pack updates the earlier documents.
+ *
+ * @param {string} source The source of the identifier.
+ * @returns {string} The 16 character document identifier.
+ */
+export function createDocumentId(source) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    let id = "";
+    for (let round = 0; id.length < 16; round++) {
+        for (let i = 0; i < source.length; i++) {
+            const c = source.charCodeAt(i) + round;
+            h1 = Math.imul(h1 ^ c, 2654435761);
+            h2 = Math.imul(h2 ^ c, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        let value = (h1 >>> 0) * 2097152 + (h2 >>> 11);
+        for (let i = 0; i < 8; i++) {
+            id += idCharacters[value % idCharacters.length];
+            value = Math.floor(value / idCharacters.length);
+        }
+    }
+    return id.substring(0, 16);
+}
+
+/**
+ * Get the system key of an art.
+ *
+ * @param {string} art The art.
+ * @returns {string} The lower case abbreviation of the art.
+ */
+function artKey(art) {
+    return getArtAbbrev(art).toLowerCase();
+}
+
+/**
+ * Convert a text to an HTML paragraph.
+ *
+ * @param {string|undefined} text The text.
+ * @returns {string} The HTML paragraph, or an empty string, if the text was empty.
+ */
+function toHtml(text) {
+    return text ? `<p>${text.replace(/[&<>"']/g, c => (`&#${c.charCodeAt(0)};`))}</p>` : "";
+}
+
+/**
+ * Get the source fields of the system data.
+ *
+ * @param {import("./guidelines.mjs").SourceReference} [source] The source reference.
+ * @returns {{source: string, page: number}} The source fields.
+ */
+function sourceFields(source) {
+    return { source: source?.ref ?? "custom", page: source?.page ?? 0 };
+}
+
+/**
+ * Create an item document.
+ *
+ * @param {string} key The unique key of the exported entity.
+ * @param {string} name The name of the item.
+ * @param {FoundryItem["type"]} type The item type.
+ * @param {Record<string, any>} system The system data.
+ * @returns {FoundryItem} The item document.
+ */
+function createItem(key, name, type, system) {
+    const id = createDocumentId(`${type}:${key}`);
+    return { _id: id, _key: `!items!${id}`, name, type, system, flags: { [flagScope]: { key } } };
+}
+
+/**
+ * Convert a guideline to a base effect item.
+ *
+ * @param {import("./guidelines.mjs").Guideline} guideline The guideline.
+ * @returns {FoundryItem} The base effect item.
+ */
+export function guidelineToItem(guideline) {
+    const description = [guideline.description, guideline.levelFormula && `Level: ${guideline.levelFormula}`]
+        .filter(Boolean).join(" ");
+    return createItem(guidelineKeyToString(guideline, true), guideline.name, "baseEffect", {
+        technique: { value: artKey(guideline.technique) },
+        form: { value: artKey(guideline.form) },
+        baseLevel: guideline.level ?? 0,
+        description: toHtml(description),
+        ...sourceFields(guideline.source)
+    });
+}
+
+/**
+ * Convert a spell to a spell item.
+ *
+ * @param {import("./guidelines.mjs").SpellModel} spell The spell.
+ * @param {Readonly<string[]>} techniques The techniques of the style.
+ * @param {Readonly<string[]>} forms The forms of the style.
+ * @returns {FoundryItem} The spell item.
+ */
+export function spellToItem(spell, techniques, forms) {
+    const requisites = (/** @type {Readonly<string[]>} */ arts) => (Object.fromEntries(arts.map(
+        art => ([artKey(art), spell.requisites.includes(art)]))));
+    return createItem(`${spell.style}/${spell.name}`, spell.name, "spell", {
+        technique: { value: artKey(spell.technique) },
+        form: { value: artKey(spell.form) },
+        techniqueReq: requisites(techniques),
+        formReq: requisites(forms),
+        range: { value: rangeKeys[spell.range] ?? spell.range.toLowerCase() },
+        duration: { value: durationKeys[spell.duration] ?? spell.duration.toLowerCase() },
+        target: { value: targetKeys[spell.target] ?? spell.target.toLowerCase() },
+        targetSize: spell.parameters.size,
+        complexity: spell.parameters.complexity,
+        ritual: spell.ritual,
+        baseLevel: spell.baseLevel ?? spell.guideline.level ?? 0,
+        level: spell.level,
+        baseEffectDescription: spell.guideline.name,
+        description: toHtml(spell.description),
+        ...sourceFields(spell.source)
+    });
+}
+
+/**
+ * Create a compendium pack of guidelines and spells.
+ *
+ * @param {Object} content The exported content.
+ * @param {string} content.style The magic style of the content.
+ * @param {Readonly<string[]>} content.techniques The techniques of the style.
+ * @param {Readonly<string[]>} content.forms The forms of the style.
+ * @param {import("./guidelines.mjs").Guideline[]} content.guidelines The exported guidelines.
+ * @param {import("./guidelines.mjs").SpellModel[]} [content.spells=[]] The exported spells.
+ * @returns {FoundryPack} The compendium pack.
+ */
+export function createFoundryPack({style, techniques, forms, guidelines, spells = []}) {
+    return {
+        name: `${style.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-guidelines`,
+        label: `${style} guidelines${spells.length > 0 ? " and spells" : ""}`,
+        type: "Item",
+        system: foundrySystem,
+        documents: [
+            ...guidelines.map(guidelineToItem),
+            ...spells.map( spell => (spellToItem(spell, techniques, forms)))
+        ]
+    };
+}
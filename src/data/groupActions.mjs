@@ -0,0 +1,384 @@
+"use server"
+/**
+ * @model actions/groups
+ * 
+ * The actions to get and alter the guideline groups.
+ */
+
+import { revalidatePath } from "next/cache";
+import { GuidelineGroupModel, GuidelineModel, NotFoundException, getGuidelineKey, 
+    guidelineKeyToString } from "./guidelines.mjs";
+import { hermeticStyle } from "./arts.mjs";
+import { Pool } from 'pg';
+const pool = new Pool();
+
+/**
+ * The key identifying a guideline group. 
+ * @typedef {Object} GroupKey
+ * @property {string} [style] The magic style of the group. Defaults to the Hermetic style.
+ * @property {string[]} path The names of the group and its ancestors from the root group to
+ * the group.
+ */
+
+/**
+ * The guideline member of a stored group.
+ * @typedef {import("./guidelines.mjs").Guideline & {type: "guideline"}} GuidelineMemberTree
+ */
+
+/**
+ * The stored guideline group with its members in order.
+ * @typedef {Object} GuidelineGroupTree
+ * @property {"group"} type The member type.
+ * @property {string} name The name of the group.
+ * @property {Array<GuidelineGroupTree|GuidelineMemberTree>} members The members of the group.
+ */
+
+/**
+ * The SQL selecting the members of a group $1. The rows contain the member type, the name,
+ * the position and the guideline key fields of the guideline members. 
+ */
+const groupMembersQuery = "SELECT 'group' AS type, group_id, NULL::integer AS guideline_id, name, position, " + 
+    "NULL AS technique, NULL AS form, NULL::smallint AS level FROM guideline_groups " + 
+    "WHERE style_id = $1 AND parent_id IS NOT DISTINCT FROM $2 " + 
+    "UNION ALL SELECT 'guideline', NULL, guideline.guideline_id, guideline.name, member.position, " + 
+    "technique.art, form.art, guideline.level FROM guideline_group_members AS member " + 
+    "JOIN spell_guidelines AS guideline ON guideline.guideline_id = member.guideline_id " + 
+    "JOIN arts AS technique ON technique.art_id = guideline.technique_id " + 
+    "JOIN arts AS form ON form.art_id = guideline.form_id " + 
+    "WHERE member.group_id = $2 AND guideline.deleted_at IS NULL ORDER BY position";
+
+/**
+ * Get the style identifier.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {string} style The magic style.
+ * @returns {Promise<number>} The style identifier.
+ * @throws {NotFoundException} The style does not exist.
+ */
+async function getStyleId(client, style) {
+    const result = await client.query("SELECT style_id FROM magicStyles WHERE name = $1", [style]);
+    if (result.rowCount === 0) {
+        throw new NotFoundException(`The magic style ${style} does not exist`);
+    }
+    return result.rows[0].style_id;
+}
+
+/**
+ * Get the group identifier of a group path.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} styleId The style identifier.
+ * @param {string[]} path The group path.
+ * @returns {Promise<number|null>} The group identifier. The empty path has null identifier.
+ * @throws {NotFoundException} The group does not exist.
+ */
+async function getGroupId(client, styleId, path) {
+    let groupId = null;
+    for (const name of path) {
+        const result = await client.query("SELECT group_id FROM guideline_groups " + 
+            "WHERE style_id = $1 AND parent_id IS NOT DISTINCT FROM $2 AND name = $3", [styleId, groupId, name]);
+        if (result.rowCount === 0) {
+            throw new NotFoundException(`The guideline group ${path.join("/")} does not exist`);
+        }
+        groupId = result.rows[0].group_id;
+    }
+    return groupId;
+}
+
+/**
+ * Get the member rows of a group.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} styleId The style identifier.
+ * @param {number|null} groupId The group identifier. The null identifier has the root groups
+ * as its members.
+ * @returns {Promise<Record<string, any>[]>} The member rows in order.
+ */
+async function getMemberRows(client, styleId, groupId) {
+    return (await client.query(groupMembersQuery, [styleId, groupId])).rows;
+}
+
+/**
+ * Create a group model of the stored group members. The member group models do not have
+ * members.
+ * 
+ * @param {string} name The group name.
+ * @param {Record<string, any>[]} rows The member rows.
+ * @returns {GuidelineGroupModel} The group model.
+ */
+function toGroupModel(name, rows) {
+    return new GuidelineGroupModel(name, rows.map( row => (row.type === "group" ? 
+        new GuidelineGroupModel(row.name) : 
+        new GuidelineModel(row.name, row.technique, row.form, row.level === 0 ? null : row.level))));
+}
+
+/**
+ * Get the position of a new member at the position, and make room for it.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} styleId The style identifier.
+ * @param {number|null} groupId The group identifier.
+ * @param {Record<string, any>[]} rows The member rows of the group.
+ * @param {number} [index] The index of the new member. Defaults to the end of the group.
+ * @returns {Promise<number>} The position of the new member.
+ * @throws {RangeError} The index was invalid.
+ */
+async function reservePosition(client, styleId, groupId, rows, index = undefined) {
+    if (index === undefined || index === rows.length) {
+        return rows.length > 0 ? rows[rows.length - 1].position + 1 : 0;
+    } else if (!Number.isInteger(index) || index < 0 || index > rows.length) {
+        throw new RangeError("Invalid member index");
+    }
+    const position = rows[index].position;
+    await client.query("UPDATE guideline_groups SET position = position + 1 " + 
+        "WHERE style_id = $1 AND parent_id IS NOT DISTINCT FROM $2 AND position >= $3", [styleId, groupId, position]);
+    await client.query("UPDATE guideline_group_members SET position = position + 1 " + 
+        "WHERE group_id = $1 AND position >= $2", [groupId, position]);
+    return position;
+}
+
+/**
+ * Run an action in a transaction.
+ * 
+ * @template RESULT
+ * @param {string} message The error message of the unexpected errors.
+ * @param {(client: import("pg").PoolClient) => Promise<RESULT>} action The action.
+ * @returns {Promise<RESULT>} The result of the action.
+ * @throws {RangeError} The action was invalid.
+ * @throws {NotFoundException} The action refered to a nonexisting group or guideline.
+ */
+async function transaction(message, action) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await action(client);
+        await client.query("COMMIT");
+        revalidatePath("/", "layout");
+        return result;
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw (error instanceof RangeError || error instanceof NotFoundException || error instanceof TypeError ? 
+            error : new Error(message, { cause: error }));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get the group trees of a magic style.
+ * 
+ * @param {string} [style] The magic style. @default "Hermetic"
+ * @returns {Promise<GuidelineGroupTree[]>} The root groups of the style with their members.
+ */
+export async function getGroupTrees(style = hermeticStyle) {
+    const client = await pool.connect();
+    try {
+        const styleId = await getStyleId(client, style);
+        /**
+         * @param {number|null} groupId
+         * @returns {Promise<Array<GuidelineGroupTree|GuidelineMemberTree>>}
+         */
+        const getMembers = async (groupId) => (Promise.all((await getMemberRows(client, styleId, groupId)).map( 
+            async (row) => (row.type === "group" ? 
+                { type: "group", name: row.name, members: await getMembers(row.group_id) } :
+                { type: "guideline", style, technique: row.technique, form: row.form, 
+                    level: row.level === 0 ? null : row.level, name: row.name }))));
+        return /** @type {GuidelineGroupTree[]} */ (await getMembers(null));
+    } catch (error) {
+        throw (error instanceof NotFoundException ? error : 
+            new Error("Could not access the guideline groups", { cause: error }));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Create a new guideline group.
+ * 
+ * @param {GroupKey} groupKey The key of the created group.
+ * @param {number} [index] The index of the group among the members of the parent group. 
+ * Defaults to the end of the parent group.
+ * @returns {Promise<GroupKey>} The key of the created group.
+ * @throws {RangeError} The name is already used by another member of the parent group.
+ * @throws {NotFoundException} The parent group does not exist.
+ */
+export async function createGroup(groupKey, index = undefined) {
+    const style = groupKey.style ?? hermeticStyle;
+    const name = groupKey.path[groupKey.path.length - 1];
+    if (!name) {
+        throw new RangeError("Invalid group name");
+    }
+    return transaction("Could not create the guideline group", async (client) => {
+        const styleId = await getStyleId(client, style);
+        const parentId = await getGroupId(client, styleId, groupKey.path.slice(0, -1));
+        const rows = await getMemberRows(client, styleId, parentId);
+        toGroupModel("", rows).addMember(new GuidelineGroupModel(name));
+        const position = await reservePosition(client, styleId, parentId, rows, index);
+        await client.query("INSERT INTO guideline_groups(style_id, parent_id, name, position) VALUES ($1, $2, $3, $4)", 
+            [styleId, parentId, name, position]);
+        return { style, path: [...groupKey.path] };
+    });
+}
+
+/**
+ * Rename a guideline group.
+ * 
+ * @param {GroupKey} groupKey The key of the renamed group.
+ * @param {string} name The new name of the group.
+ * @returns {Promise<GroupKey>} The key of the renamed group.
+ * @throws {RangeError} The name is already used by another member of the parent group.
+ * @throws {NotFoundException} The group does not exist.
+ */
+export async function renameGroup(groupKey, name) {
+    const style = groupKey.style ?? hermeticStyle;
+    if (!name) {
+        throw new RangeError("Invalid group name");
+    }
+    return transaction("Could not rename the guideline group", async (client) => {
+        const styleId = await getStyleId(client, style);
+        const groupId = await getGroupId(client, styleId, groupKey.path);
+        const parentId = await getGroupId(client, styleId, groupKey.path.slice(0, -1));
+        toGroupModel("", await getMemberRows(client, styleId, parentId)).updateMember(
+            groupKey.path[groupKey.path.length - 1], new GuidelineGroupModel(name));
+        await client.query("UPDATE guideline_groups SET name = $1 WHERE group_id = $2", [name, groupId]);
+        return { style, path: [...groupKey.path.slice(0, -1), name] };
+    });
+}
+
+/**
+ * Move a guideline group to another parent group, or to another position in the same group.
+ * 
+ * @param {GroupKey} groupKey The key of the moved group.
+ * @param {string[]} parentPath The path of the new parent group. The empty path moves the 
+ * group to the root groups.
+ * @param {number} [index] The index of the group among the members of the new parent group. 
+ * Defaults to the end of the parent group.
+ * @returns {Promise<GroupKey>} The key of the moved group.
+ * @throws {RangeError} The name is already used by another member of the new parent group, or the
+ * new parent is the group itself or one of its descendants.
+ * @throws {NotFoundException} The group or the new parent group does not exist.
+ */
+export async function moveGroup(groupKey, parentPath, index = undefined) {
+    const style = groupKey.style ?? hermeticStyle;
+    const name = groupKey.path[groupKey.path.length - 1];
+    if (parentPath.length >= groupKey.path.length && 
+        groupKey.path.every( (segment, i) => (parentPath[i] === segment))) {
+        throw new RangeError("A group cannot be moved into itself");
+    }
+    return transaction("Could not move the guideline group", async (client) => {
+        const styleId = await getStyleId(client, style);
+        const groupId = await getGroupId(client, styleId, groupKey.path);
+        const parentId = await getGroupId(client, styleId, parentPath);
+        const rows = (await getMemberRows(client, styleId, parentId)).filter( row => (row.group_id !== groupId));
+        toGroupModel("", rows).addMember(new GuidelineGroupModel(name));
+        const position = await reservePosition(client, styleId, parentId, rows, index);
+        await client.query("UPDATE guideline_groups SET parent_id = $1, position = $2 WHERE group_id = $3", 
+            [parentId, position, groupId]);
+        return { style, path: [...parentPath, name] };
+    });
+}
+
+/**
+ * Delete a guideline group with its member groups. The guidelines of the group are not deleted.
+ * 
+ * @param {GroupKey} groupKey The key of the deleted group.
+ * @returns {Promise<boolean>} True, if the group was deleted. False, if the group did not exist.
+ */
+export async function deleteGroup(groupKey) {
+    const style = groupKey.style ?? hermeticStyle;
+    try {
+        return await transaction("Could not delete the guideline group", async (client) => {
+            const styleId = await getStyleId(client, style);
+            const groupId = await getGroupId(client, styleId, groupKey.path);
+            await client.query("DELETE FROM guideline_groups WHERE group_id = $1", [groupId]);
+            return true;
+        });
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Get the guideline identifier of a guideline key.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} styleId The style identifier of the guideline.
+ * @param {import("./guidelines.mjs").GuidelineKey} key The guideline key.
+ * @returns {Promise<number>} The guideline identifier.
+ * @throws {NotFoundException} The guideline does not exist.
+ */
+async function getGuidelineId(client, styleId, key) {
+    const result = await client.query("SELECT guideline.guideline_id FROM spell_guidelines AS guideline " + 
+        "JOIN arts AS technique ON technique.art_id = guideline.technique_id " + 
+        "JOIN arts AS form ON form.art_id = guideline.form_id " + 
+        "WHERE guideline.style_id = $1 AND technique.art = $2 AND form.art = $3 AND guideline.level = $4 " + 
+        "AND guideline.name = $5 AND guideline.deleted_at IS NULL", [styleId, key.technique, key.form, key.level == null ? 0 : key.level, key.name]);
+    if (result.rowCount === 0) {
+        throw new NotFoundException(`The guideline ${guidelineKeyToString(key)} does not exist`);
+    }
+    return result.rows[0].guideline_id;
+}
+
+/**
+ * Add a guideline to a guideline group.
+ * 
+ * @param {GroupKey} groupKey The key of the group.
+ * @param {import("./guidelines.mjs").GuidelineKey} guidelineKey The key of the added guideline.
+ * @param {number} [index] The index of the guideline among the members of the group. Defaults to
+ * the end of the group.
+ * @returns {Promise<GroupKey>} The key of the group.
+ * @throws {RangeError} The name of the guideline is already used by another member of the group.
+ * @throws {NotFoundException} The group or the guideline does not exist.
+ */
+export async function addGroupMember(groupKey, guidelineKey, index = undefined) {
+    const style = groupKey.style ?? hermeticStyle;
+    const key = getGuidelineKey(guidelineKey, style);
+    if (groupKey.path.length === 0 || key.style !== style) {
+        throw new RangeError("The guidelines must belong to a group of their own style");
+    }
+    return transaction("Could not add the guideline to the group", async (client) => {
+        const styleId = await getStyleId(client, style);
+        const groupId = await getGroupId(client, styleId, groupKey.path);
+        const guidelineId = await getGuidelineId(client, styleId, key);
+        const rows = await getMemberRows(client, styleId, groupId);
+        toGroupModel(groupKey.path[groupKey.path.length - 1], rows).addMember(
+            new GuidelineModel(key.name, key.technique, key.form, key.level));
+        const position = await reservePosition(client, styleId, groupId, rows, index);
+        await client.query("INSERT INTO guideline_group_members(group_id, guideline_id, position) VALUES ($1, $2, $3)", 
+            [groupId, guidelineId, position]);
+        return { style, path: [...groupKey.path] };
+    });
+}
+
+/**
+ * Remove a guideline from a guideline group.
+ * 
+ * @param {GroupKey} groupKey The key of the group.
+ * @param {import("./guidelines.mjs").GuidelineKey} guidelineKey The key of the removed guideline.
+ * @returns {Promise<boolean>} True, if the guideline was removed. False, if the guideline was not
+ * a member of the group.
+ * @throws {NotFoundException} The group does not exist.
+ */
+export async function removeGroupMember(groupKey, guidelineKey) {
+    const style = groupKey.style ?? hermeticStyle;
+    const key = getGuidelineKey(guidelineKey, style);
+    return transaction("Could not remove the guideline from the group", async (client) => {
+        const styleId = await getStyleId(client, style);
+        const groupId = await getGroupId(client, styleId, groupKey.path);
+        let guidelineId;
+        try {
+            guidelineId = await getGuidelineId(client, styleId, key);
+        } catch (error) {
+            if (error instanceof NotFoundException) {
+                return false;
+            }
+            throw error;
+        }
+        const result = await client.query("DELETE FROM guideline_group_members WHERE group_id = $1 AND guideline_id = $2", 
+            [groupId, guidelineId]);
+        return result.rowCount > 0;
+    });
+}
@@ -6,9 +6,16 @@
  */
 
 import { revalidatePath } from "next/cache";
-import { compareIgnoreUndefined } from "./comparison.mjs";
-import { GuidelineModel, NotFoundException, guidelineKeyToString, getGuidelineKey } from "./guidelines.mjs";
-import { compareLevel, compareName, artComparison, compareGuideline, compareGuidelineKeys } from "./guidelines.mjs";
+import { redirect } from "next/navigation";
+import { GuidelineModel, NotFoundException, guidelineKeyToString, getGuidelineKey, toSlug } from "./guidelines.mjs";
+import { generalLevelKey, parseGuidelineKey, validGuidelineLevel } from "./guidelines.mjs";
+import { LevelFormula } from "./levelFormula.mjs";
+import { hermeticStyle } from "./arts.mjs";
+import { compileGuidelineQuery, encodeCursor, splitSnippet } from "./guidelineQuery.mjs";
+import { select, sql } from "./selectQuery.mjs";
+import { getGuidelineHistoryPath } from "./routes.mjs";
+import { parseImportRecords, validateImportRecords } from "./guidelineImport.mjs";
+import { getArts } from "./artActions.mjs";
 import {Pool, Client} from 'pg';
 const pool = new Pool();
 
@@ -24,209 +31,423 @@ function initDatabase() {
  */
 
 /**
- * The filter selecting some guidelines.
- * 
- * @typedef {Predicate<Partial<GuidelineKey>>} GuidelineFilter
+ * The guideline query type.
+ * @typedef {import("@/data/guidelineQuery.mjs").GuidelineQuery} GuidelineQuery
  */
 
 /**
- * The guidelines.
- * @type {Array<GuidelineModel>}
+ * The guideline columns of the guidelines view.
  */
-var guidelines = [
-    new GuidelineModel("Create an animal", "Creo", "Animal", 20, "Create a mundane animal."),
-    new GuidelineModel("Destroy a specific kind of magical effect", "Perdo", "Vim", null,
-        "Destroy a specific kind (such a Hermetic spell of specific Form) of level (level + 2 magnitudes)/2.")
-];
+const guidelineColumns = "style,form,technique,level,name,description,level_formula,source_ref,source_page";
 
 /**
- * Binary search the index of a value from an array.
- * @template TYPE
- * @param {Array<TYPE>} collection The collection with search window ordered with the comparator.
- * @param {TYPE} seeked The seeked value. 
- * @param {number} [start=0] The start of the search window. Defaults to the start of the
- * collection.
- * @param {number} [end] The end index of the search window. Defaults to the length of the
- * collection.
- * @param {(a:TYPE, b:TYPE) => (number|undefined)} [comparator] The comparator comparing the values of the collection.
- * @returns {number} The index of an seeked value, or -1 - insertion index of the seeked value.
- * @throws {TypeError} Any of the collection values was not comparable with the seeked using
- * the comparator. 
- * @throws {RangeError} The start or end index was invalid.
+ * Convert a guidelines view row to a guideline.
+ * 
+ * @param {Record<string, any>} row The database row.
+ * @returns {import("./guidelines.mjs").Guideline} The guideline of the row.
  */
-function binarySearch(collection, seeked, start = 0, end = undefined, comparator = (a, b) => (
-    a === b ? 0 : a < b ? -1 : b < a ? 1 : undefined
-)) {
-    var s = start;
-    if (s < 0 || s > collection.length) {
-        throw new RangeError("Invalid start index of the search window.")
-    }
-    var e = end ?? collection.length;
-    if (e < 0 || e > collection.lenght) {
-        throw new RangeError("Invalid end index of the search window.")
-    }
-    var i = Math.floor((start + end) / 2);
-    var cmp = 0;
-    while (s < e && cmp === 0) {
-        cmp = comparator(seeked, collection[i]);
-        if (cmp === undefined) {
-            throw new TypeError("Incompatible seeked value", new RangeError(
-                `The value at index ${i} was not comparable with seeked.`
-            ))
-        } else if (cmp < 0) {
-            e = i;
-        } else if (cmp > 0) {
-            s = i + 1;
-        }
-    }
-    // Checking if the value was found.
-    return cmp === 0 ? i : -1 - s;
+function rowToGuideline(row) {
+    return {
+        style: /** @type {string} */ row.style,
+        technique: /** @type {string} */ row.technique,
+        form: /** @type {string} */ row.form,
+        name: /** @type {string} */ row.name, 
+        description: /** @type {string|undefined} */ row.description == null ? undefined: row.description,
+        level: /** @type {number|null} */ row.level === 0 ? null : /** @type {number} */ row.level,
+        ...(row.level_formula == null ? {} : { levelFormula: /** @type {string} */ row.level_formula }),
+        ...(row.source_ref == null ? {} : { source: {
+            ref: /** @type {string} */ row.source_ref, 
+            ...(row.source_page == null ? {} : { page: /** @type {number} */ row.source_page })
+        }})
+    };
+}
+
+/**
+ * Convert a guideline to a guideline model.
+ * 
+ * @param {import("./guidelines.mjs").Guideline} guideline The guideline.
+ * @returns {GuidelineModel} The guideline model of the guideline.
+ */
+function toGuidelineModel(guideline) {
+    return new GuidelineModel(guideline.name, guideline.technique, guideline.form, guideline.level, 
+        guideline.description, guideline.levelFormula, guideline.source, guideline.style);
 }
 
 /**
- * The query builder data type.
- * @typedef {Object} QueryBuilder
- * @property {string[]} [whereClauses=[]] The where clauses.
- * @property {any[]} queryValues The list of query values.
- * @property {number} [placeholderCount=0] The number of unique placeholders.
- * @property {Record<string, number>} [fieldPlaceholders={}] The placeholders of fields.
- * @property {string[]} [groupClauses=[]] The group clauses of the query.
- * @property {string[]} [havingClauses=[]] The having cluases of the query. 
- * @property {string[]} [orderClauses=[]] The order clauses of the query.
+ * A page of guidelines.
+ * @typedef {Object} GuidelinePage
+ * @property {import("./guidelines.mjs").Guideline[]} guidelines The guidelines of the page.
+ * @property {string} [nextCursor] The cursor of the next page. Undefined, if the page was the
+ * last page, or the page was a page of a ranked search.
  */
 
-function validFieldName(fieldName) {
-    return /^([a-z](?:\w*[a-z0-9])?)(?:\.([a-z](?:\w*[a-z0-9])?)?)$/.test(field);
+/**
+ * Get a page of guidelines.
+ * 
+ * @param {GuidelineQuery} [query] The query selecting the guidelines.
+ * @returns {Promise<GuidelinePage>} The guidelines in the query order, and the cursor of the 
+ * next page, if the query was limited, was not a ranked search, and more guidelines may follow.
+ * @throws {RangeError} The query was invalid.
+ */
+export async function getGuidelinePage(query = {}) {
+    const { text, values, orderBy } = compileGuidelineQuery(query);
+    return new Promise( (resolve, reject) => {
+        pool.query(text, values).then(
+            (result) => {
+                const last = result.rows[result.rows.length - 1];
+                resolve({
+                    guidelines: result.rows.map(rowToGuideline),
+                    ...(query.limit != null && result.rows.length === query.limit && !query.search?.trim() ? 
+                        { nextCursor: encodeCursor(last, orderBy) } : {})
+                });
+            },
+            (error) => {
+                reject(new Error("Could not access the guidelines data", { cause: error }));
+            }
+        );
+    });
 }
 
 /**
  * Get guidelines.
- * @param {GuidelineFilter} [filter] The filter selecting some of the guidelines.
- * Defaults to a filter accepting all guidelines.
- * @returns {Promise<import("./guidelines.mjs").Guideline[]>} 
+ * 
+ * @param {GuidelineQuery} [query] The query selecting the guidelines. Defaults to all 
+ * Hermetic guidelines.
+ * @returns {Promise<import("./guidelines.mjs").Guideline[]>} The guidelines in the query order.
+ * @throws {RangeError} The query was invalid.
+ */
+export async function getGuidelines(query = {}) {
+    return (await getGuidelinePage(query)).guidelines;
+}
+
+/**
+ * A guideline search result.
+ * @typedef {Object} GuidelineSearchResult
+ * @property {import("./guidelines.mjs").Guideline} guideline The found guideline.
+ * @property {number} rank The search rank of the guideline.
+ * @property {import("./guidelineQuery.mjs").SnippetSegment[]} snippet The snippet of the guideline
+ * with the matching words.
  */
-export async function getGuidelines(filter = (() => (true)), sqlFilter = undefined) {
+
+/**
+ * Search guidelines by their names and descriptions.
+ * 
+ * @param {string} search The searched words in the web search syntax.
+ * @param {GuidelineQuery} [query] The query restricting the searched guidelines. 
+ * @returns {Promise<GuidelineSearchResult[]>} The found guidelines ordered by the search rank.
+ * @throws {RangeError} The query was invalid.
+ */
+export async function searchGuidelines(search, query = {}) {
+    if (typeof search !== "string" || search.trim() === "") {
+        return [];
+    }
+    const { text, values } = compileGuidelineQuery({ limit: 50, ...query, search });
     return new Promise( (resolve, reject) => {
-        /** @type {QueryBuilder} */
-        var queryBuilder = (getOwnPropertyNames(sqlFilter ?? {})).reduce(
-            ( /** @type {QueryBuilder} */ result, /** @type {string} */ fieldName, index) => {
-                if (validFieldName(fieldName)) {
-                    if (sqlFilter[fieldName] === null) {
-                        result.whereClauses.push(`${field} IS NULL`);
-                    } else if (result.fieldPlaceholders && fieldName in result.fieldPlaceholders) {
-                        // Using the placeholder value of the field.
-                        result.whereClauses.push(`${fieldName} = \$${result.fieldPlaceholders[fieldName]}`);
-                    } else {
-                        // The field is not stored into the placeholders.
-                        result.placeholderCount++;
-                        result.whereClauses.push(`${fieldName} = \$${result[2]}`);
-                        result.queryValues.push(sqlFilter[fieldName]);
-                        result.fieldPlaceholders = {
-                            ...(result.fieldPlaceholders ?? {}),
-                            [fieldName]: result.placeholderCount
-                        };
-                    }
-                } else {
-                    // Invalid fields are ignored.
-                    console.log(`Ignoring filter field ${field}`);
-                }
-                return result;
+        pool.query(text, values).then(
+            (result) => {
+                resolve(result.rows.map( row => ({
+                    guideline: rowToGuideline(row),
+                    rank: /** @type {number} */ row.rank,
+                    snippet: splitSnippet(/** @type {string} */ row.snippet)
+                })));
+            },
+            (error) => {
+                reject(new Error("Could not search the guidelines", { cause: error }));
             }
-            , /** @type {QueryBuilder} */ { 
-                /** @type {string[]} */
-                whereClauses:  [], 
-                /** @type {any[]} */
-                queryValues: [], 
-                /** @type {number} */
-                placeholderCount: 0}
         );
-        queryBuilder = Object.getOwnPropertyNames(order ?? {}).reduce(
-            (result, fieldName, index) => {
-                if (validFieldName(fieldName)) {
-                    const orderValue = order[fieldName];
-                    if (orderValue === null) {
-                        // The field is ignored for order
-                    } else {
-                        // The field is not stored into the placeholders.
-                        result.orderClauses = [...(result.orderClauses ?? []), `${fieldName} ${orderValue}`];
-                    }
+    });
+}
+
+/**
+ * The SQL selecting the style, form, and technique identifiers of the style name $1, 
+ * the form name $2 and the technique name $3.
+ */
+const artIdentifiersQuery = "SELECT style_id, form_id, technique_id " +
+    "FROM ( select style_id, art_id as form_id FROM formView where style = $1 AND art = $2) AS form " +
+    "NATURAL JOIN ( select style_id, art_id as technique_id from techniqueView where style = $1 and art = $3) AS technique";
+
+/**
+ * Get a guideline.
+ * 
+ * @param {GuidelineKey} guidelineKey The key of the guideline.
+ * @returns {Promise<GuidelineModel>} The guideline.
+ * @throws {NotFoundException} The guideline does not exist.
+ */
+export async function getGuideline(guidelineKey) {
+    const key = getGuidelineKey(guidelineKey);
+    return new Promise( (resolve, reject) => {
+        pool.query(select(guidelineColumns).from("guidelinesView").where(sql`style = ${key.style}`, 
+            sql`technique = ${key.technique}`, sql`form = ${key.form}`, sql`level = ${key.level == null ? 0 : key.level}`, 
+            sql`name = ${key.name}`).toQuery()
+        ).then(
+            (result) => {
+                if (result.rowCount > 0) {
+                    resolve(toGuidelineModel(rowToGuideline(result.rows[0])));
                 } else {
-                    // Invalid fields are ignored.
-                    console.log(`Ignoring filter field ${field}`);
+                    reject(new NotFoundException(`The guideline ${guidelineKeyToString(key)} does not exist`));
                 }
-                return result;
             },
-            queryBuilder
-        )
-
-        const stmt = pool.query("SELECT form,technique,level,name,description "+
-            "FROM guidelinesView "+
-            "WHERE style='Hermetic' " +
-            (queryBuilder.whereClauses?.length > 0 ? `AND ${queryBuilder.whereClauses.join(" AND ")}` : "") +
-            "ORDER BY style, form, technique, level, name" + 
-            (queryBuilder.orderClauses?.length > 0 ? `, ${queryBuilder.orderClauses.join(", ")}` : ""),
-            queryBuilder.queryValues);
-        try {
-            stmt.then(
-                (result) => {
-                    resolve(result.rows.map( row => (
-                        /** @type {import("@/data/guidelines.mjs").Guideline} */ {
-                        technique: /** @type {string} */ row.technique,
-                        form: /** @type {string} */ row.form,
-                        name: /** @type {string} */ row.name, 
-                        description: /** @type {string|undefined} */ row.description == null ? undefined: row.desciption,
-                        level: /** @type {number|null} */ row.level === 0 ? null : /** @type {number} */ row.level
-                    })));
-                },
-                (error) => {
-                    reject(new Error("Could not access the guidelines data", error));
-                }
-            );
-        } catch(error) {
-            reject(new Error("Cound not access the guidelines data", error));
-        }
+            (error) => {
+                reject(new Error("Could not access the guidelines data", { cause: error }));
+            }
+        );
     });
 }
 
+/**
+ * Get a guideline by the slug of its name.
+ * 
+ * @param {string} technique The technique of the guideline.
+ * @param {string} form The form of the guideline.
+ * @param {import("./guidelines.mjs").LevelType} level The level of the guideline.
+ * @param {string} slug The name slug of the guideline.
+ * @param {string} [style] The magic style of the guideline. @default "Hermetic"
+ * @returns {Promise<GuidelineModel>} The guideline.
+ * @throws {NotFoundException} The guideline does not exist.
+ */
+export async function getGuidelineBySlug(technique, form, level, slug, style = hermeticStyle) {
+    const found = (await getGuidelines({ style, where: { technique, form, level } })).filter( 
+        guideline => (toSlug(guideline.name) === slug));
+    if (found.length === 0) {
+        throw new NotFoundException("The guideline does not exist");
+    }
+    return toGuidelineModel(found[0]);
+}
+
+/**
+ * The SQL selecting the source book identifier of the source book abbreviation $1.
+ */
+const sourcebookIdQuery = "SELECT book_id FROM sourcebooks WHERE abbrev = $1";
+
+/**
+ * Get the source books.
+ * 
+ * @returns {Promise<import("./guidelines.mjs").Sourcebook[]>} The source books ordered by title.
+ */
+export async function getSourcebooks() {
+    return new Promise( (resolve, reject) => {
+        pool.query("SELECT abbrev, title, edition, publisher FROM sourcebooks ORDER BY title").then(
+            (result) => {
+                resolve(result.rows.map( row => ({
+                    abbrev: row.abbrev, title: row.title, 
+                    ...(row.edition == null ? {} : { edition: row.edition }),
+                    ...(row.publisher == null ? {} : { publisher: row.publisher })
+                })));
+            },
+            (error) => {
+                reject(new Error("Could not access the source books", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * The options of the guideline changes.
+ * @typedef {Object} ChangeOptions
+ * @property {string} [author] The author of the change recorded in the revision history.
+ */
+
+/**
+ * A revision of a guideline.
+ * @typedef {Object} GuidelineRevision
+ * @property {number} id The identifier of the revision.
+ * @property {number} guidelineId The identifier of the revised guideline.
+ * @property {"create"|"update"|"delete"|"restore"|"revert"} operation The operation of the revision.
+ * @property {string} [author] The author of the revision.
+ * @property {Date} createdAt The time of the revision.
+ * @property {import("./guidelines.mjs").Guideline|null} before The guideline before the revision. Null, if the
+ * guideline did not exist or was in the trash.
+ * @property {import("./guidelines.mjs").Guideline|null} after The guideline after the revision. Null, if the
+ * guideline was moved to the trash.
+ */
+
+/**
+ * The query selecting the guidelines with their identifiers and removal times. The callers add their conditions.
+ */
+const guidelineRowQuery = select("guideline.guideline_id", "magicStyles.name AS style", "technique.art AS technique", 
+    "form.art AS form", "guideline.level", "guideline.name", "guideline.description", "guideline.level_formula", 
+    "book.abbrev AS source_ref", "guideline.source_page", "guideline.deleted_at")
+    .from("spell_guidelines", "guideline").join("magicStyles", "magicStyles.style_id = guideline.style_id")
+    .join("arts", "technique.art_id = guideline.technique_id", { alias: "technique" })
+    .join("arts", "form.art_id = guideline.form_id", { alias: "form" })
+    .leftJoin("sourcebooks", "book.book_id = guideline.source_book_id", "book");
+
+/**
+ * Run an action in a transaction.
+ * 
+ * @template RESULT
+ * @param {string} message The error message of the unexpected errors.
+ * @param {(client: import("pg").PoolClient) => Promise<RESULT>} action The action.
+ * @returns {Promise<RESULT>} The result of the action.
+ * @throws {RangeError} The action was invalid.
+ * @throws {NotFoundException} The action refered to a nonexisting guideline.
+ */
+async function transaction(message, action) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await action(client);
+        await client.query("COMMIT");
+        return result;
+    } catch (error) {
+        await client.query("ROLLBACK");
+        if (error.code === "23505") {
+            throw new RangeError("A guideline with the same key already exists", { cause: error });
+        }
+        throw (error instanceof RangeError || error instanceof NotFoundException || error instanceof SyntaxError ? 
+            error : new Error(message, { cause: error }));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get the identifier of an existing guideline and lock it for update.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {GuidelineKey} key The guideline key.
+ * @returns {Promise<number|undefined>} The guideline identifier, or undefined, if the guideline
+ * does not exist.
+ */
+async function findGuidelineId(client, key) {
+    const result = await client.query("SELECT guideline_id FROM spell_guidelines " + 
+        `WHERE (style_id, form_id, technique_id) = (${artIdentifiersQuery}) AND level=$4 AND name=$5 ` + 
+        "AND deleted_at IS NULL FOR UPDATE", 
+        [key.style, key.form, key.technique, key.level == null ? 0 : key.level, key.name]);
+    return result.rowCount > 0 ? result.rows[0].guideline_id : undefined;
+}
+
+/**
+ * Get the snapshot of a guideline.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} id The guideline identifier.
+ * @returns {Promise<import("./guidelines.mjs").Guideline>} The current guideline.
+ */
+async function getGuidelineSnapshot(client, id) {
+    const result = await client.query(guidelineRowQuery.where(sql`guideline.guideline_id = ${id}`).toQuery());
+    return rowToGuideline(result.rows[0]);
+}
+
+/**
+ * Record a guideline revision.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} id The guideline identifier.
+ * @param {GuidelineRevision["operation"]} operation The operation of the revision.
+ * @param {import("./guidelines.mjs").Guideline|null} before The guideline before the revision.
+ * @param {import("./guidelines.mjs").Guideline|null} after The guideline after the revision.
+ * @param {ChangeOptions} options The change options.
+ */
+async function recordRevision(client, id, operation, before, after, options) {
+    await client.query("INSERT INTO guideline_revisions(guideline_id, operation, author, before, after) " + 
+        "VALUES ($1, $2, $3, $4, $5)", 
+        [id, operation, options.author || null, before && JSON.stringify(before), after && JSON.stringify(after)]);
+}
+
+/**
+ * Update the stored guideline fields. The technique and the form are the arts of the magic style
+ * of the stored guideline.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} id The guideline identifier.
+ * @param {import("./guidelines.mjs").Guideline|GuidelineModel} guideline The new value of the guideline.
+ * @param {string} style The magic style of the stored guideline.
+ * @returns {Promise<boolean>} Was the guideline updated. The guideline is not updated, if its
+ * technique, form or source book does not exist.
+ */
+async function setGuidelineFields(client, id, guideline, style) {
+    const result = await client.query('UPDATE spell_guidelines ' + 
+        'SET level=$2, name=$3, description=$4, level_formula=$5, ' + 
+        `source_book_id=(${sourcebookIdQuery.replace("$1", "$6")}), source_page=$7, ` + 
+        "form_id=arts.form_id, technique_id=arts.technique_id " + 
+        `FROM (${artIdentifiersQuery.replaceAll("$1", "$8").replaceAll("$2", "$9").replaceAll("$3", "$10")}) AS arts ` + 
+        "WHERE guideline_id = $1 AND arts.style_id = spell_guidelines.style_id " + 
+        `AND ($6::varchar IS NULL OR EXISTS (${sourcebookIdQuery.replace("$1", "$6")}))`, 
+        [id, guideline.level == null ? 0 : guideline.level, guideline.name, guideline.description ?? null,
+        (typeof guideline.levelFormula === "string" ? guideline.levelFormula : guideline.levelFormula?.source) ?? null, 
+        guideline.source?.ref ?? null, guideline.source?.page ?? null, 
+        style, guideline.form, guideline.technique]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Insert a guideline.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {GuidelineModel} guideline The added guideline.
+ * @param {ChangeOptions} options The change options.
+ * @returns {Promise<GuidelineKey>} The guideline key of the created guideline.
+ * @throws {RangeError} The technique, form or source book of the guideline did not exist.
+ */
+async function insertGuideline(client, guideline, options) {
+    const key = getGuidelineKey(guideline);
+    const result = await client.query(
+        'INSERT INTO spell_guidelines(style_id, form_id, technique_id, level, name, description, level_formula, '+ 
+        'source_book_id, source_page) '+ 
+        `SELECT style_id, form_id, technique_id, $4, $5, $6, $7, source.book_id, $9 FROM (${artIdentifiersQuery}) AS arts `+
+        `LEFT JOIN (${sourcebookIdQuery.replace("$1", "$8")}) AS source ON true ` + 
+        "WHERE $8::varchar IS NULL OR source.book_id IS NOT NULL RETURNING guideline_id",
+        [
+            key.style,
+            key.form,
+            key.technique, 
+            key.level == null ? 0 : key.level, 
+            key.name, guideline.description == null ? null : guideline.description,
+            guideline.levelFormula?.source ?? null,
+            guideline.source?.ref ?? null, guideline.source?.page ?? null
+        ]);
+    if (result.rowCount === 0) {
+        throw new RangeError("Unknown technique, form or source book of the guideline");
+    }
+    const id = result.rows[0].guideline_id;
+    await recordRevision(client, id, "create", null, await getGuidelineSnapshot(client, id), options);
+    return key;
+}
+
+/**
+ * Revise an existing guideline.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {GuidelineKey} key The key of the guideline.
+ * @param {GuidelineModel} guideline The new value of the guideline.
+ * @param {ChangeOptions} options The change options.
+ * @returns {Promise<GuidelineKey>} The guideline key of the updated guideline.
+ * @throws {NotFoundException} The guideline, or its technique, form or source book does not exist.
+ */
+async function reviseGuideline(client, key, guideline, options) {
+    const id = await findGuidelineId(client, key);
+    if (id === undefined) {
+        throw new NotFoundException(`The guideline ${guidelineKeyToString(key)} does not exist`);
+    }
+    const before = await getGuidelineSnapshot(client, id);
+    if (!await setGuidelineFields(client, id, guideline, key.style)) {
+        throw new NotFoundException("The technique, form or source book of the guideline does not exist");
+    }
+    const after = await getGuidelineSnapshot(client, id);
+    await recordRevision(client, id, "update", before, after, options);
+    return getGuidelineKey(after);
+}
+
 /**
  * Add guieline to the guidelines.
  * 
  * @param {GuidelineModel} guideline The added guideline.
+ * @param {ChangeOptions} [options] The change options.
  * @returns {Promise<GuidelineKey>} The guideline key of the created guideline.
- * @throws {RangeError} The guideline was invalid.
+ * @throws {RangeError} The guideline was invalid or already existed.
  */
-export async function addGuideline(guideline) {
-    return new Promise( (resolve, reject) => {
-        console.group(`Adding new guideline ${guidelineKeyToString(guideline)}`);
-        try {
-            pool.query(
-                'INSERT INTO spell_guidelines(style_id, form_id, technique_id, level, name, description) '+ 
-                'SELECT style_id, form_id, art_id as technique_id, $3, $4, $5 ' +
-                "FROM ( select style_id, art_id as form_id FROM formView where style = 'Hermetic' AND art = $1) AS form "+ 
-                "NATURAL JOIN ( select style_id, art_id as technique_id from techniqueView where style = 'Hermetic' and art = $2) AS technique",
-                [
-                    guideline.form,
-                    guideline.technique, 
-                    guideline.level == null ? 0 : guideline.level, 
-                    guideline.name, guideline.description == null ? null : guideline.description
-                ]).then(
-                        (result) => {
-                            if (result.rowCount > 0) {
-                                resolve(true);
-                            } else {
-                                resolve(false);
-                            }
-                        },
-                        (error) => {
-                            reject(new Error("Could not insert the guideline", error));
-                        }
-                    );
-        } catch (error) {
-            console.trace(`Guideline creation failed due error: ${error.message}`)
-            reject(error);
-        }
+export async function addGuideline(guideline, options = {}) {
+    console.group(`Adding new guideline ${guidelineKeyToString(guideline)}`);
+    try {
+        return await transaction("Could not insert the guideline", 
+            (client) => (insertGuideline(client, guideline, options)));
+    } catch (error) {
+        console.trace(`Guideline creation failed due error: ${error.message}`);
+        throw error;
+    } finally {
         console.groupEnd();
-    });
+    }
 }
 
 /**
@@ -234,80 +455,604 @@ export async function addGuideline(guideline) {
  * 
  * @param {GuidelineKey} guidelineKey The key of the guideline.
  * @param {GuidelineModel} guideline The new value of the guideline.
- * @returns {Promise<GuidelineModel>} The replaced guideline.
- */
-export async function updateGuideline(guidelineKey, guideline) {
-    return new Promise((resolve, reject) => {
-        pool.query('UPDATE spell_guidelines ' + 
-            'SET level=$1, name=$2, description=$3 ' + 
-            'WHERE (style_id, form_id, technique_id)  = (' + 
-            'SELECT style_id, form_id, art_id as technique_id, $3, $4, $5 ' +
-            "FROM ( select style_id, art_id as form_id FROM formView where style = 'Hermetic' AND art = $1) AS form "+ 
-            "NATURAL JOIN ( select style_id, art_id as technique_id from techniqueView where style = 'Hermetic' and art = $2) AS technique" + 
-            ')', ['Hermetic', guidelineKey.form, guidelineKey.technique, guideline.level == null ? 0 : guideline.level, 
-            guideline.name, guideline.description ?? null
-        ]).then( 
-            (result) => {
-                resolve(result.rowCount > 0);
-            }, 
-            (error) => {
-                reject(new NotFoundException("The guideline does not exist", error));
+ * @param {ChangeOptions} [options] The change options.
+ * @returns {Promise<GuidelineKey>} The guideline key of the updated guideline.
+ * @throws {NotFoundException} The guideline, or its technique, form or source book does not exist.
+ * @throws {RangeError} Another guideline had the new guideline key.
+ */
+export async function updateGuideline(guidelineKey, guideline, options = {}) {
+    const key = getGuidelineKey(guidelineKey);
+    return transaction("Could not update the guideline", 
+        (client) => (reviseGuideline(client, key, guideline, options)));
+}
+
+/**
+ * The import options.
+ * @typedef {Object} ImportOptions
+ * @property {string} [style] The magic style of the imported guidelines. @default "Hermetic"
+ * @property {boolean} [dryRun=true] Does the import only report the planned changes.
+ * @property {string} [author] The author of the imported revisions.
+ */
+
+/**
+ * The report of an imported row.
+ * @typedef {Object} ImportRowReport
+ * @property {number} row The 1-based number of the record in the imported file.
+ * @property {string} [key] The guideline key string of a valid row.
+ * @property {"insert"|"update"|"invalid"} action The planned action of the row.
+ * @property {import("./guidelineImport.mjs").ImportError[]} errors The errors of the row.
+ */
+
+/**
+ * The report of an import.
+ * @typedef {Object} ImportReport
+ * @property {boolean} applied Were the changes applied.
+ * @property {string} [error] The error of the whole file.
+ * @property {ImportRowReport[]} rows The reports of the rows.
+ * @property {number} inserts The number of the inserted guidelines.
+ * @property {number} updates The number of the updated guidelines.
+ * @property {number} invalid The number of the invalid rows.
+ */
+
+/**
+ * Import guidelines from a CSV, JSON or plain-text file. The existing guidelines with the same key are updated, 
+ * and the others are inserted. The changes are applied in a single transaction, and only if the import
+ * is not a dry run and all rows are valid.
+ * 
+ * @param {string} text The content of the imported file.
+ * @param {import("./guidelineImport.mjs").ImportFormat} format The format of the file.
+ * @param {ImportOptions} [options] The import options.
+ * @returns {Promise<ImportReport>} The import report.
+ * @throws {NotFoundException} The magic style does not exist.
+ */
+export async function importGuidelines(text, format, options = {}) {
+    const { style = hermeticStyle, dryRun = true } = options;
+    /** @type {ImportReport} */
+    const report = { applied: false, rows: [], inserts: 0, updates: 0, invalid: 0 };
+    const [arts, sourcebooks, existing] = await Promise.all([
+        getArts(style), getSourcebooks(), getGuidelines({ style })
+    ]);
+    let records;
+    try {
+        records = parseImportRecords(text, format, arts);
+    } catch (error) {
+        return { ...report, error: error.message };
+    }
+    const existingKeys = new Set(existing.map( guideline => (guidelineKeyToString(guideline))));
+    const results = validateImportRecords(records, arts, sourcebooks.map( book => (book.abbrev)));
+    report.rows = results.map( ({row, guideline, errors}) => {
+        if (guideline === undefined) {
+            return { row, action: "invalid", errors };
+        }
+        const key = guidelineKeyToString(guideline);
+        return { row, key, action: existingKeys.has(key) ? "update" : "insert", errors };
+    });
+    report.inserts = report.rows.filter( row => (row.action === "insert")).length;
+    report.updates = report.rows.filter( row => (row.action === "update")).length;
+    report.invalid = report.rows.filter( row => (row.action === "invalid")).length;
+    if (dryRun || report.invalid > 0) {
+        return report;
+    }
+    await transaction("Could not import the guidelines", async (client) => {
+        for (const { guideline } of results) {
+            const key = getGuidelineKey(/** @type {GuidelineModel} */ (guideline));
+            if (await findGuidelineId(client, key) === undefined) {
+                await insertGuideline(client, guideline, options);
+            } else {
+                await reviseGuideline(client, key, guideline, options);
             }
-        )
+        }
     });
+    return { ...report, applied: true };
 }
 
 /**
- * Remove an existing guideline.
+ * Remove an existing guideline. The removed guideline is moved to the trash.
  * 
- * @param {GuidelineKey|string} guidelineKey The guideline name or the guideline key of the removed
+ * @param {GuidelineKey|string} guidelineKey The guideline key or the guideline key string of the removed
  * guideline. 
- * @returns {Promise<GuidelineModel|undefined>} The removed guideline.
- */
-export async function removeGuideline(guidelineKey) {
-    var index = -1;
-    switch (typeof guidelineKey) {
-        case "string":
-            index = guidelines.findIndex( (/** @type {GuidelineModel} */ cursor) => (
-                cursor.name === guidelineKey
-            ));
-            break;
-        case "object":
-            index = binarySearch(guidelines, guidelineKey, 0, guidelines.length,
-                compareGuidelineKeys);
-            break;
-        default:
+ * @param {ChangeOptions} [options] The change options.
+ * @returns {Promise<GuidelineModel|undefined>} The removed guideline, or undefined, if the guideline
+ * did not exist.
+ * @throws {SyntaxError} The guideline key string was invalid.
+ */
+export async function removeGuideline(guidelineKey, options = {}) {
+    const key = typeof guidelineKey === "string" ? parseGuidelineKey(guidelineKey) : getGuidelineKey(guidelineKey);
+    return transaction("Could not remove the guideline", async (client) => {
+        const id = await findGuidelineId(client, key);
+        if (id === undefined) {
             return undefined;
+        }
+        const before = await getGuidelineSnapshot(client, id);
+        await client.query("UPDATE spell_guidelines SET deleted_at = now() WHERE guideline_id = $1", [id]);
+        await recordRevision(client, id, "delete", before, null, options);
+        return toGuidelineModel(before);
+    });
+}
+
+/**
+ * A guideline in the trash.
+ * @typedef {Object} TrashedGuideline
+ * @property {number} id The identifier of the trashed guideline.
+ * @property {import("./guidelines.mjs").Guideline} guideline The trashed guideline.
+ * @property {Date} deletedAt The time of the removal.
+ */
+
+/**
+ * Get the guidelines in the trash.
+ * 
+ * @param {string} [style] The magic style of the guidelines. @default "Hermetic"
+ * @returns {Promise<TrashedGuideline[]>} The trashed guidelines, the most recently removed first.
+ */
+export async function getTrashedGuidelines(style = hermeticStyle) {
+    return new Promise( (resolve, reject) => {
+        pool.query(guidelineRowQuery.where(sql`magicStyles.name = ${style}`, "guideline.deleted_at IS NOT NULL")
+            .orderBy("guideline.deleted_at DESC").toQuery()
+        ).then(
+            (result) => {
+                resolve(result.rows.map( row => ({
+                    id: /** @type {number} */ row.guideline_id,
+                    guideline: rowToGuideline(row),
+                    deletedAt: /** @type {Date} */ row.deleted_at
+                })));
+            },
+            (error) => {
+                reject(new Error("Could not access the trash", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * Get a guideline in the trash.
+ * 
+ * @param {number} id The identifier of the trashed guideline.
+ * @returns {Promise<TrashedGuideline>} The trashed guideline.
+ * @throws {NotFoundException} The guideline is not in the trash.
+ */
+export async function getTrashedGuideline(id) {
+    return new Promise( (resolve, reject) => {
+        pool.query(guidelineRowQuery.where(sql`guideline.guideline_id = ${id}`, "guideline.deleted_at IS NOT NULL")
+            .toQuery()
+        ).then(
+            (result) => {
+                if (result.rowCount === 0) {
+                    reject(new NotFoundException("The guideline is not in the trash"));
+                } else {
+                    resolve({
+                        id: /** @type {number} */ result.rows[0].guideline_id,
+                        guideline: rowToGuideline(result.rows[0]),
+                        deletedAt: /** @type {Date} */ result.rows[0].deleted_at
+                    });
+                }
+            },
+            (error) => {
+                reject(new Error("Could not access the trash", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * Restore a guideline from the trash.
+ * 
+ * @param {number} id The identifier of the trashed guideline.
+ * @param {ChangeOptions} [options] The change options.
+ * @returns {Promise<GuidelineKey>} The guideline key of the restored guideline.
+ * @throws {NotFoundException} The guideline is not in the trash.
+ * @throws {RangeError} An existing guideline has the same guideline key.
+ */
+export async function restoreGuideline(id, options = {}) {
+    return transaction("Could not restore the guideline", async (client) => {
+        const result = await client.query("UPDATE spell_guidelines SET deleted_at = NULL " + 
+            "WHERE guideline_id = $1 AND deleted_at IS NOT NULL", [id]);
+        if (result.rowCount === 0) {
+            throw new NotFoundException("The guideline is not in the trash");
+        }
+        const after = await getGuidelineSnapshot(client, id);
+        await recordRevision(client, id, "restore", null, after, options);
+        return getGuidelineKey(after);
+    });
+}
+
+/**
+ * Convert a revision row to a revision.
+ * 
+ * @param {Record<string, any>} row The database row.
+ * @returns {GuidelineRevision} The revision of the row.
+ */
+function rowToRevision(row) {
+    return {
+        id: /** @type {number} */ row.revision_id,
+        guidelineId: /** @type {number} */ row.guideline_id,
+        operation: row.operation,
+        ...(row.author == null ? {} : { author: /** @type {string} */ row.author }),
+        createdAt: /** @type {Date} */ row.created_at,
+        before: row.before,
+        after: row.after
+    };
+}
+
+/**
+ * Get the revision history of a guideline.
+ * 
+ * @param {number|GuidelineKey} guideline The identifier of the guideline, or the key of an existing
+ * guideline. The identifier finds also the guidelines in the trash.
+ * @returns {Promise<GuidelineRevision[]>} The revisions of the guideline, the latest first.
+ * @throws {NotFoundException} The guideline does not exist.
+ */
+export async function getGuidelineHistory(guideline) {
+    const client = await pool.connect();
+    try {
+        let id;
+        if (typeof guideline === "number") {
+            const result = await client.query("SELECT guideline_id FROM spell_guidelines WHERE guideline_id = $1", 
+                [guideline]);
+            if (result.rowCount === 0) {
+                throw new NotFoundException("The guideline does not exist");
+            }
+            id = guideline;
+        } else {
+            const key = getGuidelineKey(guideline);
+            id = await findGuidelineId(client, key);
+            if (id === undefined) {
+                throw new NotFoundException(`The guideline ${guidelineKeyToString(key)} does not exist`);
+            }
+        }
+        const result = await client.query("SELECT revision_id, guideline_id, operation, author, created_at, before, after " + 
+            "FROM guideline_revisions WHERE guideline_id = $1 ORDER BY created_at DESC, revision_id DESC", [id]);
+        return result.rows.map(rowToRevision);
+    } catch (error) {
+        throw (error instanceof NotFoundException ? error : 
+            new Error("Could not access the guideline history", { cause: error }));
+    } finally {
+        client.release();
     }
-    if (index >= 0) {
-        return Promise.resolve((guidelines.splice(index, 1))[0]);
-    } else {
-        return Promise.resolve(undefined);
+}
+
+/**
+ * Revert a guideline to its state after a revision. Reverting to a removal moves the guideline
+ * to the trash, and reverting a guideline in the trash to an earlier state restores it.
+ * 
+ * @param {number} revisionId The identifier of the revision.
+ * @param {ChangeOptions} [options] The change options.
+ * @returns {Promise<GuidelineKey|undefined>} The guideline key of the reverted guideline, or undefined,
+ * if the guideline was moved to the trash.
+ * @throws {NotFoundException} The revision, or the technique, form or source book of the revision does not exist.
+ * @throws {RangeError} Another guideline had the reverted guideline key.
+ */
+export async function revertGuideline(revisionId, options = {}) {
+    return transaction("Could not revert the guideline", async (client) => {
+        const result = await client.query("SELECT revision_id, guideline_id, operation, author, created_at, before, after " + 
+            "FROM guideline_revisions WHERE revision_id = $1", [revisionId]);
+        if (result.rowCount === 0) {
+            throw new NotFoundException("The revision does not exist");
+        }
+        const revision = rowToRevision(result.rows[0]);
+        const id = revision.guidelineId;
+        const current = await client.query("SELECT deleted_at FROM spell_guidelines WHERE guideline_id = $1 FOR UPDATE", 
+            [id]);
+        const before = current.rows[0].deleted_at == null ? await getGuidelineSnapshot(client, id) : null;
+        if (revision.after == null) {
+            await client.query("UPDATE spell_guidelines SET deleted_at = coalesce(deleted_at, now()) " + 
+                "WHERE guideline_id = $1", [id]);
+        } else {
+            await client.query("UPDATE spell_guidelines SET deleted_at = NULL WHERE guideline_id = $1", [id]);
+            if (!await setGuidelineFields(client, id, revision.after, revision.after.style)) {
+                throw new NotFoundException("The technique, form or source book of the guideline does not exist");
+            }
+        }
+        const after = revision.after == null ? null : await getGuidelineSnapshot(client, id);
+        await recordRevision(client, id, "revert", before, after, options);
+        return after == null ? undefined : getGuidelineKey(after);
+    });
+}
+
+/**
+ * Remove a guideline from the trash permanently.
+ * 
+ * @param {number} id The identifier of the trashed guideline.
+ * @returns {Promise<void>}
+ * @throws {NotFoundException} The guideline is not in the trash.
+ * @throws {RangeError} The guideline is the base guideline of a spell.
+ */
+export async function purgeGuideline(id) {
+    return new Promise( (resolve, reject) => {
+        pool.query("DELETE FROM spell_guidelines WHERE guideline_id = $1 AND deleted_at IS NOT NULL", [id]).then(
+            (result) => {
+                if (result.rowCount > 0) {
+                    resolve();
+                } else {
+                    reject(new NotFoundException("The guideline is not in the trash"));
+                }
+            },
+            (error) => {
+                if (error.code === "23503") {
+                    reject(new RangeError("The guideline is the base guideline of a spell"));
+                } else {
+                    reject(new Error("Could not purge the guideline", { cause: error }));
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Get the change options of a form submission.
+ * 
+ * @param {FormData} formData The form data containing the optional author as "author".
+ * @returns {ChangeOptions} The change options.
+ */
+function getChangeOptions(formData) {
+    const author = formData.get("author");
+    return typeof author === "string" && author.trim() ? { author: author.trim() } : {};
+}
+
+/**
+ * The result of a trash or revert form action compatible with the form state of React.
+ * @typedef {Object} TrashFormState
+ * @property {boolean} success Did the action succeed.
+ * @property {string} [message] The message of the failed action.
+ */
+
+/**
+ * Convert an error of a trash or revert action to a form state.
+ * 
+ * @param {Error} error The error.
+ * @returns {TrashFormState} The failed form state.
+ * @throws {Error} The error was not caused by the state of the guideline.
+ */
+function trashErrorToFormState(error) {
+    if (error instanceof RangeError || error instanceof NotFoundException) {
+        return { success: false, message: error.message };
     }
+    throw error;
+}
+
+/**
+ * An action handling submission of a restore form action.
+ * 
+ * @param {TrashFormState|undefined} previousState The previous form state.
+ * @param {FormData} formData The form data containing the trashed guideline identifier as "id".
+ * @returns {Promise<TrashFormState>} The result of the restoration.
+ */
+export async function handleRestoreGuideline(previousState, formData) {
+    try {
+        await restoreGuideline(Number(formData.get("id")), getChangeOptions(formData));
+    } catch (error) {
+        return trashErrorToFormState(error);
+    }
+    revalidatePath("/", "layout");
+    return { success: true };
+}
+
+/**
+ * An action handling submission of a purge form action.
+ * 
+ * @param {TrashFormState|undefined} previousState The previous form state.
+ * @param {FormData} formData The form data containing the trashed guideline identifier as "id".
+ * @returns {Promise<TrashFormState>} The result of the purge.
+ */
+export async function handlePurgeGuideline(previousState, formData) {
+    try {
+        await purgeGuideline(Number(formData.get("id")));
+    } catch (error) {
+        return trashErrorToFormState(error);
+    }
+    revalidatePath("/", "layout");
+    return { success: true };
+}
+
+/**
+ * An action handling submission of a revert form action. The browser is redirected to the history
+ * of the reverted guideline, or to the trash, if the guideline was moved to the trash.
+ * 
+ * @param {TrashFormState|undefined} previousState The previous form state.
+ * @param {FormData} formData The form data containing the revision identifier as "revision".
+ * @returns {Promise<TrashFormState>} The result of the failed revert.
+ */
+export async function handleRevertGuideline(previousState, formData) {
+    let key;
+    try {
+        key = await revertGuideline(Number(formData.get("revision")), getChangeOptions(formData));
+    } catch (error) {
+        return trashErrorToFormState(error);
+    }
+    revalidatePath("/", "layout");
+    if (key === undefined) {
+        const style = String(formData.get("style") || hermeticStyle);
+        redirect(style === hermeticStyle ? "/trash" : `/trash?style=${encodeURIComponent(style)}`);
+    }
+    redirect(getGuidelineHistoryPath(key));
+}
+
+/**
+ * The guideline form fields.
+ * @typedef {"style"|"technique"|"form"|"level"|"name"|"description"|"levelFormula"|"source"|"page"|"key"|"author"} GuidelineFormField
+ */
+
+/**
+ * The result of a guideline form action compatible with the form state of React.
+ * @typedef {Object} GuidelineFormState
+ * @property {boolean} success Did the action succeed.
+ * @property {string} [message] The message of the error not concerning a single field.
+ * @property {Partial<Record<GuidelineFormField, string>>} errors The errors of the fields.
+ * @property {Partial<Record<GuidelineFormField, string>>} values The values the user entered.
+ * @property {GuidelineKey} [key] The guideline key of the created, updated or deleted guideline.
+ */
+
+/**
+ * The guideline form fields with string values.
+ * @type {Readonly<GuidelineFormField[]>}
+ */
+const guidelineFormFields = Object.freeze(["style", "technique", "form", "level", "name", "description", 
+    "levelFormula", "source", "page", "key", "author"]);
+
+/**
+ * Get the entered values of a guideline form.
+ * 
+ * @param {FormData} formData The form data.
+ * @returns {Partial<Record<GuidelineFormField, string>>} The entered string values.
+ */
+function getFormValues(formData) {
+    return Object.fromEntries(guidelineFormFields.filter( field => (typeof formData.get(field) === "string")).map( 
+        field => ([field, /** @type {string} */ (formData.get(field))])));
+}
+
+/**
+ * Read a guideline from the guideline form.
+ * 
+ * @param {Partial<Record<GuidelineFormField, string>>} values The entered values.
+ * @returns {Promise<{guideline?: GuidelineModel, errors: GuidelineFormState["errors"]}>} The guideline,
+ * if the values were valid, and the field errors.
+ */
+async function readGuidelineForm(values) {
+    /** @type {GuidelineFormState["errors"]} */
+    const errors = {};
+    const style = values.style?.trim() || hermeticStyle;
+    let arts;
+    try {
+        arts = await getArts(style);
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            return { errors: { style: `Unknown magic style ${style}` } };
+        }
+        throw error;
+    }
+    const technique = values.technique?.trim();
+    if (!technique) {
+        errors.technique = "Technique is required";
+    } else if (!arts.techniques.includes(technique)) {
+        errors.technique = `Unknown technique ${technique}`;
+    }
+    const form = values.form?.trim();
+    if (!form) {
+        errors.form = "Form is required";
+    } else if (!arts.forms.includes(form)) {
+        errors.form = `Unknown form ${form}`;
+    }
+    const levelValue = values.level?.trim() ?? "";
+    const level = levelValue === "" || levelValue === generalLevelKey ? null : Number(levelValue);
+    if (level !== null && !Number.isInteger(level)) {
+        errors.level = "Level must be a number or general";
+    } else if (!validGuidelineLevel(level)) {
+        errors.level = "Level must be 1 to 5 or a multiple of 5";
+    }
+    const name = values.name?.trim();
+    if (!name) {
+        errors.name = "Name is required";
+    }
+    const levelFormula = values.levelFormula?.trim() || undefined;
+    if (levelFormula !== undefined) {
+        if (level !== null) {
+            errors.levelFormula = "Only a general guideline may have a level formula";
+        } else if (!LevelFormula.valid(levelFormula)) {
+            errors.levelFormula = "Invalid level formula";
+        }
+    }
+    const ref = values.source?.trim() || undefined;
+    if (ref !== undefined && !(await getSourcebooks()).some( book => (book.abbrev === ref))) {
+        errors.source = `Unknown source book ${ref}`;
+    }
+    const page = values.page?.trim() || undefined;
+    if (page !== undefined && (ref === undefined || !/^[1-9]\d*$/.test(page))) {
+        errors.page = ref === undefined ? "A page requires a source book" : "Page must be a positive number";
+    }
+    if (Object.getOwnPropertyNames(errors).length > 0) {
+        return { errors };
+    }
+    return { 
+        guideline: new GuidelineModel(name, technique, form, level, values.description?.trim() || undefined, 
+            levelFormula, ref === undefined ? undefined : { ref, ...(page === undefined ? {} : { page: Number(page) }) },
+            style), 
+        errors 
+    };
+}
+
+/**
+ * Convert an error of a guideline change to a form state.
+ * 
+ * @param {Error} error The error.
+ * @param {Partial<Record<GuidelineFormField, string>>} values The entered values.
+ * @returns {GuidelineFormState} The failed form state. A duplicate guideline key is the error of the name,
+ * and the other errors are the message of the form.
+ * @throws {Error} The error was not caused by the entered values.
+ */
+function errorToFormState(error, values) {
+    if (error instanceof RangeError && error.cause?.code === "23505") {
+        return { success: false, errors: { 
+            name: "A guideline with the same technique, form, level and name already exists" 
+        }, values };
+    } else if (error instanceof RangeError || error instanceof NotFoundException || error instanceof SyntaxError) {
+        return { success: false, message: error.message, errors: {}, values };
+    }
+    throw error;
 }
 
 /**
  * An action handling submission of a create form action.
+ * 
+ * @param {GuidelineFormState|undefined} previousState The previous form state.
  * @param {FormData} formData The form data containing the guideline fields.
+ * @returns {Promise<GuidelineFormState>} The result of the creation.
  */
-export async function handleCreateGuideline(formData) {
-    console.group("Handling create new spell request");
-    const technique = formData.get("technique");
-    const form = formData.get("form");
-    const level = formData.get("level") ? new Number(formData.get("level")) : null;
-    const name = formData.get("name");
-    const descripton = formData.has("description") && formData.get("description") ? formData.get("description") : undefined;
-    const created = new GuidelineModel(name, technique, form, level, descripton);
-    console.log(`Adding guideline: ${guidelineKeyToString(created)}`);
+export async function handleCreateGuideline(previousState, formData) {
+    const values = getFormValues(formData);
+    const { guideline, errors } = await readGuidelineForm(values);
+    if (guideline === undefined) {
+        return { success: false, errors, values };
+    }
     try {
-        const guidelineKey = await addGuideline(created);
-        console.log(`Created guideline ${guidelineKeyToString(created, true)}`);
-        console.groupEnd();
+        const key = await addGuideline(guideline, getChangeOptions(formData));
         revalidatePath("/", "layout");
-        return guidelineKey;
-    } catch(error) {
-        console.error(`Adding guideline failed: ${error.message}`);
-        console.groupEnd();
-        throw error;
+        return { success: true, errors: {}, values, key };
+    } catch (error) {
+        return errorToFormState(error, values);
+    }
+}
+
+/**
+ * An action handling submission of an update form action.
+ * 
+ * @param {GuidelineFormState|undefined} previousState The previous form state.
+ * @param {FormData} formData The form data containing the guideline key string of the updated 
+ * guideline as "key", and the new guideline fields.
+ * @returns {Promise<GuidelineFormState>} The result of the update.
+ */
+export async function handleUpdateGuideline(previousState, formData) {
+    const values = getFormValues(formData);
+    const { guideline, errors } = await readGuidelineForm(values);
+    if (guideline === undefined) {
+        return { success: false, errors, values };
+    }
+    try {
+        const key = await updateGuideline(parseGuidelineKey(values.key ?? "", guideline.style), guideline, 
+            getChangeOptions(formData));
+        revalidatePath("/", "layout");
+        return { success: true, errors: {}, values, key };
+    } catch (error) {
+        return errorToFormState(error, values);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * An action handling submission of a delete form action. The guideline is moved to the trash.
+ * 
+ * @param {GuidelineFormState|undefined} previousState The previous form state.
+ * @param {FormData} formData The form data containing the guideline key string as "key".
+ * @returns {Promise<GuidelineFormState>} The result of the removal.
+ */
+export async function handleDeleteGuideline(previousState, formData) {
+    const values = getFormValues(formData);
+    try {
+        const key = parseGuidelineKey(values.key ?? "", values.style || hermeticStyle);
+        if (await removeGuideline(key, getChangeOptions(formData)) === undefined) {
+            return { success: false, message: `The guideline ${guidelineKeyToString(key)} does not exist`, 
+                errors: {}, values };
+        }
+        revalidatePath("/", "layout");
+        return { success: true, errors: {}, values, key };
+    } catch (error) {
+        return errorToFormState(error, values);
+    }
+}
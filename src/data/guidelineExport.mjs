@@ -0,0 +1,255 @@
+/**
+ * @module data/guidelineExport
+ * The printable guideline sheets in Markdown, HTML and LaTeX.
+ */
+
+import { compareArts, sourceReferenceToString } from "./guidelines.mjs";
+
+/**
+ * The guideline properties.
+ * @typedef {import("./guidelines.mjs").Guideline} Guideline
+ */
+
+/**
+ * The export format.
+ * @typedef {"markdown"|"html"|"latex"} ExportFormat
+ */
+
+/**
+ * The file properties of the export formats.
+ * @type {Readonly<Record<ExportFormat, {name: string, extension: string, contentType: string}>>}
+ */
+export const exportFormats = Object.freeze({
+    markdown: Object.freeze({ name: "Markdown", extension: "md", contentType: "text/markdown; charset=utf-8" }),
+    html: Object.freeze({ name: "HTML", extension: "html", contentType: "text/html; charset=utf-8" }),
+    latex: Object.freeze({ name: "LaTeX", extension: "tex", contentType: "application/x-latex; charset=utf-8" })
+});
+
+/**
+ * The guidelines of a technique and form combination.
+ * @typedef {Object} GuidelineSection
+ * @property {string} technique The technique of the section.
+ * @property {string} form The form of the section.
+ * @property {Guideline[]} general The general guidelines.
+ * @property {Array<[number, Guideline[]]>} ladder The levels and their guidelines in the ascending
+ * order of levels.
+ */
+
+/**
+ * The export options.
+ * @typedef {Object} ExportOptions
+ * @property {string} [title="Spell guidelines"] The title of the sheet.
+ * @property {Readonly<string[]>} [techniques] The techniques in the order of the sections. Defaults
+ * to the rulebook order.
+ * @property {Readonly<string[]>} [forms] The forms in the order of the sections. Defaults to the
+ * rulebook order.
+ * @property {import("./guidelines.mjs").Sourcebook[]} [sourcebooks=[]] The source books of the citations.
+ */
+
+/**
+ * Create the art comparison of the art order.
+ *
+ * @param {Readonly<string[]>} [arts] The arts in order.
+ * @returns {(a: string, b: string) => number} The comparison of the arts.
+ */
+function artOrder(arts) {
+    if (arts === undefined) {
+        return (a, b) => (compareArts(a, b) ?? 0);
+    }
+    const index = (/** @type {string} */ art) => (arts.includes(art) ? arts.indexOf(art) : arts.length);
+    return (a, b) => (index(a) - index(b) || (compareArts(a, b) ?? 0));
+}
+
+/**
+ * Group the guidelines into technique and form sections.
+ *
+ * @param {Guideline[]} guidelines The exported guidelines.
+ * @param {ExportOptions} [options] The export options.
+ * @returns {GuidelineSection[]} The sections in the order of techniques and forms.
+ */
+export function groupGuidelines(guidelines, options = {}) {
+    /** @type {Map<string, GuidelineSection>} */
+    const sections = new Map();
+    guidelines.forEach( guideline => {
+        const id = `${guideline.technique}/${guideline.form}`;
+        if (!sections.has(id)) {
+            sections.set(id, { technique: guideline.technique, form: guideline.form, general: [], ladder: [] });
+        }
+        const section = sections.get(id);
+        if (guideline.level == null) {
+            section.general.push(guideline);
+        } else {
+            const step = section.ladder.find( ([level]) => (level === guideline.level));
+            if (step) {
+                step[1].push(guideline);
+            } else {
+                section.ladder.push([guideline.level, [guideline]]);
+            }
+        }
+    });
+    const compareTechnique = artOrder(options.techniques);
+    const compareForm = artOrder(options.forms);
+    return [...sections.values()].map( section => ({
+        ...section, ladder: section.ladder.sort( (a, b) => (a[0] - b[0]))
+    })).sort( (a, b) => (compareTechnique(a.technique, b.technique) || compareForm(a.form, b.form)));
+}
+
+/**
+ * Get the citation of a guideline.
+ *
+ * @param {Guideline} guideline The guideline.
+ * @param {import("./guidelines.mjs").Sourcebook[]} sourcebooks The source books.
+ * @returns {string|undefined} The citation, or undefined, if the guideline has no source.
+ */
+function citation(guideline, sourcebooks) {
+    return guideline.source && sourceReferenceToString(guideline.source,
+        sourcebooks.find( book => (book.abbrev === guideline.source.ref)));
+}
+
+/**
+ * Escape the Markdown special characters.
+ *
+ * @param {string} text The escaped text.
+ * @returns {string} The escaped Markdown.
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>#|]/g, "\\$&");
+}
+
+/**
+ * Escape the HTML special characters.
+ *
+ * @param {string} text The escaped text.
+ * @returns {string} The escaped HTML.
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => (`&#${c.charCodeAt(0)};`));
+}
+
+/**
+ * The LaTeX replacements of the special characters.
+ * @type {Readonly<Record<string, string>>}
+ */
+const latexReplacements = Object.freeze({
+    "\\": "\\textbackslash{}", "&": "\\&", "%": "\\%", "$": "\\$", "#": "\\#", "_": "\\_", "{": "\\{",
+    "}": "\\}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}"
+});
+
+/**
+ * Escape the LaTeX special characters.
+ *
+ * @param {string} text The escaped text.
+ * @returns {string} The escaped LaTeX.
+ */
+function escapeLatex(text) {
+    return text.replace(/[\\&%$#_{}~^]/g, c => (latexReplacements[c]));
+}
+
+/**
+ * Render the guidelines as Markdown.
+ *
+ * @param {GuidelineSection[]} sections The sections.
+ * @param {Required<ExportOptions>} options The export options.
+ * @returns {string} The Markdown document.
+ */
+function renderMarkdown(sections, {title, sourcebooks}) {
+    const item = (/** @type {Guideline} */ guideline) => {
+        const source = citation(guideline, sourcebooks);
+        return `- **${escapeMarkdown(guideline.name)}**${guideline.description ? ` ${escapeMarkdown(guideline.description)}` : ""
+            }${source ? ` _(${escapeMarkdown(source)})_` : ""}`;
+    };
+    return [`# ${escapeMarkdown(title)}`, ...sections.flatMap( section => ([
+        "", `## ${section.technique} ${section.form}`,
+        ...(section.general.length > 0 ? ["", "### General", "", ...section.general.map(item)] : []),
+        ...section.ladder.flatMap( ([level, guidelines]) => (["", `### Level ${level}`, "", ...guidelines.map(item)]))
+    ]))].join("\n") + "\n";
+}
+
+/**
+ * The print style sheet of the HTML sheets.
+ */
+const printStyle = "@page { margin: 2cm; } " +
+    "body { font-family: Georgia, serif; font-size: 11pt; line-height: 1.3; } " +
+    "section { break-inside: avoid-page; } h2 { break-after: avoid; border-bottom: 1px solid; } " +
+    "h3 { break-after: avoid; margin-bottom: 0.2em; } ul { margin-top: 0; } .source { font-style: italic; }";
+
+/**
+ * Render the guidelines as a printable HTML document.
+ *
+ * @param {GuidelineSection[]} sections The sections.
+ * @param {Required<ExportOptions>} options The export options.
+ * @returns {string} The HTML document.
+ */
+function renderHtml(sections, {title, sourcebooks}) {
+    const list = (/** @type {Guideline[]} */ guidelines) => (`<ul>${guidelines.map( guideline => {
+        const source = citation(guideline, sourcebooks);
+        return `<li><strong>${escapeHtml(guideline.name)}</strong>${
+            guideline.description ? ` ${escapeHtml(guideline.description)}` : ""}${
+            source ? ` <span class="source">(${escapeHtml(source)})</span>` : ""}</li>`;
+    }).join("")}</ul>`);
+    return "<!DOCTYPE html>\n" +
+        `<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+        `<style>${printStyle}</style></head>\n<body>\n<h1>${escapeHtml(title)}</h1>\n` +
+        sections.map( section => (`<section>\n<h2>${escapeHtml(`${section.technique} ${section.form}`)}</h2>\n` +
+            (section.general.length > 0 ? `<h3>General</h3>\n${list(section.general)}\n` : "") +
+            section.ladder.map( ([level, guidelines]) => (`<h3>Level ${level}</h3>\n${list(guidelines)}\n`)).join("") +
+            "</section>\n")).join("") +
+        "</body></html>\n";
+}
+
+/**
+ * Render the guidelines as a LaTeX document.
+ *
+ * @param {GuidelineSection[]} sections The sections.
+ * @param {Required<ExportOptions>} options The export options.
+ * @returns {string} The LaTeX document.
+ */
+function renderLatex(sections, {title, sourcebooks}) {
+    const list = (/** @type {Guideline[]} */ guidelines) => (["\\begin{itemize}", ...guidelines.map( guideline => {
+        const source = citation(guideline, sourcebooks);
+        return `  \\item \\textbf{${escapeLatex(guideline.name)}}${
+            guideline.description ? ` ${escapeLatex(guideline.description)}` : ""}${
+            source ? ` \\emph{(${escapeLatex(source)})}` : ""}`;
+    }), "\\end{itemize}"]);
+    return [
+        "\\documentclass[a4paper,11pt]{article}",
+        "\\usepackage[utf8]{inputenc}",
+        "\\usepackage[T1]{fontenc}",
+        "\\usepackage[margin=2cm]{geometry}",
+        `\\title{${escapeLatex(title)}}`,
+        "\\date{}",
+        "\\begin{document}",
+        "\\maketitle",
+        ...sections.flatMap( section => ([
+            `\\section*{${escapeLatex(`${section.technique} ${section.form}`)}}`,
+            ...(section.general.length > 0 ? ["\\subsection*{General}", ...list(section.general)] : []),
+            ...section.ladder.flatMap( ([level, guidelines]) => ([`\\subsection*{Level ${level}}`, ...list(guidelines)]))
+        ])),
+        "\\end{document}"
+    ].join("\n") + "\n";
+}
+
+/**
+ * Export guidelines as a printable sheet. The guidelines are grouped under technique and form
+ * headings with the general guidelines first, and the leveled guidelines as a level ladder.
+ *
+ * @param {Guideline[]} guidelines The exported guidelines.
+ * @param {ExportFormat} format The export format.
+ * @param {ExportOptions} [options] The export options.
+ * @returns {string} The exported document.
+ * @throws {RangeError} The format was not supported.
+ */
+export function exportGuidelines(guidelines, format, options = {}) {
+    const sections = groupGuidelines(guidelines, options);
+    const renderOptions = { title: "Spell guidelines", sourcebooks: [], ...options };
+    switch (format) {
+        case "markdown":
+            return renderMarkdown(sections, renderOptions);
+        case "html":
+            return renderHtml(sections, renderOptions);
+        case "latex":
+            return renderLatex(sections, renderOptions);
+        default:
+            throw new RangeError(`Unsupported export format ${format}`);
+    }
+}
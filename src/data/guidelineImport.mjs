@@ -0,0 +1,253 @@
+/**
+ * @module data/guidelineImport
+ * The parsing and the validation of the imported guidelines.
+ */
+
+import { GuidelineModel, guidelineKeyToString, validGuidelineLevel } from "./guidelines.mjs";
+import { parseGuidelineText } from "./guidelineParser.mjs";
+
+/**
+ * The import file format.
+ * @typedef {"csv"|"json"|"text"} ImportFormat
+ */
+
+/**
+ * The supported import file formats.
+ * @type {Readonly<ImportFormat[]>}
+ */
+export const importFormats = Object.freeze(["csv", "json", "text"]);
+
+/**
+ * The imported record with the guideline fields.
+ * @typedef {Object} ImportRecord
+ * @property {any} [technique] The technique of the guideline.
+ * @property {any} [form] The form of the guideline.
+ * @property {any} [level] The level of the guideline. An empty value or "general" is the level
+ * of a general guideline.
+ * @property {any} [name] The name of the guideline.
+ * @property {any} [description] The description of the guideline.
+ * @property {any} [levelFormula] The level formula of a general guideline.
+ * @property {any} [source] The abbreviation of the source book.
+ * @property {any} [page] The page of the source book.
+ */
+
+/**
+ * An error of an imported field.
+ * @typedef {Object} ImportError
+ * @property {keyof ImportRecord} [field] The invalid field. Undefined, if the error concerns the whole row.
+ * @property {string} message The error message.
+ */
+
+/**
+ * The validation result of an imported row.
+ * @typedef {Object} ImportRowResult
+ * @property {number} row The 1-based number of the record in the imported file.
+ * @property {GuidelineModel} [guideline] The imported guideline, if the row was valid.
+ * @property {ImportError[]} errors The errors of the row.
+ */
+
+/**
+ * The import columns by their lower case header names.
+ * @type {Readonly<Record<string, keyof ImportRecord>>}
+ */
+const importColumns = Object.freeze({
+    technique: "technique",
+    form: "form",
+    level: "level",
+    name: "name",
+    description: "description",
+    levelformula: "levelFormula",
+    level_formula: "levelFormula",
+    source: "source",
+    source_ref: "source",
+    page: "page",
+    source_page: "page"
+});
+
+/**
+ * Parse comma separated values. The values may be quoted with double quotes, and a double quote
+ * inside a quoted value is escaped with another double quote. The empty lines are ignored.
+ *
+ * @param {string} text The parsed text.
+ * @returns {string[][]} The rows of the values.
+ * @throws {SyntaxError} A quoted value was not terminated.
+ */
+export function parseCsv(text) {
+    /** @type {string[][]} */
+    const rows = [];
+    /** @type {string[]} */
+    let row = [];
+    let value = "";
+    let quoted = false;
+    let index = 0;
+    const endRow = () => {
+        row.push(value);
+        if (row.length > 1 || row[0] !== "") {
+            rows.push(row);
+        }
+        row = [];
+        value = "";
+    };
+    while (index < text.length) {
+        const c = text[index];
+        if (quoted) {
+            if (c === "\"" && text[index + 1] === "\"") {
+                value += c;
+                index++;
+            } else if (c === "\"") {
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c === "\"" && value === "") {
+            quoted = true;
+        } else if (c === ",") {
+            row.push(value);
+            value = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[index + 1] === "\n") {
+                index++;
+            }
+            endRow();
+        } else {
+            value += c;
+        }
+        index++;
+    }
+    if (quoted) {
+        throw new SyntaxError("Unterminated quoted value");
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Parse the imported records.
+ *
+ * A CSV file starts with a header row naming the columns. A JSON file contains an array of
+ * guideline objects, or an object with such array as "guidelines". The source of a JSON
+ * guideline may be a source reference object. A text file contains the guidelines in the
+ * plain-text rulebook layout.
+ *
+ * @param {string} text The content of the imported file.
+ * @param {ImportFormat} format The format of the file.
+ * @param {import("./guidelineParser.mjs").GuidelineParserOptions} [arts] The magic style and the arts of 
+ * a text file. Defaults to the Hermetic arts.
+ * @returns {ImportRecord[]} The imported records.
+ * @throws {SyntaxError} The file was invalid.
+ */
+export function parseImportRecords(text, format, arts = {}) {
+    switch (format) {
+        case "csv": {
+            const [header = [], ...rows] = parseCsv(text);
+            const columns = header.map( name => {
+                const column = importColumns[name.trim().toLowerCase()];
+                if (column === undefined) {
+                    throw new SyntaxError(`Unknown column ${name}`);
+                }
+                return column;
+            });
+            return rows.map( values => (Object.fromEntries(columns.map( (column, index) => ([column, values[index]])))));
+        }
+        case "json": {
+            const content = JSON.parse(text);
+            const guidelines = Array.isArray(content) ? content : content?.guidelines;
+            if (!Array.isArray(guidelines)) {
+                throw new SyntaxError("The JSON file does not contain an array of guidelines");
+            }
+            return guidelines.map( guideline => {
+                if (typeof guideline !== "object" || guideline === null) {
+                    return {};
+                }
+                const { source, ...fields } = guideline;
+                return typeof source === "object" && source !== null ?
+                    { ...fields, source: source.ref, page: source.page ?? fields.page } : { ...fields, source };
+            });
+        }
+        case "text":
+            return parseGuidelineText(text, arts).map( guideline => ({
+                technique: guideline.technique, form: guideline.form, level: guideline.level, name: guideline.name,
+                description: guideline.description, levelFormula: guideline.levelFormula?.source, 
+                source: guideline.source?.ref, page: guideline.source?.page
+            }));
+        default:
+            throw new SyntaxError(`Unsupported import format ${format}`);
+    }
+}
+
+/**
+ * Get the trimmed string value of an imported field.
+ *
+ * @param {any} value The imported value.
+ * @returns {string|undefined} The trimmed non-empty string, or undefined, if the value was empty.
+ */
+function stringValue(value) {
+    const result = value == null ? "" : String(value).trim();
+    return result === "" ? undefined : result;
+}
+
+/**
+ * Validate the imported records.
+ *
+ * @param {ImportRecord[]} records The imported records.
+ * @param {Object} arts The arts of the magic style.
+ * @param {string} arts.style The magic style of the imported guidelines.
+ * @param {Readonly<string[]>} arts.techniques The techniques of the style.
+ * @param {Readonly<string[]>} arts.forms The forms of the style.
+ * @param {Readonly<string[]>} [sourcebooks] The abbreviations of the known source books. Defaults
+ * to accepting all source books.
+ * @returns {ImportRowResult[]} The validation results of the records.
+ */
+export function validateImportRecords(records, {style, techniques, forms}, sourcebooks = undefined) {
+    /** @type {Map<string, number>} */
+    const rowsByKey = new Map();
+    return records.map( (record, index) => {
+        const row = index + 1;
+        /** @type {ImportError[]} */
+        const errors = [];
+        const technique = stringValue(record.technique);
+        if (!techniques.includes(technique)) {
+            errors.push({ field: "technique", message: technique ? `Unknown technique ${technique}` : "Missing technique" });
+        }
+        const form = stringValue(record.form);
+        if (!forms.includes(form)) {
+            errors.push({ field: "form", message: form ? `Unknown form ${form}` : "Missing form" });
+        }
+        const levelValue = stringValue(record.level);
+        const level = levelValue === undefined || levelValue.toLowerCase() === "general" ? null :
+            /^\d+$/.test(levelValue) ? Number(levelValue) : NaN;
+        if (!validGuidelineLevel(level)) {
+            errors.push({ field: "level", message: `Invalid guideline level ${levelValue}` });
+        }
+        const name = stringValue(record.name);
+        if (name === undefined) {
+            errors.push({ field: "name", message: "Missing name" });
+        }
+        const ref = stringValue(record.source);
+        if (ref !== undefined && sourcebooks !== undefined && !sourcebooks.includes(ref)) {
+            errors.push({ field: "source", message: `Unknown source book ${ref}` });
+        }
+        const pageValue = stringValue(record.page);
+        if (pageValue !== undefined && (ref === undefined || !/^[1-9]\d*$/.test(pageValue))) {
+            errors.push({ field: "page", message: ref === undefined ? "Page without a source book" :
+                `Invalid page ${pageValue}` });
+        }
+        if (errors.length > 0) {
+            return { row, errors };
+        }
+        let guideline;
+        try {
+            guideline = new GuidelineModel(name, technique, form, level, stringValue(record.description),
+                stringValue(record.levelFormula), ref === undefined ? undefined :
+                { ref, ...(pageValue === undefined ? {} : { page: Number(pageValue) }) }, style);
+        } catch (error) {
+            return { row, errors: [{ field: "levelFormula", message: error.message }] };
+        }
+        const key = guidelineKeyToString(guideline);
+        if (rowsByKey.has(key)) {
+            return { row, errors: [{ message: `Duplicate of the guideline of row ${rowsByKey.get(key)}` }] };
+        }
+        rowsByKey.set(key, row);
+        return { row, guideline, errors };
+    });
+}
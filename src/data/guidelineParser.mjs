@@ -0,0 +1,135 @@
+/**
+ * @module data/guidelineParser
+ * The parser of the guidelines in the plain-text rulebook layout.
+ *
+ * The guidelines of a technique and form start with a header line like "CrAn Guidelines" or
+ * "Creo Animal Guidelines". The guidelines are entries starting with "General:" or "Level N:".
+ * The rest of the entry line is the name of the guideline without its terminal punctuation, and
+ * the lines following the entry line are joined into its description. The lines between a header
+ * and its first entry are ignored.
+ */
+
+import { getArtAbbrev, hermeticForms, hermeticStyle, hermeticTechniques } from "./arts.mjs";
+import { GuidelineModel, parseSourceReference, validGuidelineLevel } from "./guidelines.mjs";
+
+/**
+ * The options of the guideline parser.
+ * @typedef {Object} GuidelineParserOptions
+ * @property {string} [style="Hermetic"] The magic style of the guidelines.
+ * @property {Readonly<string[]>} [techniques] The techniques of the style. Defaults to the Hermetic techniques.
+ * @property {Readonly<string[]>} [forms] The forms of the style. Defaults to the Hermetic forms.
+ */
+
+/**
+ * The regular expression matching to a header line. The first group is the technique and form.
+ */
+const headerRegex = /^\s*(\S+(?:\s+\S+)?)\s+guidelines\s*:?\s*$/i;
+
+/**
+ * The regular expression matching to an entry line. The first group is the level, the second group
+ * is "general", and the third group is the name.
+ */
+const entryRegex = /^\s*(?:level\s+(\d+)|(general))\s*:\s*(.*)$/i;
+
+/**
+ * The regular expression matching to the terminal punctuation of a name.
+ */
+const terminalPunctuationRegex = /[\s.!?:;,]+$/;
+
+/**
+ * Find an art by its name or abbreviation.
+ *
+ * @param {string} text The name or the abbreviation of the art.
+ * @param {Readonly<string[]>} arts The arts.
+ * @returns {string|undefined} The art, or undefined, if no art matched.
+ */
+function findArt(text, arts) {
+    const lowerCase = text.toLowerCase();
+    return arts.find( art => (art.toLowerCase() === lowerCase || getArtAbbrev(art).toLowerCase() === lowerCase));
+}
+
+/**
+ * Parse the technique and the form of a header.
+ *
+ * @param {string} header The technique and form of the header, either as two words, or as
+ * concatenated abbreviations.
+ * @param {Readonly<string[]>} techniques The techniques.
+ * @param {Readonly<string[]>} forms The forms.
+ * @returns {[string, string]|undefined} The technique and the form, or undefined, if the header
+ * was not a technique and a form.
+ */
+function parseHeaderArts(header, techniques, forms) {
+    const words = header.split(/\s+/);
+    if (words.length === 2) {
+        const technique = findArt(words[0], techniques);
+        const form = findArt(words[1], forms);
+        return technique && form ? [technique, form] : undefined;
+    }
+    for (const technique of techniques) {
+        const prefix = [technique, getArtAbbrev(technique)].find(
+            candidate => (header.toLowerCase().startsWith(candidate.toLowerCase())));
+        const form = prefix && findArt(header.substring(prefix.length), forms);
+        if (form) {
+            return [technique, form];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parse guidelines from the plain-text rulebook layout.
+ *
+ * @param {string} text The parsed text.
+ * @param {GuidelineParserOptions} [options] The parser options.
+ * @returns {GuidelineModel[]} The guidelines in the order of the text.
+ * @throws {SyntaxError} An entry was outside a technique and form, had an invalid level, or had
+ * no name. The message contains the line number of the entry.
+ */
+export function parseGuidelineText(text, options = {}) {
+    const { style = hermeticStyle, techniques = hermeticTechniques, forms = hermeticForms } = options;
+    /** @type {GuidelineModel[]} */
+    const result = [];
+    /** @type {[string, string]|undefined} */
+    let arts = undefined;
+    /** @type {{line: number, level: number|null, name: string, text: string[]}|undefined} */
+    let entry = undefined;
+
+    const endEntry = () => {
+        if (entry === undefined) {
+            return;
+        }
+        const name = entry.name.replace(/\s+/g, " ").trim().replace(terminalPunctuationRegex, "");
+        if (!name) {
+            throw new SyntaxError(`Missing guideline name on line ${entry.line}`);
+        }
+        const content = entry.text.join(" ").replace(/\s+/g, " ").trim();
+        const { description, source } = parseSourceReference(content || undefined);
+        result.push(new GuidelineModel(name, arts[0], arts[1], entry.level, description || undefined, undefined,
+            source, style));
+        entry = undefined;
+    };
+
+    text.split(/\r?\n/).forEach( (line, index) => {
+        const header = headerRegex.exec(line);
+        const headerArts = header && parseHeaderArts(header[1], techniques, forms);
+        const match = entryRegex.exec(line);
+        if (headerArts) {
+            endEntry();
+            arts = headerArts;
+        } else if (match) {
+            endEntry();
+            if (arts === undefined) {
+                throw new SyntaxError(`Guideline without technique and form on line ${index + 1}`);
+            }
+            const level = match[2] ? null : Number(match[1]);
+            if (!validGuidelineLevel(level)) {
+                throw new SyntaxError(`Invalid guideline level ${match[1]} on line ${index + 1}`);
+            }
+            entry = { line: index + 1, level, name: match[3], text: [] };
+        } else if (entry !== undefined && line.trim() !== "") {
+            entry.text.push(line.trim());
+        }
+    });
+    endEntry();
+    return result;
+}
@@ -0,0 +1,340 @@
+/**
+ * @module data/guidelineQuery
+ * The declarative guideline queries and their compilation to parameterized SQL.
+ */
+
+import { hermeticStyle } from "./arts.mjs";
+import { and, literal, or, raw, select, sql } from "./selectQuery.mjs";
+
+/**
+ * The queryable guideline fields.
+ * @typedef {"style"|"technique"|"form"|"level"|"name"|"description"|"source"|"page"} GuidelineField
+ */
+
+/**
+ * The condition of a field. 
+ * - A non-null value requires the field is equal to the value.
+ * - A null value requires the field is null. The null level is the level of the generic guidelines.
+ * - An object combines the operator conditions:
+ *   - `eq` and `ne` require the field is equal or not equal to the value.
+ *   - `in` requires the field is one of the values.
+ *   - `notIn` requires the field is null or none of the values.
+ *   - `gt`, `gte`, `lt` and `lte` require the field is in the range.
+ *   - `isNull` requires the field is null or not null.
+ *   - `match` requires the field contains the text ignoring case.
+ * @typedef {string|number|null|FieldOperators} FieldCondition
+ */
+
+/**
+ * The operator conditions of a field.
+ * @typedef {Object} FieldOperators
+ * @property {string|number} [eq] The value equal to the field.
+ * @property {string|number} [ne] The value not equal to the field.
+ * @property {Array<string|number>} [in] The values one of which is equal to the field.
+ * @property {Array<string|number>} [notIn] The values none of which is equal to the field.
+ * @property {string|number} [gt] The value less than the field.
+ * @property {string|number} [gte] The value less than or equal to the field.
+ * @property {string|number} [lt] The value greater than the field.
+ * @property {string|number} [lte] The value greater than or equal to the field.
+ * @property {boolean} [isNull] Is the field null.
+ * @property {string} [match] The text the field contains.
+ */
+
+/**
+ * The sort key of the query.
+ * @typedef {Object} SortKey
+ * @property {"style"|"technique"|"form"|"level"|"name"} field The sorted field.
+ * @property {"asc"|"desc"} [direction="asc"] The sort direction.
+ */
+
+/**
+ * The guideline query.
+ * @typedef {Object} GuidelineQuery
+ * @property {string} [style] The magic style of the guidelines. @default "Hermetic"
+ * @property {Partial<Record<GuidelineField, FieldCondition>>} [where] The field conditions
+ * all selected guidelines fulfil.
+ * @property {Array<SortKey|SortKey["field"]>} [orderBy] The sort keys. The field name alone sorts
+ * in ascending order, and the field name prefixed with "-" in descending order. The missing key fields
+ * are appended to the sort keys in the default order.
+ * @property {number} [limit] The maximal number of guidelines.
+ * @property {number} [offset] The number of skipped guidelines.
+ * @property {string} [cursor] The cursor of the page after the page ending with the cursor.
+ * @property {string} [search] The full-text search of the names and the descriptions in the web search
+ * syntax. The matching guidelines are ordered by rank before the sort keys.
+ */
+
+/**
+ * The compiled query.
+ * @typedef {Object} CompiledQuery
+ * @property {string} text The SQL query text.
+ * @property {any[]} values The values of the placeholders.
+ * @property {SortKey[]} orderBy The sort keys of the query.
+ */
+
+/**
+ * A segment of a search snippet.
+ * @typedef {Object} SnippetSegment
+ * @property {string} text The text of the segment.
+ * @property {boolean} match Does the segment match the search.
+ */
+
+/**
+ * The whitelisted fields and their columns in the guidelines view. The sortable fields
+ * have a sort column.
+ * @type {Readonly<Record<GuidelineField, {column: string, sortColumn?: string}>>}
+ */
+const guidelineFields = Object.freeze({
+    style: { column: "style", sortColumn: "style" },
+    technique: { column: "technique", sortColumn: "technique_id" },
+    form: { column: "form", sortColumn: "form_id" },
+    level: { column: "level", sortColumn: "level" },
+    name: { column: "name", sortColumn: "name" },
+    description: { column: "description" },
+    source: { column: "source_ref" },
+    page: { column: "source_page" }
+});
+
+/**
+ * The default sort keys identifying the guideline.
+ * @type {Readonly<SortKey["field"][]>}
+ */
+const defaultOrder = Object.freeze(["technique", "form", "level", "name"]);
+
+/**
+ * The maximal page size.
+ */
+export const maxLimit = 1000;
+
+/**
+ * The columns of the guidelines view selected by the guideline queries.
+ */
+export const guidelineQueryColumns = "style,technique_id,form_id,form,technique,level,name,description," + 
+    "level_formula,source_ref,source_page";
+
+/**
+ * The text search configuration of the guideline search. The configuration
+ * stems the English word forms.
+ */
+export const searchConfiguration = "english";
+
+/**
+ * The marker starting a search match in a snippet.
+ */
+const snippetStart = "\u0002";
+
+/**
+ * The marker ending a search match in a snippet.
+ */
+const snippetStop = "\u0003";
+
+/**
+ * The options of the search snippet headline.
+ */
+const headlineOptions = `StartSel=${snippetStart}, StopSel=${snippetStop}, MaxWords=30, MinWords=10, MaxFragments=2`;
+
+/**
+ * Split a search snippet into the matching and the other segments.
+ * 
+ * @param {string} snippet The snippet with the match markers.
+ * @returns {SnippetSegment[]} The segments of the snippet.
+ */
+export function splitSnippet(snippet) {
+    return snippet.split(snippetStart).flatMap( (part, index) => {
+        if (index === 0) {
+            return [{ text: part, match: false }];
+        }
+        const [matched, ...rest] = part.split(snippetStop);
+        return [{ text: matched, match: true }, { text: rest.join(""), match: false }];
+    }).filter( segment => (segment.text.length > 0));
+}
+
+/**
+ * Get a whitelisted field.
+ * 
+ * @param {string} field The field name.
+ * @returns {{column: string, sortColumn?: string}} The field definition.
+ * @throws {RangeError} The field is not whitelisted.
+ */
+function getField(field) {
+    if (!Object.prototype.hasOwnProperty.call(guidelineFields, field)) {
+        throw new RangeError(`Unknown guideline field ${field}`);
+    }
+    return guidelineFields[field];
+}
+
+/**
+ * Convert a field value to the database value.
+ * 
+ * @param {GuidelineField} field The field.
+ * @param {any} value The field value.
+ * @returns {any} The database value.
+ */
+function toDbValue(field, value) {
+    return field === "level" && value === null ? 0 : value;
+}
+
+/**
+ * Escape the LIKE pattern characters.
+ * 
+ * @param {string} text The escaped text.
+ * @returns {string} The text with the pattern characters escaped.
+ */
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * Compile the conditions of a field.
+ * 
+ * @param {GuidelineField} field The field.
+ * @param {FieldCondition} condition The condition of the field.
+ * @returns {import("./selectQuery.mjs").SqlFragment[]} The SQL conditions.
+ * @throws {RangeError} The condition was invalid.
+ */
+function compileCondition(field, condition) {
+    const column = raw(getField(field).column);
+    // The level of the generic guidelines is stored as 0.
+    const nullTest = (isNull) => (field === "level" ? sql`${column} ${raw(isNull ? "=" : "<>")} 0` : 
+        sql`${column} IS ${raw(isNull ? "" : "NOT ")}NULL`);
+    if (condition === null) {
+        return [nullTest(true)];
+    } else if (typeof condition !== "object") {
+        return [sql`${column} = ${condition}`];
+    }
+    return Object.getOwnPropertyNames(condition).map( operator => {
+        const value = condition[operator];
+        switch (operator) {
+            case "eq":
+                return value === null ? nullTest(true) : sql`${column} = ${toDbValue(field, value)}`;
+            case "ne":
+                return value === null ? nullTest(false) : sql`${column} <> ${toDbValue(field, value)}`;
+            case "gt": 
+                return sql`${column} > ${value}`;
+            case "gte":
+                return sql`${column} >= ${value}`;
+            case "lt":
+                return sql`${column} < ${value}`;
+            case "lte":
+                return sql`${column} <= ${value}`;
+            case "in":
+            case "notIn":
+                if (!Array.isArray(value)) {
+                    throw new RangeError(`The ${operator} condition of ${field} requires an array`);
+                }
+                return operator === "in" ? sql`${column} = ANY(${value.map( v => toDbValue(field, v))})` : 
+                    sql`(${column} IS NULL OR ${column} <> ALL(${value.map( v => toDbValue(field, v))}))`;
+            case "isNull":
+                return nullTest(Boolean(value));
+            case "match":
+                if (typeof value !== "string") {
+                    throw new RangeError(`The match condition of ${field} requires a string`);
+                }
+                return sql`${column}::text ILIKE ${`%${escapeLike(value)}%`}`;
+            default:
+                throw new RangeError(`Unknown condition ${operator} of ${field}`);
+        }
+    });
+}
+
+/**
+ * Normalize the sort keys of a query.
+ * 
+ * @param {GuidelineQuery["orderBy"]} [orderBy] The sort keys of the query.
+ * @returns {SortKey[]} The sort keys with the missing key fields appended.
+ * @throws {RangeError} Any sort key was invalid.
+ */
+function normalizeOrder(orderBy = []) {
+    const keys = orderBy.map( key => {
+        const sortKey = typeof key === "string" ? 
+            (key.startsWith("-") ? { field: key.substring(1), direction: "desc" } : { field: key }) : key;
+        if (getField(sortKey.field).sortColumn === undefined) {
+            throw new RangeError(`The guideline field ${sortKey.field} is not sortable`);
+        }
+        if (!["asc", "desc", undefined].includes(sortKey.direction)) {
+            throw new RangeError(`Invalid sort direction ${sortKey.direction}`);
+        }
+        return /** @type {SortKey} */ ({ field: sortKey.field, direction: sortKey.direction ?? "asc" });
+    });
+    return [...keys, ...defaultOrder.filter( field => (!keys.some( key => (key.field === field)))).map( 
+        field => (/** @type {SortKey} */ ({ field, direction: "asc" })))];
+}
+
+/**
+ * Encode the cursor of a guidelines view row.
+ * 
+ * @param {Record<string, any>} row The last row of the page.
+ * @param {SortKey[]} orderBy The sort keys of the query.
+ * @returns {string} The cursor of the row.
+ */
+export function encodeCursor(row, orderBy) {
+    return Buffer.from(JSON.stringify(orderBy.map( key => (row[getField(key.field).sortColumn])))).toString("base64url");
+}
+
+/**
+ * Decode a cursor.
+ * 
+ * @param {string} cursor The cursor.
+ * @param {SortKey[]} orderBy The sort keys of the query.
+ * @returns {any[]} The sort key values of the cursor.
+ * @throws {RangeError} The cursor was invalid for the sort keys.
+ */
+function decodeCursor(cursor, orderBy) {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    } catch (error) {
+        throw new RangeError("Invalid cursor");
+    }
+    if (!Array.isArray(values) || values.length !== orderBy.length) {
+        throw new RangeError("Invalid cursor");
+    }
+    return values;
+}
+
+/**
+ * Compile a guideline query to parameterized SQL.
+ * 
+ * @param {GuidelineQuery} [query] The guideline query.
+ * @returns {CompiledQuery} The compiled query.
+ * @throws {RangeError} The query was invalid.
+ */
+export function compileGuidelineQuery(query = {}) {
+    const orderBy = normalizeOrder(query.orderBy);
+    const search = query.search?.trim();
+    let statement = select(guidelineQueryColumns).from("guidelinesView").where(
+        sql`style = ${query.style ?? hermeticStyle}`, 
+        ...Object.getOwnPropertyNames(query.where ?? {}).flatMap( field => (
+            compileCondition(/** @type {GuidelineField} */ (field), query.where[field]))));
+    if (search) {
+        if (query.cursor != null) {
+            throw new RangeError("The ranked search does not support cursors");
+        }
+        const tsQuery = sql`websearch_to_tsquery(${raw(literal(searchConfiguration))}, ${search})`;
+        statement = statement.where(sql`search_vector @@ ${tsQuery}`).columns(
+            sql`ts_rank(search_vector, ${tsQuery}) AS rank`, 
+            sql`ts_headline(${raw(literal(searchConfiguration))}, coalesce(description, name), ${tsQuery}, ${
+                headlineOptions}) AS snippet`).orderBy("rank DESC");
+    }
+    if (query.cursor != null) {
+        const cursorValues = decodeCursor(query.cursor, orderBy);
+        statement = statement.where(or(...orderBy.map( (key, index) => (and(
+            ...orderBy.slice(0, index).map( (previous, i) => (
+                sql`${raw(getField(previous.field).sortColumn)} = ${cursorValues[i]}`)),
+            sql`${raw(getField(key.field).sortColumn)} ${raw(key.direction === "desc" ? "<" : ">")} ${
+                cursorValues[index]}`)))));
+    }
+    statement = statement.orderBy(...orderBy.map( key => (`${getField(key.field).sortColumn} ${key.direction.toUpperCase()}`)));
+    if (query.limit != null) {
+        if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > maxLimit) {
+            throw new RangeError("Invalid limit");
+        }
+        statement = statement.limit(query.limit);
+    }
+    if (query.offset != null) {
+        if (!Number.isInteger(query.offset) || query.offset < 0) {
+            throw new RangeError("Invalid offset");
+        }
+        statement = statement.offset(query.offset);
+    }
+    return { ...statement.toQuery(), orderBy };
+}
@@ -4,6 +4,11 @@
  * The guidelines related models.
  */
 
+import { hermeticArts, hermeticStyle } from "./arts.mjs";
+import { comparing, naturalCompare, nullsFirst, thenComparing } from "./comparison.mjs";
+import { calculateSpellLevel, getParameterCatalog } from "./spellParameters.mjs";
+import { LevelFormula } from "./levelFormula.mjs";
+
 /**
  * @template [CAUSE=any] The cause of the error.
  * The exception indicating the resource was not found.
@@ -27,8 +32,27 @@ export class NotFoundException extends Error {
  * @typedef {number|null} LevelType
  */
 
+/**
+ * Test validity of a guideline level. The valid levels are the levels of the guideline
+ * ladder: 1 to 5, and the multiples of 5 above 5. The null level is the level of the general
+ * guidelines.
+ * 
+ * @param {any} level The tested level.
+ * @returns {boolean} True, if and only if the level is a valid guideline level.
+ */
+export function validGuidelineLevel(level) {
+    return level === null || (Number.isInteger(level) && level > 0 && (level <= 5 || level % 5 === 0));
+}
+
 export class GuidelineModel {
 
+    /**
+     * The magic style name.
+     * 
+     * @type {string}
+     */
+    #style;
+
     /**
      * The technique name.
      * 
@@ -64,6 +88,20 @@ export class GuidelineModel {
      */
     #level;
 
+    /**
+     * The optional level formula of a generic guideline.
+     * 
+     * @type {LevelFormula|undefined}
+     */
+    #levelFormula;
+
+    /**
+     * The optional source reference of the guideline.
+     * 
+     * @type {Readonly<SourceReference>|undefined}
+     */
+    #source;
+
     /**
      * Create a new guideline model.
      * 
@@ -72,19 +110,37 @@ export class GuidelineModel {
      * @param {string} name The name of the guideline. This is the first sentence of the guideline.
      * @param {LevelType} [level=null] The level of the guideline. @default null.
      * @param {string|undefined} [description] The optional additional description of the guideline.
+     * @param {string|LevelFormula|undefined} [levelFormula] The optional level formula of a generic guideline.
+     * @param {SourceReference|undefined} [source] The optional source reference of the guideline.
+     * @param {string} [style] The magic style of the guideline. @default "Hermetic"
+     * @throws {SyntaxError} The level formula was invalid.
+     * @throws {RangeError} The level formula was given to a guideline with a level.
      */
-    constructor(name, technique, form, level=null, description = undefined) {
+    constructor(name, technique, form, level=null, description = undefined, levelFormula = undefined, 
+        source = undefined, style = hermeticStyle) {
+        this.#style = style;
         this.#name = name;
         this.#form = form;
         this.#level  = level;
         this.#technique = technique;
         this.#description = description;
+        this.#source = source == null ? undefined : Object.freeze({...source});
+        if (levelFormula != null) {
+            if (level !== null) {
+                throw new RangeError("Only a generic guideline may have a level formula");
+            }
+            this.#levelFormula = levelFormula instanceof LevelFormula ? levelFormula : LevelFormula.parse(levelFormula);
+        }
     }
 
     get name() {
         return this.#name;
     }
 
+    get style() {
+        return this.#style;
+    }
+
     get form() {
         return this.#form;
     }
@@ -104,6 +160,236 @@ export class GuidelineModel {
     get isGeneric() {
         return this.#level === null;
     }
+
+    /**
+     * The source reference of the guideline.
+     * 
+     * @type {Readonly<SourceReference>|undefined}
+     */
+    get source() {
+        return this.#source;
+    }
+
+    /**
+     * The level formula of a generic guideline.
+     * 
+     * @type {LevelFormula|undefined}
+     */
+    get levelFormula() {
+        return this.#levelFormula;
+    }
+
+    /**
+     * Evaluate the level of the guideline.
+     * 
+     * @param {number} level The input level of the level formula.
+     * @param {import("./levelFormula.mjs").LevelFormulaOptions} [options] The level formula options.
+     * @returns {number|undefined} The level of the guideline. An undefined value, if the guideline is generic
+     * guideline without a level formula.
+     * @throws {RangeError} The input level was invalid.
+     */
+    evaluateLevel(level, options = {}) {
+        if (this.#level !== null) {
+            return this.#level;
+        }
+        return this.#levelFormula?.evaluate(level, options);
+    }
+}
+
+/**
+ * The spell model options.
+ * @typedef {Object} SpellOptions
+ * @property {string[]} [requisites=[]] The requisite arts of the spell.
+ * @property {boolean} [ritual=false] Is the spell a ritual.
+ * @property {number} [baseLevel] The base level of a spell using a general guideline.
+ * @property {number} [level] The level of the spell. Defaults to the level calculated from
+ * the guideline and the parameters.
+ * @property {string} [description] The description of the spell.
+ * @property {SourceReference} [source] The source reference of the spell.
+ */
+
+/**
+ * A model of a spell based on a guideline.
+ */
+export class SpellModel {
+
+    /**
+     * The name of the spell.
+     * 
+     * @type {string}
+     */
+    #name;
+
+    /**
+     * The key of the base guideline of the spell.
+     * 
+     * @type {Readonly<GuidelineKey>}
+     */
+    #guideline;
+
+    /**
+     * The parameters of the spell.
+     * 
+     * @type {Readonly<Required<import("./spellParameters.mjs").SpellParameters>>}
+     */
+    #parameters;
+
+    /**
+     * The requisite arts of the spell.
+     * 
+     * @type {Readonly<string[]>}
+     */
+    #requisites;
+
+    /**
+     * Is the spell a ritual.
+     * 
+     * @type {boolean}
+     */
+    #ritual;
+
+    /**
+     * The base level of a spell using a general guideline.
+     * 
+     * @type {number|undefined}
+     */
+    #baseLevel;
+
+    /**
+     * The level of the spell.
+     * 
+     * @type {number}
+     */
+    #level;
+
+    /**
+     * The optional description of the spell.
+     * 
+     * @type {string|undefined}
+     */
+    #description;
+
+    /**
+     * The optional source reference of the spell.
+     * 
+     * @type {Readonly<SourceReference>|undefined}
+     */
+    #source;
+
+    /**
+     * Create a new spell model.
+     * 
+     * @param {string} name The name of the spell.
+     * @param {Guideline|GuidelineModel|GuidelineKey} guideline The base guideline of the spell.
+     * @param {import("./spellParameters.mjs").SpellParameters} [parameters={}] The parameters of
+     * the spell. The missing range, duration and target default to the base parameters of the style.
+     * @param {SpellOptions} [options={}] The spell options.
+     * @throws {RangeError} The parameters were invalid, or the level of the spell could not be determined.
+     */
+    constructor(name, guideline, parameters = {}, options = {}) {
+        this.#name = name;
+        this.#guideline = getGuidelineKey(guideline);
+        const base = getParameterCatalog(this.#guideline.style).base;
+        this.#parameters = Object.freeze({
+            range: parameters.range ?? base.range, 
+            duration: parameters.duration ?? base.duration, 
+            target: parameters.target ?? base.target,
+            size: parameters.size ?? 0, 
+            complexity: parameters.complexity ?? 0
+        });
+        this.#requisites = Object.freeze([...(options.requisites ?? [])]);
+        this.#ritual = options.ritual ?? false;
+        this.#baseLevel = options.baseLevel;
+        this.#level = options.level ?? calculateSpellLevel(this.#guideline, this.#parameters, 
+            { baseLevel: options.baseLevel });
+        this.#description = options.description;
+        this.#source = options.source == null ? undefined : Object.freeze({...options.source});
+    }
+
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * The key of the base guideline.
+     */
+    get guideline() {
+        return this.#guideline;
+    }
+
+    get style() {
+        return this.#guideline.style;
+    }
+
+    get technique() {
+        return this.#guideline.technique;
+    }
+
+    get form() {
+        return this.#guideline.form;
+    }
+
+    get range() {
+        return this.#parameters.range;
+    }
+
+    get duration() {
+        return this.#parameters.duration;
+    }
+
+    get target() {
+        return this.#parameters.target;
+    }
+
+    /**
+     * The parameters of the spell.
+     */
+    get parameters() {
+        return this.#parameters;
+    }
+
+    get requisites() {
+        return this.#requisites;
+    }
+
+    get ritual() {
+        return this.#ritual;
+    }
+
+    get baseLevel() {
+        return this.#baseLevel;
+    }
+
+    get level() {
+        return this.#level;
+    }
+
+    get description() {
+        return this.#description;
+    }
+
+    get source() {
+        return this.#source;
+    }
+}
+
+/**
+ * The key identifying a spell.
+ * @typedef {Object} SpellKey
+ * @property {string} style The magic style of the spell.
+ * @property {string} name The name of the spell.
+ */
+
+/**
+ * Get the spell key of a spell.
+ * 
+ * @param {SpellModel|Partial<SpellKey>&{name: string}} spell The spell.
+ * @param {string} [style] The default style of the spell, if the spell does not have style.
+ * @default "Hermetic"
+ * @returns {Readonly<SpellKey>} The spell key of the spell.
+ */
+export function getSpellKey(spell, style = hermeticStyle) {
+    return Object.freeze({ style: spell.style ?? style, name: spell.name });
 }
 
 /**
@@ -161,7 +447,7 @@ export class GuidelineGroupModel {
      */
     validMember(member, index=-1) {
         if (member instanceof GuidelineGroupModel || member instanceof GuidelineModel) {
-            const memberIndex = this.#members.indexOf( cursor => (cursor.name === member.name));
+            const memberIndex = this.#members.findIndex( cursor => (cursor.name === member.name));
             return memberIndex < 0 || memberIndex === index;
         } else {
             return false;
@@ -214,7 +500,7 @@ export class GuidelineGroupModel {
      */
     addMember(member) {
         if (member instanceof GuidelineGroupModel || member instanceof GuidelineModel) {
-            if (this.validMember(member)) {
+            if (!this.validMember(member)) {
                 // The duplicate name.
                 throw new RangeError("Member name already used");
             }
@@ -256,7 +542,7 @@ export class GuidelineGroupModel {
      * of the group, or an undefined value, if none exists.
      */
     getFirstMember() {
-        if (this.#members > 0) {
+        if (this.#members.length > 0) {
             return this.#members[0];
         } else {
             return undefined;
@@ -278,6 +564,71 @@ export class GuidelineGroupModel {
     }
 }
 
+/**
+ * Convert a name to an URL slug.
+ * 
+ * @param {string} name The converted name.
+ * @returns {string} The lower case slug with words separated with hyphens.
+ */
+export function toSlug(name) {
+    return name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+/**
+ * The source book.
+ * @typedef {Object} Sourcebook
+ * @property {string} abbrev The abbreviation of the book used in the source references.
+ * @property {string} title The full title of the book.
+ * @property {string} [edition] The edition of the book.
+ * @property {string} [publisher] The publisher of the book.
+ */
+
+/**
+ * The source reference of a guideline.
+ * @typedef {Object} SourceReference
+ * @property {string} ref The abbreviation of the source book.
+ * @property {number} [page] The page of the source book.
+ */
+
+/**
+ * Convert a source reference to a string.
+ * 
+ * @param {SourceReference} source The source reference.
+ * @param {Sourcebook} [book] The source book of the reference. If given, the title of the book
+ * is used instead of the abbreviation.
+ * @returns {string} The string representation of the source reference.
+ */
+export function sourceReferenceToString(source, book = undefined) {
+    return `${book?.title ?? source.ref}${source.page == null ? "" : `, page ${source.page}`}`;
+}
+
+/**
+ * The regular expression matching to the source reference of a description.
+ */
+const sourceReferenceRegex = /\[ref:\s*([^,\]]+?)\s*(?:,\s*page:\s*(\d+)\s*)?\]/;
+
+/**
+ * Parse the source reference of a description.
+ * 
+ * @param {string|undefined} description The description containing the source reference
+ * in format "[ref: Book, page: Page]".
+ * @returns {{description: string|undefined, source: SourceReference|undefined}} The description
+ * without the source reference, and the source reference of the description.
+ */
+export function parseSourceReference(description) {
+    const match = description == null ? null : sourceReferenceRegex.exec(description);
+    if (match) {
+        const rest = description.replace(match[0], "").trim();
+        return {
+            description: rest || undefined,
+            source: { ref: match[1], ...(match[2] ? { page: Number(match[2]) } : {}) }
+        };
+    } else {
+        return { description, source: undefined };
+    }
+}
+
 /**
  * Test a value.
  * @template TYPE The tested type.
@@ -296,3 +647,180 @@ export class GuidelineGroupModel {
 export const artComparison = (/** @type {string} */ compared, /** @type {string} */ comparee) => /** @type {number|undefined} */(
     compared < comparee ? -1 : comparee < compared ? 1 : compared === comparee ? 0 : undefined
 );
+
+/**
+ * The guideline properties.
+ * @typedef {Object} Guideline
+ * @property {string} [style] The magic style of the guideline. Defaults to the Hermetic style.
+ * @property {string} technique The technique of the guideline.
+ * @property {string} form The form of the guideline.
+ * @property {LevelType} level The level of the guideline.
+ * @property {string} name The name of the guideline.
+ * @property {string} [description] The description of the guideline.
+ * @property {string} [levelFormula] The level formula of a generic guideline.
+ * @property {SourceReference} [source] The source reference of the guideline.
+ */
+
+/**
+ * The key identifying a guideline.
+ * @typedef {Object} GuidelineKey
+ * @property {string} style The magic style of the guideline.
+ * @property {string} technique The technique of the guideline.
+ * @property {string} form The form of the guideline.
+ * @property {LevelType} level The level of the guideline.
+ * @property {string} name The name of the guideline.
+ */
+
+/**
+ * The level segment of the general guidelines in the guideline key strings.
+ */
+export const generalLevelKey = "general";
+
+/**
+ * Get the guideline key of a guideline.
+ * 
+ * @param {Guideline|GuidelineModel|GuidelineKey} guideline The guideline.
+ * @param {string} [style] The default style of the guideline, if the guideline does not
+ * have style. @default "Hermetic"
+ * @returns {Readonly<GuidelineKey>} The guideline key of the guideline.
+ */
+export function getGuidelineKey(guideline, style = hermeticStyle) {
+    return Object.freeze({
+        style: guideline.style ?? style,
+        technique: guideline.technique,
+        form: guideline.form,
+        level: guideline.level ?? null,
+        name: guideline.name
+    });
+}
+
+/**
+ * Convert the guideline key to a string.
+ * 
+ * The segments of the key are URI encoded and separated with "/". The level of a general
+ * guideline is "general".
+ * 
+ * @param {Guideline|GuidelineModel|GuidelineKey} guideline The guideline or its key.
+ * @param {boolean} [qualified=false] Does the string contain the style of the guideline.
+ * @returns {string} The string representation of the guideline key.
+ */
+export function guidelineKeyToString(guideline, qualified = false) {
+    const key = getGuidelineKey(guideline);
+    return [...(qualified ? [key.style] : []), key.technique, key.form,
+        key.level == null ? generalLevelKey : String(key.level), key.name].map(encodeURIComponent).join("/");
+}
+
+/**
+ * Parse a guideline key string.
+ * 
+ * @param {string} source The guideline key string created with {@link guidelineKeyToString}.
+ * @param {string} [style] The style of the key, if the string does not contain style.
+ * @default "Hermetic"
+ * @returns {Readonly<GuidelineKey>} The guideline key.
+ * @throws {SyntaxError} The source was not a valid guideline key string.
+ */
+export function parseGuidelineKey(source, style = hermeticStyle) {
+    const segments = typeof source === "string" ? source.split("/") : [];
+    if (segments.length < 4 || segments.length > 5) {
+        throw new SyntaxError("Invalid guideline key");
+    }
+    try {
+        const [technique, form, level, name] = segments.slice(-4).map(decodeURIComponent);
+        if (!(technique && form && name && (level === generalLevelKey || /^[1-9]\d*$/.test(level)))) {
+            throw new SyntaxError("Invalid guideline key");
+        }
+        return getGuidelineKey({
+            style: segments.length === 5 ? decodeURIComponent(segments[0]) : style,
+            technique, form, level: level === generalLevelKey ? null : Number(level), name
+        });
+    } catch (error) {
+        throw new SyntaxError("Invalid guideline key", { cause: error });
+    }
+}
+
+/**
+ * Compare arts in the order of the rulebook. The techniques precede the forms, and the
+ * arts unknown to the Hermetic order follow the known arts in alphabetical order.
+ * 
+ * @param {string} compared The compared art name.
+ * @param {string} comparee The comparee art name.
+ * @returns {ComparisonResult} The comparison result.
+ */
+export const compareArts = thenComparing(
+    comparing( (/** @type {string} */ art) => {
+        const index = hermeticArts.indexOf(art);
+        return index < 0 ? hermeticArts.length : index;
+    }),
+    artComparison
+);
+
+/**
+ * Compare levels. The general guidelines are less than the leveled guidelines.
+ * 
+ * @param {LevelType} compared The compared level.
+ * @param {LevelType} comparee The comparee level.
+ * @returns {ComparisonResult} The comparison result.
+ */
+export const compareLevel = nullsFirst(naturalCompare);
+
+/**
+ * Compare names.
+ * 
+ * @param {string} compared The compared name.
+ * @param {string} comparee The comparee name.
+ * @returns {ComparisonResult} The comparison result.
+ */
+export const compareName = naturalCompare;
+
+/**
+ * Compare guideline keys by style, technique, form, level, and name. The arts are
+ * compared in the order of the rulebook.
+ * 
+ * @param {GuidelineKey} compared The compared key.
+ * @param {GuidelineKey} comparee The comparee key.
+ * @returns {ComparisonResult} The comparison result.
+ */
+export const compareGuidelineKeys = thenComparing(
+    comparing( (/** @type {GuidelineKey} */ key) => (key.style), compareName),
+    comparing( (/** @type {GuidelineKey} */ key) => (key.technique), compareArts),
+    comparing( (/** @type {GuidelineKey} */ key) => (key.form), compareArts),
+    comparing( (/** @type {GuidelineKey} */ key) => (key.level), compareLevel),
+    comparing( (/** @type {GuidelineKey} */ key) => (key.name), compareName)
+);
+
+/**
+ * Compare guidelines by their keys.
+ * 
+ * @param {Guideline|GuidelineModel} compared The compared guideline.
+ * @param {Guideline|GuidelineModel} comparee The comparee guideline.
+ * @returns {ComparisonResult} The comparison result.
+ */
+export const compareGuideline = comparing( 
+    (/** @type {Guideline|GuidelineModel} */ guideline) => (getGuidelineKey(guideline)), compareGuidelineKeys);
+
+/**
+ * The fields of the guideline properties.
+ * @type {Readonly<Array<keyof Guideline>>}
+ */
+export const guidelineFields = Object.freeze(["style", "technique", "form", "level", "name", "description", 
+    "levelFormula", "source"]);
+
+/**
+ * A changed field of a guideline.
+ * @typedef {Object} GuidelineChange
+ * @property {keyof Guideline} field The changed field.
+ * @property {any} before The value of the field before the change.
+ * @property {any} after The value of the field after the change.
+ */
+
+/**
+ * Get the changed fields between two versions of a guideline. A missing version has no fields.
+ * 
+ * @param {Guideline|null} [before] The guideline before the change.
+ * @param {Guideline|null} [after] The guideline after the change.
+ * @returns {GuidelineChange[]} The changed fields in the field order.
+ */
+export function getGuidelineChanges(before, after) {
+    return guidelineFields.map( field => ({ field, before: before?.[field] ?? undefined, after: after?.[field] ?? undefined }))
+        .filter( change => (JSON.stringify(change.before) !== JSON.stringify(change.after)));
+}
@@ -0,0 +1,291 @@
+
+/**
+ * @module data/levelFormula
+ * The level formulas of the general guidelines.
+ * 
+ * The formula is an arithmetic expression of the input level, integers and magnitudes. 
+ * Magnitudes added to or subtracted from a level follow the spell level rules: each 
+ * magnitude below level 5 counts as a single level. The formula "(level + 2 magnitudes)/2"
+ * gives level 20 for the input level 30.
+ */
+
+import { addMagnitudes } from "./spellParameters.mjs";
+
+/**
+ * The rounding of the fractional levels.
+ * - "up" rounds to the next valid level.
+ * - "down" rounds to the previous valid level.
+ * - "nearest" rounds to the nearest valid level with ties rounded up.
+ * @typedef {"up"|"down"|"nearest"} LevelRounding
+ */
+
+/**
+ * The level formula expression node.
+ * @typedef {{type: "level"}|{type: "number", value: number}|{type: "magnitudes", value: number}|
+ * {type: "negate", operand: FormulaNode}|
+ * {type: "+"|"-"|"*"|"/", left: FormulaNode, right: FormulaNode}} FormulaNode
+ */
+
+/**
+ * The level formula evaluation options.
+ * @typedef {Object} LevelFormulaOptions
+ * @property {LevelRounding} [rounding="up"] The rounding of the fractional levels.
+ */
+
+/**
+ * The regular expression matching to a formula token.
+ */
+const tokenRegex = /\s*(?:(\d+)|(level)\b|(magnitudes?)\b|([-+*/()]))/iy;
+
+/**
+ * Split the formula to tokens.
+ * 
+ * @param {string} source The formula source.
+ * @returns {Array<{token: string, index: number}>} The tokens with their indices in the source.
+ * @throws {SyntaxError} The source contained an invalid token.
+ */
+function tokenize(source) {
+    const result = [];
+    tokenRegex.lastIndex = 0;
+    while (tokenRegex.lastIndex < source.length && source.substring(tokenRegex.lastIndex).trim()) {
+        const index = source.length - source.substring(tokenRegex.lastIndex).trimStart().length;
+        const match = tokenRegex.exec(source);
+        if (match === null) {
+            throw new SyntaxError(`Invalid level formula token at ${index}`);
+        }
+        result.push({ token: match[0].trim().toLowerCase(), index });
+    }
+    return result;
+}
+
+/**
+ * Parse the formula tokens.
+ * 
+ * @param {Array<{token: string, index: number}>} tokens The formula tokens.
+ * @returns {FormulaNode} The root node of the formula.
+ * @throws {SyntaxError} The tokens were not a valid formula.
+ */
+function parseTokens(tokens) {
+    let position = 0;
+    const peek = () => (tokens[position]?.token);
+    const fail = (message) => {
+        throw new SyntaxError(`${message} at ${tokens[position]?.index ?? "the end of the formula"}`);
+    };
+
+    /** @returns {FormulaNode} */
+    const primary = () => {
+        const token = peek();
+        if (token === undefined) {
+            fail("Missing operand");
+        } else if (token === "level") {
+            position++;
+            return { type: "level" };
+        } else if (token === "(") {
+            position++;
+            const result = expression();
+            if (peek() !== ")") {
+                fail("Missing closing parenthesis");
+            }
+            position++;
+            return result;
+        } else if (/^\d+$/.test(token)) {
+            position++;
+            if (/^magnitudes?$/.test(peek() ?? "")) {
+                position++;
+                return { type: "magnitudes", value: Number(token) };
+            }
+            return { type: "number", value: Number(token) };
+        }
+        fail(`Unexpected token ${token}`);
+    };
+
+    /** @returns {FormulaNode} */
+    const unary = () => {
+        if (peek() === "-") {
+            position++;
+            return { type: "negate", operand: unary() };
+        }
+        return primary();
+    };
+
+    /** @returns {FormulaNode} */
+    const term = () => {
+        let result = unary();
+        while (peek() === "*" || peek() === "/") {
+            const type = /** @type {"*"|"/"} */ (tokens[position++].token);
+            result = { type, left: result, right: unary() };
+        }
+        return result;
+    };
+
+    /** @returns {FormulaNode} */
+    const expression = () => {
+        let result = term();
+        while (peek() === "+" || peek() === "-") {
+            const type = /** @type {"+"|"-"} */ (tokens[position++].token);
+            result = { type, left: result, right: term() };
+        }
+        return result;
+    };
+
+    const result = expression();
+    if (position < tokens.length) {
+        fail(`Unexpected token ${peek()}`);
+    }
+    return result;
+}
+
+/**
+ * Round a level to a valid spell level. The levels up to 5 are integers, and the levels
+ * above 5 are multiples of 5. The result is at least 1.
+ * 
+ * @param {number} level The rounded level.
+ * @param {LevelRounding} [rounding="up"] The rounding of the level.
+ * @returns {number} The valid level.
+ * @throws {RangeError} The level or the rounding was invalid.
+ */
+export function roundLevel(level, rounding = "up") {
+    if (!Number.isFinite(level)) {
+        throw new RangeError("Invalid level");
+    }
+    const round = { up: Math.ceil, down: Math.floor, nearest: Math.round }[rounding];
+    if (round === undefined) {
+        throw new RangeError(`Invalid rounding ${rounding}`);
+    }
+    if (level <= 5) {
+        return Math.max(1, round(level));
+    } else {
+        return Math.max(5, round(level / 5) * 5);
+    }
+}
+
+/**
+ * Evaluate a formula node.
+ * 
+ * @param {FormulaNode} node The evaluated node.
+ * @param {number} level The input level.
+ * @param {LevelRounding} rounding The rounding of the fractional levels.
+ * @returns {number} The value of the node.
+ */
+function evaluateNode(node, level, rounding) {
+    switch (node.type) {
+        case "level":
+            return level;
+        case "number":
+            return node.value;
+        case "magnitudes":
+            return node.value * 5;
+        case "negate":
+            return -evaluateNode(node.operand, level, rounding);
+        case "+":
+        case "-":
+            if (node.right.type === "magnitudes") {
+                return addMagnitudes(roundLevel(evaluateNode(node.left, level, rounding), rounding), 
+                    node.type === "+" ? node.right.value : -node.right.value);
+            } else if (node.left.type === "magnitudes" && node.type === "+") {
+                return addMagnitudes(roundLevel(evaluateNode(node.right, level, rounding), rounding), 
+                    node.left.value);
+            } else {
+                const left = evaluateNode(node.left, level, rounding);
+                const right = evaluateNode(node.right, level, rounding);
+                return node.type === "+" ? left + right : left - right;
+            }
+        case "*":
+            return evaluateNode(node.left, level, rounding) * evaluateNode(node.right, level, rounding);
+        case "/": {
+            const divisor = evaluateNode(node.right, level, rounding);
+            if (divisor === 0) {
+                throw new RangeError("Division by zero in the level formula");
+            }
+            return evaluateNode(node.left, level, rounding) / divisor;
+        }
+    }
+}
+
+/**
+ * A level formula of a general guideline.
+ */
+export class LevelFormula {
+
+    /**
+     * The source of the formula.
+     * 
+     * @type {string}
+     */
+    #source;
+
+    /**
+     * The root node of the formula.
+     * 
+     * @type {FormulaNode}
+     */
+    #root;
+
+    /**
+     * Create a new level formula.
+     * 
+     * @param {string} source The formula source.
+     * @throws {SyntaxError} The source was not a valid formula.
+     */
+    constructor(source) {
+        if (typeof source !== "string") {
+            throw new SyntaxError("Invalid level formula");
+        }
+        this.#source = source.trim();
+        this.#root = parseTokens(tokenize(this.#source));
+    }
+
+    /**
+     * Parse a level formula.
+     * 
+     * @param {string} source The formula source.
+     * @returns {LevelFormula} The parsed formula.
+     * @throws {SyntaxError} The source was not a valid formula.
+     */
+    static parse(source) {
+        return new LevelFormula(source);
+    }
+
+    /**
+     * Test validity of a level formula source.
+     * 
+     * @param {*} source The tested source.
+     * @returns {boolean} True, if and only if the source is a valid level formula.
+     */
+    static valid(source) {
+        try {
+            LevelFormula.parse(source);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * The source of the formula.
+     */
+    get source() {
+        return this.#source;
+    }
+
+    /**
+     * Evaluate the formula.
+     * 
+     * @param {number} level The input level.
+     * @param {LevelFormulaOptions} [options] The evaluation options.
+     * @returns {number} The resulting valid spell level.
+     * @throws {RangeError} The input level or the options were invalid, or the formula could not
+     * be evaluated with the input level.
+     */
+    evaluate(level, options = {}) {
+        if (!Number.isInteger(level) || level < 1) {
+            throw new RangeError("The input level must be a positive integer");
+        }
+        const rounding = options.rounding ?? "up";
+        return roundLevel(evaluateNode(this.#root, level, rounding), rounding);
+    }
+
+    toString() {
+        return this.#source;
+    }
+}
@@ -0,0 +1,166 @@
+
+/**
+ * @module data/routes
+ * The routes of the guideline pages.
+ */
+
+import { hermeticForms, hermeticStyle, hermeticTechniques } from "./arts.mjs";
+import { generalLevelKey, toSlug } from "./guidelines.mjs";
+
+/**
+ * Get the slug of a guideline level.
+ * 
+ * @param {import("./guidelines.mjs").LevelType} level The level.
+ * @returns {string} The slug of the level.
+ */
+export function levelToSlug(level) {
+    return level == null ? generalLevelKey : String(level);
+}
+
+/**
+ * Parse a guideline level slug.
+ * 
+ * @param {string} slug The level slug.
+ * @returns {import("./guidelines.mjs").LevelType|undefined} The level of the slug, or an undefined
+ * value, if the slug is not a valid level.
+ */
+export function slugToLevel(slug) {
+    if (slug === generalLevelKey) {
+        return null;
+    } else if (/^[1-9]\d*$/.test(slug)) {
+        return Number(slug);
+    } else {
+        return undefined;
+    }
+}
+
+/**
+ * Find the art with the slug.
+ * 
+ * @param {Readonly<string[]>} arts The arts.
+ * @param {string} slug The art slug.
+ * @returns {string|undefined} The art with the slug, or an undefined value, if none exists.
+ */
+function findArt(arts, slug) {
+    return arts.find( art => (toSlug(art) === slug));
+}
+
+/**
+ * Find the technique with the slug.
+ * 
+ * @param {string} slug The technique slug.
+ * @param {Readonly<string[]>} [techniques] The techniques of the magic style. Defaults to
+ * the Hermetic techniques.
+ * @returns {string|undefined} The technique, or an undefined value, if none exists.
+ */
+export function slugToTechnique(slug, techniques = hermeticTechniques) {
+    return findArt(techniques, slug);
+}
+
+/**
+ * Find the form with the slug.
+ * 
+ * @param {string} slug The form slug.
+ * @param {Readonly<string[]>} [forms] The forms of the magic style. Defaults to the Hermetic forms.
+ * @returns {string|undefined} The form, or an undefined value, if none exists.
+ */
+export function slugToForm(slug, forms = hermeticForms) {
+    return findArt(forms, slug);
+}
+
+/**
+ * Get the path of the guideline page.
+ * 
+ * @param {import("./guidelines.mjs").GuidelineKey|import("./guidelines.mjs").Guideline} guideline The guideline
+ * or its key.
+ * @returns {string} The path of the guideline page. The guidelines of other than the Hermetic
+ * style have the style as the "style" search parameter.
+ */
+export function getGuidelinePath(guideline) {
+    return `/guidelines/${toSlug(guideline.technique)}/${toSlug(guideline.form)}/${levelToSlug(guideline.level)}/${
+        toSlug(guideline.name)}${guideline.style == null || guideline.style === hermeticStyle ? "" : 
+        `?style=${encodeURIComponent(guideline.style)}`}`;
+}
+
+/**
+ * Get the path of a subpage of a guideline page.
+ * 
+ * @param {import("./guidelines.mjs").Guideline|import("./guidelines.mjs").GuidelineKey} guideline The guideline.
+ * @param {string} page The name of the subpage.
+ * @returns {string} The path of the subpage of the guideline.
+ */
+function getGuidelineSubpagePath(guideline, page) {
+    const [path, query] = getGuidelinePath(guideline).split("?");
+    return `${path}/${page}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * Get the path of the revision history page of a guideline.
+ * 
+ * @param {import("./guidelines.mjs").Guideline|import("./guidelines.mjs").GuidelineKey} guideline The guideline.
+ * @returns {string} The path of the history page of the guideline.
+ */
+export function getGuidelineHistoryPath(guideline) {
+    return getGuidelineSubpagePath(guideline, "history");
+}
+
+/**
+ * Get the path of the revision history page of a guideline in the trash.
+ * 
+ * @param {number} id The identifier of the trashed guideline.
+ * @returns {string} The path of the history page of the trashed guideline.
+ */
+export function getTrashedGuidelineHistoryPath(id) {
+    return `/trash/${id}/history`;
+}
+
+/**
+ * Get the path of the edit page of a guideline.
+ * 
+ * @param {import("./guidelines.mjs").Guideline|import("./guidelines.mjs").GuidelineKey} guideline The guideline.
+ * @returns {string} The path of the edit page of the guideline.
+ */
+export function getGuidelineEditPath(guideline) {
+    return getGuidelineSubpagePath(guideline, "edit");
+}
+
+/**
+ * Create the query string of the style, technique and form search parameters.
+ * 
+ * @param {string} [style] The magic style. The Hermetic style is omitted.
+ * @param {string} [technique] The technique.
+ * @param {string} [form] The form.
+ * @returns {string} The query string with the leading "?", or an empty string, if there are no parameters.
+ */
+function artsQuery(style, technique, form) {
+    const params = new URLSearchParams([
+        ...(style == null || style === hermeticStyle ? [] : [["style", style]]),
+        ...(technique ? [["technique", technique]] : []),
+        ...(form ? [["form", form]] : [])
+    ]).toString();
+    return params ? `?${params}` : "";
+}
+
+/**
+ * Get the path of the new guideline page.
+ * 
+ * @param {string} [style] The magic style of the new guideline. @default "Hermetic"
+ * @param {string} [technique] The preselected technique.
+ * @param {string} [form] The preselected form.
+ * @returns {string} The path of the new guideline page.
+ */
+export function getNewGuidelinePath(style = hermeticStyle, technique = undefined, form = undefined) {
+    return `/guidelines/new${artsQuery(style, technique, form)}`;
+}
+
+/**
+ * Get the path of the guideline browser showing the level ladder of a technique and form.
+ * 
+ * @param {string} [style] The magic style. @default "Hermetic"
+ * @param {string} technique The technique.
+ * @param {string} form The form.
+ * @returns {string} The path of the guideline browser with the ladder selected.
+ */
+export function getLadderPath(style = hermeticStyle, technique, form) {
+    return `/${artsQuery(style, technique, form)}`;
+}
@@ -0,0 +1,566 @@
+/**
+ * @module data/selectQuery
+ * The composable builder of parameterized SELECT queries.
+ *
+ * The plain strings are trusted SQL text, like column names and fixed expressions. The values
+ * are embedded with the {@link sql} template, and become the `$n` parameters of the compiled
+ * query. The builders are immutable, and each method returns a new query.
+ *
+ * @example
+ * const query = select("name", "level").from("guidelinesView")
+ *     .where(sql`style = ${style}`).orderBy("level DESC").limit(10);
+ * const { text, values } = query.toQuery();
+ */
+
+/**
+ * The regular expression matching to a valid identifier.
+ */
+const identifierRegex = /^[a-z_][a-z0-9_]*$/i;
+
+/**
+ * Check validity of an identifier.
+ *
+ * @param {any} name The checked identifier.
+ * @param {string} message The error message of an invalid identifier.
+ * @returns {string} The valid identifier.
+ * @throws {SyntaxError} The identifier was invalid.
+ */
+function checkIdentifier(name, message) {
+    if (typeof name !== "string" || !identifierRegex.test(name)) {
+        throw new SyntaxError(message);
+    }
+    return name;
+}
+
+/**
+ * Convert a value to a SQL literal.
+ *
+ * @param {any} value The value.
+ * @returns {string} The SQL literal of the value.
+ */
+export function literal(value) {
+    if (value == null) {
+        return "NULL";
+    } else if (typeof value === "number" || typeof value === "bigint") {
+        if (typeof value === "number" && !Number.isFinite(value)) {
+            throw new RangeError("Infinite numbers do not have a literal");
+        }
+        return String(value);
+    } else if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE";
+    } else if (Array.isArray(value)) {
+        return `ARRAY[${value.map(literal).join(", ")}]`;
+    }
+    const text = value instanceof Date ? value.toISOString() :
+        typeof value === "object" ? JSON.stringify(value) : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * The SQL text, a SQL fragment, or a query.
+ * @typedef {string|SqlFragment|SelectQuery} SqlLike
+ */
+
+/**
+ * The part of a SQL fragment. The strings are SQL text, and the value parts are parameters.
+ * @typedef {string|SqlFragment|SelectQuery|{value: any}} FragmentPart
+ */
+
+/**
+ * A SQL fragment with parameter values.
+ */
+export class SqlFragment {
+
+    /**
+     * The parts of the fragment.
+     * @type {Readonly<FragmentPart[]>}
+     */
+    #parts;
+
+    /**
+     * Create a new SQL fragment.
+     *
+     * @param {FragmentPart[]} parts The parts of the fragment.
+     */
+    constructor(parts) {
+        this.#parts = Object.freeze([...parts]);
+    }
+
+    /**
+     * Render the fragment.
+     *
+     * @param {(value: any) => string} param The function converting a value to its SQL.
+     * @returns {string} The SQL text of the fragment.
+     */
+    render(param) {
+        return this.#parts.map( part => (typeof part === "string" || part instanceof SqlFragment ||
+            part instanceof SelectQuery ? renderSql(part, param) : param(part.value))).join("");
+    }
+
+    /**
+     * The SQL with the values as literals.
+     * @returns {string}
+     */
+    toString() {
+        return this.render(literal);
+    }
+}
+
+/**
+ * Render a SQL-like value.
+ *
+ * @param {SqlLike} sqlLike The rendered value.
+ * @param {(value: any) => string} param The function converting a value to its SQL.
+ * @returns {string} The SQL text.
+ */
+function renderSql(sqlLike, param) {
+    if (sqlLike instanceof SelectQuery) {
+        return `(${sqlLike.toFragment().render(param)})`;
+    } else if (sqlLike instanceof SqlFragment) {
+        return sqlLike.render(param);
+    }
+    return String(sqlLike);
+}
+
+/**
+ * Create a SQL fragment from a template. The embedded fragments and queries are included as SQL,
+ * and the other embedded values become parameters.
+ *
+ * @example sql`level BETWEEN ${min} AND ${max}`
+ * @param {TemplateStringsArray} strings The SQL text of the template.
+ * @param {...any} values The embedded values.
+ * @returns {SqlFragment} The SQL fragment.
+ */
+export function sql(strings, ...values) {
+    return new SqlFragment(strings.flatMap( (text, index) => (index < values.length ?
+        [text, values[index] instanceof SqlFragment || values[index] instanceof SelectQuery ?
+            values[index] : { value: values[index] }] : [text])));
+}
+
+/**
+ * Create a SQL fragment from trusted SQL text.
+ *
+ * @param {string} text The SQL text.
+ * @returns {SqlFragment} The SQL fragment without parameters.
+ */
+export function raw(text) {
+    return new SqlFragment([text]);
+}
+
+/**
+ * Join SQL fragments with a separator.
+ *
+ * @param {SqlLike[]} items The joined items.
+ * @param {string} [separator=", "] The separator.
+ * @returns {SqlFragment} The joined fragment.
+ */
+export function joinSql(items, separator = ", ") {
+    return new SqlFragment(items.flatMap( (item, index) => (index > 0 ? [separator, item] : [item])));
+}
+
+/**
+ * Combine conditions with AND. The empty conjunction is true.
+ *
+ * @param {...SqlLike} conditions The conditions.
+ * @returns {SqlFragment} The conjunction.
+ */
+export function and(...conditions) {
+    return conditions.length === 0 ? raw("TRUE") : conditions.length === 1 ? joinSql(conditions) :
+        new SqlFragment(["(", joinSql(conditions.map( condition => (sql`(${toFragment(condition)})`)), " AND "), ")"]);
+}
+
+/**
+ * Combine conditions with OR. The empty disjunction is false.
+ *
+ * @param {...SqlLike} conditions The conditions.
+ * @returns {SqlFragment} The disjunction.
+ */
+export function or(...conditions) {
+    return conditions.length === 0 ? raw("FALSE") : conditions.length === 1 ? joinSql(conditions) :
+        new SqlFragment(["(", joinSql(conditions.map( condition => (sql`(${toFragment(condition)})`)), " OR "), ")"]);
+}
+
+/**
+ * Convert a SQL-like value to a fragment.
+ *
+ * @param {SqlLike} sqlLike The converted value.
+ * @returns {SqlFragment} The fragment of the value.
+ */
+function toFragment(sqlLike) {
+    return sqlLike instanceof SqlFragment ? sqlLike : new SqlFragment([sqlLike]);
+}
+
+/**
+ * The compiled query ready for pg.
+ * @typedef {Object} QueryConfig
+ * @property {string} text The SQL text with the `$n` placeholders.
+ * @property {any[]} values The values of the placeholders.
+ */
+
+/**
+ * The join type.
+ * @typedef {"INNER"|"LEFT"|"RIGHT"|"FULL"|"CROSS"} JoinType
+ */
+
+/**
+ * A source of rows.
+ * @typedef {Object} QuerySource
+ * @property {string|SelectQuery} source The table, the view, or the subquery.
+ * @property {string} [alias] The alias of the source.
+ */
+
+/**
+ * A join.
+ * @typedef {QuerySource & {type: JoinType, on?: SqlLike, using?: string[]}} QueryJoin
+ */
+
+/**
+ * The join options.
+ * @typedef {Object} JoinOptions
+ * @property {JoinType} [type="INNER"] The join type.
+ * @property {string} [alias] The alias of the joined source.
+ * @property {string[]} [using] The columns joining the sources instead of the join condition.
+ */
+
+/**
+ * A common table expression.
+ * @typedef {Object} CommonTableExpression
+ * @property {string} name The name of the expression.
+ * @property {SelectQuery|SqlFragment} query The query of the expression.
+ * @property {boolean} recursive Is the expression recursive.
+ */
+
+/**
+ * The state of a select query.
+ * @typedef {Object} SelectQueryState
+ * @property {CommonTableExpression[]} ctes The common table expressions.
+ * @property {boolean} distinct Does the query select distinct rows.
+ * @property {SqlLike[]} columns The projection.
+ * @property {QuerySource[]} from The sources of the rows.
+ * @property {QueryJoin[]} joins The joined sources.
+ * @property {SqlLike[]} where The conditions combined with AND.
+ * @property {SqlLike[]} groupBy The grouping expressions.
+ * @property {SqlLike[]} having The group conditions combined with AND.
+ * @property {SqlLike[]} orderBy The sort expressions.
+ * @property {number} [limit] The maximal number of rows.
+ * @property {number} [offset] The number of skipped rows.
+ */
+
+/**
+ * A parameterized SELECT query.
+ */
+export class SelectQuery {
+
+    /**
+     * The state of the query.
+     * @type {Readonly<SelectQueryState>}
+     */
+    #state;
+
+    /**
+     * Create a new select query.
+     *
+     * @param {Partial<SelectQueryState>} [state] The state of the query.
+     */
+    constructor(state = {}) {
+        this.#state = Object.freeze({ ctes: [], distinct: false, columns: [], from: [], joins: [], where: [],
+            groupBy: [], having: [], orderBy: [], ...state });
+    }
+
+    /**
+     * Create a copy of the query with changes.
+     *
+     * @param {Partial<SelectQueryState>} changes The changed state.
+     * @returns {SelectQuery} The changed query.
+     */
+    #with(changes) {
+        return new SelectQuery({ ...this.#state, ...changes });
+    }
+
+    /**
+     * Add a common table expression.
+     *
+     * @param {string} name The name of the expression.
+     * @param {SelectQuery|SqlFragment} query The query of the expression.
+     * @param {{recursive?: boolean}} [options] The expression options.
+     * @returns {SelectQuery} The query with the expression.
+     * @throws {SyntaxError} The name was invalid.
+     */
+    with(name, query, options = {}) {
+        return this.#with({ ctes: [...this.#state.ctes, { name: checkIdentifier(name, "Invalid expression name"),
+            query, recursive: Boolean(options.recursive) }] });
+    }
+
+    /**
+     * Select distinct rows.
+     *
+     * @returns {SelectQuery} The query selecting distinct rows.
+     */
+    distinct() {
+        return this.#with({ distinct: true });
+    }
+
+    /**
+     * Add columns to the projection.
+     *
+     * @param {...SqlLike} columns The added columns.
+     * @returns {SelectQuery} The query with the columns.
+     */
+    columns(...columns) {
+        return this.#with({ columns: [...this.#state.columns, ...columns] });
+    }
+
+    /**
+     * Add a source of rows.
+     *
+     * @param {string|SelectQuery} source The table, the view, or the subquery.
+     * @param {string} [alias] The alias of the source. A subquery requires an alias.
+     * @returns {SelectQuery} The query with the source.
+     * @throws {SyntaxError} The alias was invalid or missing.
+     */
+    from(source, alias = undefined) {
+        return this.#with({ from: [...this.#state.from, checkSource(source, alias)] });
+    }
+
+    /**
+     * Add a join.
+     *
+     * @param {string|SelectQuery} source The joined table, view, or subquery.
+     * @param {SqlLike} [on] The join condition. The cross join and the join with the using columns
+     * have no condition.
+     * @param {JoinOptions} [options] The join options.
+     * @returns {SelectQuery} The query with the join.
+     * @throws {SyntaxError} The join was invalid.
+     */
+    join(source, on = undefined, options = {}) {
+        const type = options.type ?? "INNER";
+        const using = options.using?.map( column => (checkIdentifier(column, "Invalid join column")));
+        if (!["INNER", "LEFT", "RIGHT", "FULL", "CROSS"].includes(type)) {
+            throw new SyntaxError("Invalid join type");
+        } else if (type === "CROSS" ? on !== undefined || using !== undefined : (on === undefined) === (using === undefined)) {
+            throw new SyntaxError(type === "CROSS" ? "A cross join has no condition" : 
+                "A join requires either a condition or the using columns");
+        }
+        return this.#with({ joins: [...this.#state.joins, { ...checkSource(source, options.alias), type, on, using }] });
+    }
+
+    /**
+     * Add a left join.
+     *
+     * @param {string|SelectQuery} source The joined table, view, or subquery.
+     * @param {SqlLike|{using: string[]}} on The join condition, or the using columns.
+     * @param {string} [alias] The alias of the source.
+     * @returns {SelectQuery} The query with the join.
+     * @throws {SyntaxError} The join was invalid.
+     */
+    leftJoin(source, on, alias = undefined) {
+        return typeof on === "object" && "using" in on ? this.join(source, undefined, { type: "LEFT", alias, using: on.using }) :
+            this.join(source, on, { type: "LEFT", alias });
+    }
+
+    /**
+     * Add a condition. The conditions are combined with AND.
+     *
+     * @param {...SqlLike} conditions The added conditions.
+     * @returns {SelectQuery} The query with the conditions.
+     */
+    where(...conditions) {
+        return this.#with({ where: [...this.#state.where, ...conditions] });
+    }
+
+    /**
+     * Add grouping expressions.
+     *
+     * @param {...SqlLike} expressions The grouping expressions.
+     * @returns {SelectQuery} The grouped query.
+     */
+    groupBy(...expressions) {
+        return this.#with({ groupBy: [...this.#state.groupBy, ...expressions] });
+    }
+
+    /**
+     * Add a group condition. The group conditions are combined with AND.
+     *
+     * @param {...SqlLike} conditions The added group conditions.
+     * @returns {SelectQuery} The query with the group conditions.
+     */
+    having(...conditions) {
+        return this.#with({ having: [...this.#state.having, ...conditions] });
+    }
+
+    /**
+     * Add sort expressions, like "name" or "level DESC".
+     *
+     * @param {...SqlLike} expressions The sort expressions.
+     * @returns {SelectQuery} The sorted query.
+     */
+    orderBy(...expressions) {
+        return this.#with({ orderBy: [...this.#state.orderBy, ...expressions] });
+    }
+
+    /**
+     * Set the maximal number of rows.
+     *
+     * @param {number|undefined} limit The maximal number of rows. Undefined removes the limit.
+     * @returns {SelectQuery} The limited query.
+     * @throws {RangeError} The limit was not a non-negative integer.
+     */
+    limit(limit) {
+        return this.#with({ limit: checkCount(limit, "Invalid limit") });
+    }
+
+    /**
+     * Set the number of skipped rows.
+     *
+     * @param {number|undefined} offset The number of skipped rows. Undefined removes the offset.
+     * @returns {SelectQuery} The query with the offset.
+     * @throws {RangeError} The offset was not a non-negative integer.
+     */
+    offset(offset) {
+        return this.#with({ offset: checkCount(offset, "Invalid offset") });
+    }
+
+    /**
+     * The tables and the views of the sources, the joins, and the common table expressions of the query.
+     * The names of the common table expressions and the tables of the conditions are not included.
+     * @type {string[]}
+     */
+    get tables() {
+        const cteNames = this.#state.ctes.map( cte => (cte.name));
+        return [...new Set([...this.#state.from, ...this.#state.joins].flatMap( ({source}) => (
+            source instanceof SelectQuery ? source.tables : [source])).concat(this.#state.ctes.flatMap(
+            cte => (cte.query instanceof SelectQuery ? cte.query.tables : []))).filter(
+            table => (!cteNames.includes(table))))];
+    }
+
+    /**
+     * Convert the query to a SQL fragment.
+     *
+     * @returns {SqlFragment} The fragment of the query.
+     * @throws {SyntaxError} The query had no columns.
+     */
+    toFragment() {
+        const state = this.#state;
+        if (state.columns.length === 0) {
+            throw new SyntaxError("The query has no columns");
+        }
+        /** @type {FragmentPart[]} */
+        const parts = [];
+        if (state.ctes.length > 0) {
+            parts.push(`WITH ${state.ctes.some( cte => (cte.recursive)) ? "RECURSIVE " : ""}`,
+                joinSql(state.ctes.map( cte => (sql`${raw(cte.name)} AS (${toFragment(
+                    cte.query instanceof SelectQuery ? cte.query.toFragment() : cte.query)})`))), " ");
+        }
+        parts.push(`SELECT ${state.distinct ? "DISTINCT " : ""}`, joinSql(state.columns));
+        if (state.from.length > 0) {
+            parts.push(" FROM ", joinSql(state.from.map(sourceFragment)));
+        }
+        state.joins.forEach( join => {
+            parts.push(` ${join.type} JOIN `, sourceFragment(join));
+            if (join.using !== undefined) {
+                parts.push(` USING (${join.using.join(", ")})`);
+            } else if (join.on !== undefined) {
+                parts.push(" ON ", join.on);
+            }
+        });
+        if (state.where.length > 0) {
+            parts.push(" WHERE ", joinSql(state.where.map( condition => (state.where.length > 1 ?
+                sql`(${toFragment(condition)})` : condition)), " AND "));
+        }
+        if (state.groupBy.length > 0) {
+            parts.push(" GROUP BY ", joinSql(state.groupBy));
+        }
+        if (state.having.length > 0) {
+            parts.push(" HAVING ", joinSql(state.having.map( condition => (state.having.length > 1 ?
+                sql`(${toFragment(condition)})` : condition)), " AND "));
+        }
+        if (state.orderBy.length > 0) {
+            parts.push(" ORDER BY ", joinSql(state.orderBy));
+        }
+        if (state.limit !== undefined) {
+            parts.push(" LIMIT ", { value: state.limit });
+        }
+        if (state.offset !== undefined) {
+            parts.push(" OFFSET ", { value: state.offset });
+        }
+        return new SqlFragment(parts);
+    }
+
+    /**
+     * Compile the query to the parameterized SQL.
+     *
+     * @returns {QueryConfig} The SQL text with the `$n` placeholders, and the values of the placeholders.
+     * @throws {SyntaxError} The query was invalid.
+     */
+    toQuery() {
+        /** @type {any[]} */
+        const values = [];
+        const text = this.toFragment().render( value => {
+            values.push(value);
+            return `$${values.length}`;
+        });
+        return { text, values };
+    }
+
+    /**
+     * The SQL of the query with the values as literals. The view definitions use the literal SQL,
+     * as the views do not have parameters.
+     * @returns {string}
+     */
+    toString() {
+        return this.toFragment().toString();
+    }
+}
+
+/**
+ * Check a source of rows.
+ *
+ * @param {string|SelectQuery} source The table, the view, or the subquery.
+ * @param {string} [alias] The alias of the source.
+ * @returns {QuerySource} The valid source.
+ * @throws {SyntaxError} The alias was invalid or missing.
+ */
+function checkSource(source, alias) {
+    if (source instanceof SelectQuery && alias === undefined) {
+        throw new SyntaxError("A subquery requires an alias");
+    } else if (!(source instanceof SelectQuery) && (typeof source !== "string" ||
+        !source.split(".").every( segment => (identifierRegex.test(segment))))) {
+        throw new SyntaxError("Invalid table name");
+    }
+    return { source, ...(alias === undefined ? {} : { alias: checkIdentifier(alias, "Invalid alias") }) };
+}
+
+/**
+ * Get the fragment of a source of rows.
+ *
+ * @param {QuerySource} source The source.
+ * @returns {SqlFragment} The fragment of the source.
+ */
+function sourceFragment({source, alias}) {
+    return new SqlFragment([source, ...(alias === undefined ? [] : [` AS ${alias}`])]);
+}
+
+/**
+ * Check a row count.
+ *
+ * @param {number|undefined} count The count.
+ * @param {string} message The error message of an invalid count.
+ * @returns {number|undefined} The valid count.
+ * @throws {RangeError} The count was not a non-negative integer.
+ */
+function checkCount(count, message) {
+    if (count !== undefined && !(Number.isSafeInteger(count) && count >= 0)) {
+        throw new RangeError(message);
+    }
+    return count;
+}
+
+/**
+ * Create a select query.
+ *
+ * @param {...SqlLike} columns The projection of the query.
+ * @returns {SelectQuery} The query.
+ */
+export function select(...columns) {
+    return new SelectQuery().columns(...columns);
+}
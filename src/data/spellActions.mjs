@@ -0,0 +1,276 @@
+"use server"
+/**
+ * @model actions/spells
+ * 
+ * The actions to get and alter the spells.
+ */
+
+import { SpellModel, NotFoundException, getSpellKey, guidelineKeyToString } from "./guidelines.mjs";
+import { hermeticStyle } from "./arts.mjs";
+import { Pool } from 'pg';
+const pool = new Pool();
+
+/**
+ * The spell key type.
+ * @typedef {import("@/data/guidelines.mjs").SpellKey} SpellKey
+ */
+
+/**
+ * The SQL selecting the spells with their guidelines and requisites.
+ */
+const spellsQuery = "SELECT spells.spell_id, magicStyles.name AS style, technique.art AS technique, " + 
+    "form.art AS form, guideline.level AS guideline_level, guideline.name AS guideline_name, spells.name, " + 
+    "spells.range, spells.duration, spells.target, spells.size, spells.complexity, spells.base_level, " + 
+    "spells.ritual, spells.level, spells.description, source_book.abbrev AS source_ref, spells.source_page, " + 
+    "array_remove(array_agg(requisite.art ORDER BY requisite.art), NULL) AS requisites " + 
+    "FROM spells JOIN magicStyles ON magicStyles.style_id = spells.style_id " + 
+    "JOIN spell_guidelines AS guideline ON guideline.guideline_id = spells.guideline_id " + 
+    "JOIN arts AS technique ON technique.art_id = guideline.technique_id " + 
+    "JOIN arts AS form ON form.art_id = guideline.form_id " + 
+    "LEFT JOIN sourcebooks AS source_book ON source_book.book_id = spells.source_book_id " + 
+    "LEFT JOIN spell_requisites ON spell_requisites.spell_id = spells.spell_id " + 
+    "LEFT JOIN arts AS requisite ON requisite.art_id = spell_requisites.art_id ";
+
+/**
+ * The SQL grouping the spells query.
+ */
+const spellsGroupBy = "GROUP BY spells.spell_id, magicStyles.name, technique.art, form.art, " + 
+    "guideline.level, guideline.name, source_book.abbrev";
+
+/**
+ * Convert a database row to a spell.
+ * 
+ * @param {Record<string, any>} row The database row.
+ * @returns {SpellModel} The spell of the row.
+ */
+function rowToSpell(row) {
+    return new SpellModel(row.name, {
+        style: row.style, technique: row.technique, form: row.form, 
+        level: row.guideline_level === 0 ? null : row.guideline_level, name: row.guideline_name
+    }, {
+        range: row.range, duration: row.duration, target: row.target, size: row.size, complexity: row.complexity
+    }, {
+        requisites: row.requisites ?? [],
+        ritual: row.ritual,
+        baseLevel: row.base_level ?? undefined,
+        level: row.level,
+        description: row.description ?? undefined,
+        source: row.source_ref == null ? undefined : { 
+            ref: row.source_ref, ...(row.source_page == null ? {} : { page: row.source_page }) 
+        }
+    });
+}
+
+/**
+ * Get spells.
+ * 
+ * @param {string} [style] The magic style of the spells. @default "Hermetic"
+ * @returns {Promise<SpellModel[]>} The spells of the style ordered by name.
+ */
+export async function getSpells(style = hermeticStyle) {
+    return new Promise( (resolve, reject) => {
+        pool.query(`${spellsQuery}WHERE magicStyles.name = $1 ${spellsGroupBy} ORDER BY spells.name`, [style]).then(
+            (result) => {
+                resolve(result.rows.map(rowToSpell));
+            },
+            (error) => {
+                reject(new Error("Could not access the spells data", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * Get a spell.
+ * 
+ * @param {SpellKey} spellKey The key of the spell.
+ * @returns {Promise<SpellModel>} The spell.
+ * @throws {NotFoundException} The spell does not exist.
+ */
+export async function getSpell(spellKey) {
+    const key = getSpellKey(spellKey);
+    return new Promise( (resolve, reject) => {
+        pool.query(`${spellsQuery}WHERE magicStyles.name = $1 AND spells.name = $2 ${spellsGroupBy}`, 
+            [key.style, key.name]).then(
+            (result) => {
+                if (result.rowCount > 0) {
+                    resolve(rowToSpell(result.rows[0]));
+                } else {
+                    reject(new NotFoundException(`The spell ${key.name} does not exist`));
+                }
+            },
+            (error) => {
+                reject(new Error("Could not access the spells data", { cause: error }));
+            }
+        );
+    });
+}
+
+/**
+ * Get the identifiers of the style and the base guideline of a spell.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {SpellModel} spell The spell.
+ * @returns {Promise<{style_id: number, guideline_id: number}>} The identifiers.
+ * @throws {RangeError} The base guideline of the spell does not exist.
+ */
+async function getSpellGuidelineIds(client, spell) {
+    const key = spell.guideline;
+    const result = await client.query("SELECT guideline.style_id, guideline.guideline_id " + 
+        "FROM spell_guidelines AS guideline JOIN magicStyles ON magicStyles.style_id = guideline.style_id " + 
+        "JOIN arts AS technique ON technique.art_id = guideline.technique_id " + 
+        "JOIN arts AS form ON form.art_id = guideline.form_id " + 
+        "WHERE magicStyles.name = $1 AND technique.art = $2 AND form.art = $3 AND guideline.level = $4 " + 
+        "AND guideline.name = $5 AND guideline.deleted_at IS NULL", 
+        [key.style, key.technique, key.form, key.level == null ? 0 : key.level, key.name]);
+    if (result.rowCount === 0) {
+        throw new RangeError(`The base guideline ${guidelineKeyToString(key)} does not exist`);
+    }
+    return result.rows[0];
+}
+
+/**
+ * Set the requisites of a spell.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {number} spellId The spell identifier.
+ * @param {number} styleId The style identifier of the requisite arts.
+ * @param {Readonly<string[]>} requisites The requisite arts.
+ * @throws {RangeError} Any requisite was not an art of the style.
+ */
+async function setSpellRequisites(client, spellId, styleId, requisites) {
+    await client.query("DELETE FROM spell_requisites WHERE spell_id = $1", [spellId]);
+    if (requisites.length > 0) {
+        const result = await client.query("INSERT INTO spell_requisites(spell_id, art_id) " + 
+            "SELECT $1, art_id FROM arts WHERE style_id = $2 AND art = ANY($3)", [spellId, styleId, [...requisites]]);
+        if (result.rowCount !== new Set(requisites).size) {
+            throw new RangeError("Unknown requisite art");
+        }
+    }
+}
+
+/**
+ * Get the source book identifier of a spell.
+ * 
+ * @param {import("pg").PoolClient} client The database client.
+ * @param {SpellModel} spell The spell.
+ * @returns {Promise<number|null>} The source book identifier, or null, if the spell has no source.
+ * @throws {RangeError} The source book does not exist.
+ */
+async function getSpellSourcebookId(client, spell) {
+    if (spell.source == null) {
+        return null;
+    }
+    const result = await client.query("SELECT book_id FROM sourcebooks WHERE abbrev = $1", [spell.source.ref]);
+    if (result.rowCount === 0) {
+        throw new RangeError(`Unknown source book ${spell.source.ref}`);
+    }
+    return result.rows[0].book_id;
+}
+
+/**
+ * Get the spell field values of the spells table.
+ * 
+ * @param {SpellModel} spell The spell.
+ * @param {number|null} sourcebookId The source book identifier of the spell.
+ * @returns {any[]} The values of name, range, duration, target, size, complexity, base_level, ritual,
+ * level, description, source_book_id and source_page.
+ */
+function spellValues(spell, sourcebookId) {
+    return [spell.name, spell.range, spell.duration, spell.target, spell.parameters.size, 
+        spell.parameters.complexity, spell.baseLevel ?? null, spell.ritual, spell.level, 
+        spell.description ?? null, sourcebookId, spell.source?.page ?? null];
+}
+
+/**
+ * Add spell to the spells.
+ * 
+ * @param {SpellModel} spell The added spell.
+ * @returns {Promise<SpellKey>} The spell key of the created spell.
+ * @throws {RangeError} The spell was invalid or already existed.
+ */
+export async function addSpell(spell) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { style_id, guideline_id } = await getSpellGuidelineIds(client, spell);
+        const result = await client.query("INSERT INTO spells(style_id, guideline_id, name, range, duration, " + 
+            "target, size, complexity, base_level, ritual, level, description, source_book_id, source_page) " + 
+            "VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING spell_id", 
+            [style_id, guideline_id, ...spellValues(spell, await getSpellSourcebookId(client, spell))]);
+        await setSpellRequisites(client, result.rows[0].spell_id, style_id, spell.requisites);
+        await client.query("COMMIT");
+        return getSpellKey(spell);
+    } catch (error) {
+        await client.query("ROLLBACK");
+        if (error.code === "23505") {
+            throw new RangeError("A spell with the same name already exists", { cause: error });
+        }
+        throw (error instanceof RangeError ? error : new Error("Could not insert the spell", { cause: error }));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Update an existing spell.
+ * 
+ * @param {SpellKey} spellKey The key of the spell.
+ * @param {SpellModel} spell The new value of the spell.
+ * @returns {Promise<SpellKey>} The spell key of the updated spell.
+ * @throws {NotFoundException} The spell does not exist.
+ * @throws {RangeError} The new value of the spell was invalid, or another spell had the new name.
+ */
+export async function updateSpell(spellKey, spell) {
+    const key = getSpellKey(spellKey);
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { style_id, guideline_id } = await getSpellGuidelineIds(client, spell);
+        const result = await client.query("UPDATE spells SET style_id = $1, guideline_id = $2, name = $3, " + 
+            "range = $4, duration = $5, target = $6, size = $7, complexity = $8, base_level = $9, ritual = $10, " +
+            "level = $11, description = $12, source_book_id = $13, source_page = $14 " + 
+            "WHERE spell_id = (SELECT spell_id FROM spells JOIN magicStyles USING (style_id) " + 
+            "WHERE magicStyles.name = $15 AND spells.name = $16) RETURNING spell_id", 
+            [style_id, guideline_id, ...spellValues(spell, await getSpellSourcebookId(client, spell)), 
+                key.style, key.name]);
+        if (result.rowCount === 0) {
+            throw new NotFoundException(`The spell ${key.name} does not exist`);
+        }
+        await setSpellRequisites(client, result.rows[0].spell_id, style_id, spell.requisites);
+        await client.query("COMMIT");
+        return getSpellKey(spell);
+    } catch (error) {
+        await client.query("ROLLBACK");
+        if (error.code === "23505") {
+            throw new RangeError("A spell with the same name already exists", { cause: error });
+        }
+        throw (error instanceof RangeError || error instanceof NotFoundException ? error : 
+            new Error("Could not update the spell", { cause: error }));
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Remove an existing spell.
+ * 
+ * @param {SpellKey} spellKey The key of the removed spell.
+ * @returns {Promise<SpellModel|undefined>} The removed spell, or an undefined value, if
+ * the spell did not exist.
+ */
+export async function removeSpell(spellKey) {
+    const key = getSpellKey(spellKey);
+    try {
+        const removed = await getSpell(key);
+        await pool.query("DELETE FROM spells WHERE spell_id = (SELECT spell_id FROM spells " + 
+            "JOIN magicStyles USING (style_id) WHERE magicStyles.name = $1 AND spells.name = $2)", 
+            [key.style, key.name]);
+        return removed;
+    } catch (error) {
+        if (error instanceof NotFoundException) {
+            return undefined;
+        }
+        throw new Error("Could not remove the spell", { cause: error });
+    }
+}
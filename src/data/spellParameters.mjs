@@ -0,0 +1,208 @@
+
+/**
+ * @module data/spellParameters
+ * The Range, Duration and Target parameters of the spells and the spell level calculation.
+ */
+
+import { hermeticStyle } from "./arts.mjs";
+import { NotFoundException } from "./guidelines.mjs";
+
+/**
+ * The spell parameter.
+ * @typedef {Object} SpellParameter
+ * @property {string} name The name of the parameter.
+ * @property {number} magnitude The magnitudes the parameter adds to the base level.
+ * @property {string[]} [forms] The forms able to use the parameter. Defaults to all forms.
+ * @property {string[]} [techniques] The techniques able to use the parameter. Defaults
+ * to all techniques.
+ */
+
+/**
+ * The parameter catalog of a magic style.
+ * @typedef {Object} ParameterCatalog
+ * @property {SpellParameter[]} range The ranges.
+ * @property {SpellParameter[]} duration The durations.
+ * @property {SpellParameter[]} target The targets.
+ * @property {Pick<SpellParameters, "range"|"duration"|"target">} base The parameters of the
+ * guideline base levels.
+ */
+
+/**
+ * The parameter types.
+ * @typedef {"range"|"duration"|"target"} ParameterType
+ */
+
+/**
+ * The parameters of a spell.
+ * @typedef {Object} SpellParameters
+ * @property {string} [range] The range of the spell. Defaults to the base range.
+ * @property {string} [duration] The duration of the spell. Defaults to the base duration.
+ * @property {string} [target] The target of the spell. Defaults to the base target.
+ * @property {number} [size=0] The additional magnitudes of size.
+ * @property {number} [complexity=0] The additional magnitudes of complexity.
+ */
+
+/**
+ * The parameter type names.
+ * @type {Readonly<ParameterType[]>}
+ */
+export const parameterTypes = Object.freeze(["range", "duration", "target"]);
+
+/**
+ * The Hermetic sense targets usable with Imaginem and Intellego.
+ */
+const senseTargetArts = { forms: ["Imaginem"], techniques: ["Intellego"] };
+
+/**
+ * The parameter catalogs of the magic styles.
+ * @type {Record<string, ParameterCatalog>}
+ */
+const parameterCatalogs = {
+    [hermeticStyle]: {
+        base: { range: "Personal", duration: "Momentary", target: "Individual" },
+        range: [
+            { name: "Personal", magnitude: 0 },
+            { name: "Touch", magnitude: 1 },
+            { name: "Eye", magnitude: 1 },
+            { name: "Voice", magnitude: 2 },
+            { name: "Sight", magnitude: 3 },
+            { name: "Arcane Connection", magnitude: 4 }
+        ],
+        duration: [
+            { name: "Momentary", magnitude: 0 },
+            { name: "Concentration", magnitude: 1 },
+            { name: "Diameter", magnitude: 1 },
+            { name: "Sun", magnitude: 2 },
+            { name: "Ring", magnitude: 2 },
+            { name: "Moon", magnitude: 3 },
+            { name: "Year", magnitude: 4 }
+        ],
+        target: [
+            { name: "Individual", magnitude: 0 },
+            { name: "Circle", magnitude: 0 },
+            { name: "Part", magnitude: 1 },
+            { name: "Group", magnitude: 2 },
+            { name: "Room", magnitude: 2 },
+            { name: "Structure", magnitude: 3 },
+            { name: "Boundary", magnitude: 4 },
+            { name: "Taste", magnitude: 0, ...senseTargetArts },
+            { name: "Touch", magnitude: 1, ...senseTargetArts },
+            { name: "Smell", magnitude: 1, ...senseTargetArts },
+            { name: "Hearing", magnitude: 2, ...senseTargetArts },
+            { name: "Vision", magnitude: 3, ...senseTargetArts }
+        ]
+    }
+};
+
+/**
+ * Get the parameter catalog of a magic style.
+ * 
+ * @param {string} [style] The magic style. @default "Hermetic"
+ * @returns {Readonly<ParameterCatalog>} The parameter catalog of the style.
+ * @throws {NotFoundException} The style does not have a parameter catalog.
+ */
+export function getParameterCatalog(style = hermeticStyle) {
+    if (style in parameterCatalogs) {
+        return parameterCatalogs[style];
+    } else {
+        throw new NotFoundException(`No spell parameters for the magic style ${style}`);
+    }
+}
+
+/**
+ * Get the parameters of a type suitable for a technique and a form.
+ * 
+ * @param {ParameterType} type The parameter type.
+ * @param {string} technique The technique of the spell.
+ * @param {string} form The form of the spell.
+ * @param {string} [style] The magic style. @default "Hermetic"
+ * @returns {SpellParameter[]} The parameters of the type suitable for the technique and form.
+ * @throws {NotFoundException} The style does not have a parameter catalog.
+ */
+export function getParameters(type, technique, form, style = hermeticStyle) {
+    return getParameterCatalog(style)[type].filter( parameter => (
+        parameter.forms == null && parameter.techniques == null || 
+        (parameter.forms ?? []).includes(form) || (parameter.techniques ?? []).includes(technique)
+    ));
+}
+
+/**
+ * Add magnitudes to a level. Each magnitude below level 5 counts as a single level, and
+ * a magnitude at or above level 5 counts as 5 levels. The level never drops below 1.
+ * 
+ * @param {number} level The level.
+ * @param {number} magnitudes The added magnitudes. A negative value reduces magnitudes.
+ * @returns {number} The level with the added magnitudes.
+ * @throws {RangeError} The level or the magnitudes was not an integer.
+ */
+export function addMagnitudes(level, magnitudes) {
+    if (!Number.isInteger(level) || !Number.isInteger(magnitudes)) {
+        throw new RangeError("The level and the magnitudes must be integers");
+    }
+    let result = level;
+    for (let i = 0; i < magnitudes; i++) {
+        result += (result < 5 ? 1 : 5);
+    }
+    for (let i = 0; i > magnitudes && result > 1; i--) {
+        result -= (result <= 5 ? 1 : 5);
+    }
+    return result;
+}
+
+/**
+ * Get the magnitudes of a parameter.
+ * 
+ * @param {ParameterType} type The parameter type.
+ * @param {string} name The parameter name.
+ * @param {string} technique The technique of the spell.
+ * @param {string} form The form of the spell.
+ * @param {string} style The magic style.
+ * @returns {number} The magnitudes of the parameter.
+ * @throws {RangeError} The parameter is not available for the spell.
+ */
+function getParameterMagnitude(type, name, technique, form, style) {
+    const parameter = getParameters(type, technique, form, style).find( param => (param.name === name));
+    if (parameter === undefined) {
+        throw new RangeError(`Unknown ${type} ${name}`);
+    }
+    return parameter.magnitude;
+}
+
+/**
+ * The spell level calculation options.
+ * @typedef {Object} SpellLevelOptions
+ * @property {string} [style] The magic style. @default "Hermetic"
+ * @property {number} [baseLevel] The base level used with a general guideline.
+ */
+
+/**
+ * Calculate the level of a spell.
+ * 
+ * @param {import("./guidelines.mjs").Guideline|import("./guidelines.mjs").GuidelineModel} guideline The
+ * base guideline of the spell.
+ * @param {SpellParameters} [parameters] The parameters of the spell.
+ * @param {SpellLevelOptions} [options] The calculation options.
+ * @returns {number} The level of the spell.
+ * @throws {RangeError} Any parameter was invalid, or the base level of a general guideline
+ * was not given.
+ * @throws {NotFoundException} The style does not have a parameter catalog.
+ */
+export function calculateSpellLevel(guideline, parameters = {}, options = {}) {
+    const style = options.style ?? guideline.style ?? hermeticStyle;
+    const catalog = getParameterCatalog(style);
+    const level = guideline.level ?? options.baseLevel;
+    if (level == null) {
+        throw new RangeError("The base level of a general guideline is required");
+    }
+    const magnitudes = parameterTypes.reduce( (result, type) => (
+        result + getParameterMagnitude(type, parameters[type] ?? catalog.base[type], guideline.technique, 
+            guideline.form, style) - getParameterMagnitude(type, catalog.base[type], guideline.technique, 
+            guideline.form, style)
+    ), 0) + [parameters.size ?? 0, parameters.complexity ?? 0].reduce( (result, extra) => {
+        if (!Number.isInteger(extra) || extra < 0) {
+            throw new RangeError("The additional magnitudes must be non-negative integers");
+        }
+        return result + extra;
+    }, 0);
+    return addMagnitudes(level, magnitudes);
+}
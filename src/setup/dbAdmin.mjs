@@ -0,0 +1,251 @@
+import { parseArgs } from "node:util";
+import pg from "pg";
+import { createContentStatements, dropDatabaseStatements, getDatabaseStatus, runStatements } from "./initDatabase.mjs";
+import { dropMigrationLedgerStatement, getMigrationStatus, initSchemaSteps, migrateDownSteps, migrateUpSteps, 
+    migrationStatements, migrationTable, pendingMigrationStatus, runMigrationSteps } from "./migrations.mjs";
+
+/**
+ * @module setup/dbAdmin
+ *
+ * The database administration command line tool.
+ *
+ * The tool connects to the database of the postgresql environment variables. The commands are
+ * - init: Apply the pending migrations. An existing schema without the migration ledger records
+ *   the baseline as applied. No data is removed.
+ * - migrate [--to version]: Apply the pending migrations up to the version.
+ * - rollback [--to version]: Revert the applied migrations above the version. Defaults to reverting
+ *   the latest applied migration.
+ * - drop: Drop the views, the tables and the migration ledger.
+ * - seed [--test-data]: Add the default content, and the test content, if requested.
+ * - status: Show the tables, the views and the migrations.
+ * - reset [--test-data]: Drop the database, apply all migrations, and add the content.
+ *
+ * The --dry-run option prints the SQL statements of the command instead of running them. The
+ * printed statements, including the transaction statements, are the statements the command runs.
+ * The migration commands read the ledger of the database to find their migrations. The --no-db
+ * option of a dry run prints the migrations of an empty database without connecting to a database.
+ *
+ * The exit code is 0 on success, 1 on a failed command, and 2 on invalid arguments.
+ */
+
+/**
+ * The usage of the tool.
+ */
+const usage = "Usage: npm run db -- <init|migrate|rollback|drop|seed|status|reset> [--to version] [--test-data] " + 
+    "[--dry-run [--no-db]]";
+
+/**
+ * The commands of the tool.
+ * @typedef {"init"|"migrate"|"rollback"|"drop"|"seed"|"status"|"reset"} Command
+ */
+
+/**
+ * The commands running migrations.
+ * @type {Readonly<Command[]>}
+ */
+const migrationCommands = Object.freeze(["init", "migrate", "rollback"]);
+
+/**
+ * The command options.
+ * @typedef {Object} CommandOptions
+ * @property {boolean} testData Does the command add the test content.
+ * @property {boolean} dryRun Does the command print the statements instead of running them.
+ * @property {boolean} noDb Does the dry run treat the database as empty instead of connecting to it.
+ * @property {number} [target] The target version of the migration commands.
+ */
+
+/**
+ * Get the migration steps of a migration command.
+ *
+ * @param {import("pg").Client|undefined} db The database client, or undefined, if the steps are
+ * the steps of an empty database.
+ * @param {Command} command The migration command.
+ * @param {CommandOptions} options The command options.
+ * @returns {Promise<import("./migrations.mjs").MigrationStep[]>} The steps of the command.
+ * @throws {RangeError} The ledger did not match the migrations, or the command is not a migration command.
+ */
+async function getMigrationSteps(db, command, options) {
+    const getStatus = async () => (db === undefined ? pendingMigrationStatus() : await getMigrationStatus(db));
+    switch (command) {
+        case "init": {
+            if (db === undefined) {
+                return migrateUpSteps(pendingMigrationStatus());
+            }
+            const { recorded, applied } = await initSchemaSteps(db);
+            return [...recorded, ...applied];
+        }
+        case "migrate":
+            return migrateUpSteps(await getStatus(), { target: options.target });
+        case "rollback": {
+            const statuses = await getStatus();
+            const applied = statuses.filter( status => (status.appliedAt !== undefined));
+            return migrateDownSteps(statuses, { target: options.target ?? 
+                (applied.length > 1 ? applied[applied.length - 2].version : 0) });
+        }
+        default:
+            throw new RangeError(`The command ${command} has no migrations`);
+    }
+}
+
+/**
+ * Get the statements of a command without migrations. The statements run in a transaction, and
+ * the reset runs each migration in its own transaction.
+ *
+ * @param {Command} command The command.
+ * @param {CommandOptions} options The command options.
+ * @returns {import("./initDatabase.mjs").SqlStatement[]} The statements of the command.
+ * @throws {RangeError} The command has no statements.
+ */
+function getCommandStatements(command, options) {
+    const transaction = (/** @type {import("./initDatabase.mjs").SqlStatement[]} */ statements) => ([
+        { text: "BEGIN" }, ...statements, { text: "COMMIT" }]);
+    switch (command) {
+        case "drop":
+            return transaction([...dropDatabaseStatements(), dropMigrationLedgerStatement()]);
+        case "seed":
+            return transaction(createContentStatements(options));
+        case "reset":
+            return [
+                ...getCommandStatements("drop", options), 
+                ...migrationStatements(migrateUpSteps(pendingMigrationStatus())), 
+                ...getCommandStatements("seed", options)
+            ];
+        default:
+            throw new RangeError(`The command ${command} has no statements`);
+    }
+}
+
+/**
+ * Format a statement as SQL. The parameter values follow the statement as a comment.
+ *
+ * @param {import("./initDatabase.mjs").SqlStatement} statement The statement.
+ * @returns {string} The SQL of the statement.
+ */
+function formatStatement(statement) {
+    return `${statement.text};${statement.values?.length > 0 ? ` -- ${JSON.stringify(statement.values)}` : ""}`;
+}
+
+/**
+ * Print the status of the database.
+ *
+ * @param {import("pg").Client} db The database client.
+ * @returns {Promise<void>}
+ */
+async function printStatus(db) {
+    (await getDatabaseStatus(db)).forEach( entity => {
+        console.log(`${entity.type} ${entity.name}: ${entity.exists ?
+            `present${entity.rows === undefined ? "" : ` (${entity.rows} rows)`}` : "missing"}`);
+    });
+    const ledger = await db.query("SELECT to_regclass($1) IS NOT NULL AS exists", [migrationTable]);
+    if (!ledger.rows[0].exists) {
+        console.log("migrations: no ledger");
+        return;
+    }
+    (await getMigrationStatus(db)).forEach( migration => {
+        console.log(`migration ${migration.version} ${migration.name}: ${migration.appliedAt ?
+            `applied ${migration.appliedAt.toISOString()}` : "pending"}`);
+    });
+}
+
+/**
+ * Run a command.
+ *
+ * @param {import("pg").Client} db The database client.
+ * @param {Command} command The command.
+ * @param {CommandOptions} options The command options.
+ * @returns {Promise<void>}
+ */
+async function runCommand(db, command, options) {
+    switch (command) {
+        case "init":
+        case "migrate":
+        case "rollback": {
+            const migrations = await runMigrationSteps(db, await getMigrationSteps(db, command, options));
+            console.log(migrations.length === 0 ? "The schema is up to date" : migrations.map( migration => (
+                `${command === "rollback" ? "Reverted" : "Applied"} migration ${migration.version} ${migration.name}`
+            )).join("\n"));
+            break;
+        }
+        case "drop":
+        case "seed":
+        case "reset": {
+            const statements = getCommandStatements(command, options);
+            await runStatements(db, statements);
+            console.log(`Ran ${statements.length} statements`);
+            break;
+        }
+        case "status":
+            await printStatus(db);
+            break;
+    }
+}
+
+/**
+ * Run the tool.
+ *
+ * @param {string[]} args The command line arguments.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, allowPositionals: true, options: {
+            "test-data": { type: "boolean", default: false },
+            "dry-run": { type: "boolean", default: false },
+            "no-db": { type: "boolean", default: false },
+            "to": { type: "string" }
+        }});
+    } catch (error) {
+        console.error(`${error.message}\n${usage}`);
+        return 2;
+    }
+    const [command, ...rest] = parsed.positionals;
+    if (!["init", "migrate", "rollback", "drop", "seed", "status", "reset"].includes(command) || rest.length > 0) {
+        console.error(usage);
+        return 2;
+    }
+    const target = parsed.values.to;
+    if (target !== undefined && (!["migrate", "rollback"].includes(command) || !/^\d+$/.test(target))) {
+        console.error(`The --to option requires a migrate or rollback command and a version\n${usage}`);
+        return 2;
+    }
+    if (parsed.values["no-db"] && !parsed.values["dry-run"]) {
+        console.error(`The --no-db option requires the --dry-run option\n${usage}`);
+        return 2;
+    }
+    /** @type {CommandOptions} */
+    const options = { testData: parsed.values["test-data"], dryRun: parsed.values["dry-run"], 
+        noDb: parsed.values["no-db"], ...(target === undefined ? {} : { target: Number(target) }) };
+    if (options.dryRun && command === "status") {
+        console.error("The status command has no statements to print");
+        return 2;
+    } else if (options.dryRun && (options.noDb || !migrationCommands.includes(command))) {
+        try {
+            (migrationCommands.includes(command) ? migrationStatements(await getMigrationSteps(undefined, command, 
+                options)) : getCommandStatements(command, options)).forEach( 
+                statement => (console.log(formatStatement(statement))));
+            return 0;
+        } catch (error) {
+            console.error(`The ${command} command failed: ${error.message}`);
+            return 1;
+        }
+    }
+    const db = new pg.Client();
+    try {
+        await db.connect();
+        if (options.dryRun) {
+            migrationStatements(await getMigrationSteps(db, command, options)).forEach( 
+                statement => (console.log(formatStatement(statement))));
+        } else {
+            await runCommand(db, command, options);
+        }
+        return 0;
+    } catch (error) {
+        console.error(`The ${command} command failed: ${error.message}${error.cause ? `: ${error.cause.message}` : ""}`);
+        return 1;
+    } finally {
+        await db.end();
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,11 +1,15 @@
-import { Client, Pool } from "pg";
+import { hermeticForms, hermeticStyle, hermeticTechniques, getArtAbbrev } from "../data/arts.mjs";
+import { parseSourceReference } from "../data/guidelines.mjs";
+import { select } from "../data/selectQuery.mjs";
 
 /**
  * @module setup/initDatabase
  * 
  * The module for initializing the database.
  * 
- * The module requires the environment for postgresql is properly set.
+ * The entity definitions describe the schema the migrations of setup/migrations create. The schema
+ * is created and changed only by the migrations, so a change of the definitions requires a new
+ * migration.
  */
 
 //////////////////////////////////////////////////////////////////////////////////
@@ -17,40 +21,18 @@ import { Client, Pool } from "pg";
 /**
  * The options relted to the create database.
  * @typedef {Object} CreateDatabaseOptions
- * @property {boolean} [testData=false] Does the creation add test data rows.
- */
-
-/**
- * The options for tables.
- * 
- * @typedef {Object} TableOptions
- * @property {string[]} [tables=[]] The list of table names in the order of creation.
- */
-
-/**
- * The options for views.
- * 
- * @typedef {Object} ViewOptions
- * @property {string[]} [views=[]] The list of views in the order of creation.
+ * @property {boolean} [content=false] Does the creation add the default content.
+ * @property {boolean} [testData=false] Does the creation add test data rows. The test data includes
+ * the default content.
  */
 
 /**
  * The database options.
- * @typedef {TableOptions & ViewOptions} DatabaseOptions
+ * @typedef {Object} DatabaseOptions
+ * @property {Readonly<EntityDefinition[]>} [definitions] The definitions of the database entities.
+ * Defaults to the default definitions.
  */
 
-/**
- * The default table names.
- * @type {string[]}
- */
-const defaultTables = ["magicStyles", "arts", "forms", "techniques", "guidelines"];
-
-/**
- * The default view names.
- * @type {string[]}
- */
-const defaultViews = ["formsView", "techniquesView", "artsView", "guidelinesView"];
-
 /**
  * A single magic style declaration.
  * @typedef {Object} MagicStyle
@@ -121,7 +103,15 @@ const defaultViews = ["formsView", "techniquesView", "artsView", "guidelinesView
  * @property {number} [style_id] The optional style identifier.
  * @property {number} [form_id] The optional form identifier.
  * @property {number} [technique_id] THe optional technique identifier.
+ * @property {number|null} [level] The level of the guideline. The null value indicates a general guideline.
  * @property {string} [description] The optional description of the guideline.
+ * @property {string} [levelFormula] The optional level formula of a general guideline.
+ * @property {import("../data/guidelines.mjs").SourceReference} [source] The optional source reference.
+ */
+
+/**
+ * The collection of source books.
+ * @typedef {import("../data/guidelines.mjs").Sourcebook[]} Sourcebooks
  */
 
 /**
@@ -138,22 +128,28 @@ const defaultData = {
      * @type {MagicStyles}
      */
     "magicStyles": [
-        {name: "Hermetic"}
+        {name: hermeticStyle}
+    ],
+    /**
+     * The list of the source books.
+     * @type {Sourcebooks}
+     */
+    "sourcebooks": [
+        {abbrev: "ArM5", title: "Ars Magica Fifth Edition", edition: "5th", publisher: "Atlas Games"},
+        {abbrev: "Cov", title: "Covenants", edition: "5th", publisher: "Atlas Games"}
     ],
     /**
      * The list of arts.
      * @type {Arts}
      */
-    "arts": ["Animal", "Aquam", "Auram", "Corpus", "Herbam", "Ignem", "Imaginem", "Mentem", "Terram", "Vim", 
-        "Creo", "Intellego", "Muto", "Perdo", "Rego"
-    ].map(
-        (art, index) => ({style: "Hermetic", art_id: index, name: art, abbrev: art.substring(0,2)})
+    "arts": [...hermeticForms, ...hermeticTechniques].map(
+        (art) => ({style: hermeticStyle, art, abbrev: getArtAbbrev(art)})
     ),
     /**
      * @type {Forms}
      */
     get forms()  {
-        return this.arts.filter( (art) => (art.id < 10)).map( 
+        return this.arts.filter( (art) => (hermeticForms.includes(art.art))).map( 
             (art) => ({style: art.style, style_id: art.style_id, art_id: art.art_id, art: art.art, type: "Form"})
         )
     },
@@ -161,7 +157,7 @@ const defaultData = {
      * @type {Techniques}
      */
     get techniques() {
-        return this.arts.filter( (art) => (art.id >= 10)).map( 
+        return this.arts.filter( (art) => (hermeticTechniques.includes(art.art))).map( 
             (art) => ({style: art.style, style_id: art.style_id, art_id: art.art_id, art: art.art, type: "Technique"})
         )
     },
@@ -169,8 +165,13 @@ const defaultData = {
      * @type {Guidelines}
      */
     guidelines: [
+        {form: "Animal", technique: "Creo", level: 20, name: "Create an animal", description: "Create a mundane animal."},
+        {form: "Vim", technique: "Perdo", level: null, name: "Destroy a specific kind of magical effect", 
+            description: "Destroy a specific kind (such a Hermetic spell of specific Form) of level (level + 2 magnitudes)/2.", 
+            levelFormula: "(level + 2 magnitudes)/2"}
     ].map( 
-        (guideline) => ({style: "Hermetic", form: guideline.form, technique: guideline.technique, level: guideline.level, name: guideline.name, description: guideline.description})
+        (guideline) => ({style: "Hermetic", form: guideline.form, technique: guideline.technique, level: guideline.level, name: guideline.name, 
+            description: guideline.description, levelFormula: guideline.levelFormula, source: guideline.source})
     )
 }
 
@@ -184,114 +185,245 @@ const defaultTestData = {
      * @type {Guidelines}
      */
     guidelines: [
-        ...(defaultData.guidelines ?? {}),
-        {form: 'Animal', technique: 'Creo', level: 2, name: 'Preserve a corpse from decay.', description: '[ref: Cov, page: 50]'},
-        {form: 'Animal', technique: 'Creo', level: 5, name: 'Cure a Minor animal disease.', description: '[ref: DI, page: 102]'},
-        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
-        {form: 'Animal', technique: 'Creo', level: 15, name: 'Cure a Major animal disease.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
-        {form: 'Animal', technique: 'Creo', level: 20, name: 'Cure a Critical animal disease.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
-        {form: 'Animal', technique: 'Creo', level: 25, name: 'Stop progress of any disease.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
-        {form: 'Animal', technique: 'Creo', level: 25, name: 'Cure any disease countering its effects.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'}
-    ].map( 
-        (guideline) => ({style: "Hermetic", form: guideline.form, technique: guideline.technique, level: guideline.level, name: guideline.name, description: guideline.description})
-    )
+        ...(defaultData.guidelines ?? []),
+        ...[
+            {form: 'Animal', technique: 'Creo', level: 2, name: 'Preserve a corpse from decay.', description: '[ref: Cov, page: 50]'},
+            {form: 'Animal', technique: 'Creo', level: 5, name: 'Cure a Minor animal disease.', description: '[ref: DI, page: 102]'},
+            {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
+            {form: 'Animal', technique: 'Creo', level: 15, name: 'Cure a Major animal disease.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
+            {form: 'Animal', technique: 'Creo', level: 20, name: 'Cure a Critical animal disease.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
+            {form: 'Animal', technique: 'Creo', level: 25, name: 'Stop progress of any disease.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'},
+            {form: 'Animal', technique: 'Creo', level: 25, name: 'Cure any disease countering its effects.', description: '[ref: DI, page: 102]'},        {form: 'Animal', technique: 'Creo', level: 10, name: 'Cure a Serious animal disease.', description: '[ref: DI, page: 102]'}
+        ].map( 
+            (guideline) => ({style: "Hermetic", form: guideline.form, technique: guideline.technique, level: guideline.level, name: guideline.name, 
+                ...parseSourceReference(guideline.description)})
+        )
+    ]
 }
 
 //////////////////////////////////////////////////////////////////////////////////
 //
-// Database removal
+// Database statements
 //
 //////////////////////////////////////////////////////////////////////////////////
 
 /**
- * Drop views.
- * @param {import("pg").PoolClient|Client} db The database client.
- * @param {ViewOptions} [options] The view options.
- * @returns {Promise<string[]>} The promise of dropped views. 
+ * A SQL statement with its parameters.
+ * @typedef {Object} SqlStatement
+ * @property {string} text The SQL text of the statement.
+ * @property {any[]} [values] The values of the statement parameters.
+ */
+
+/**
+ * Run statements in order. A failed statement inside a transaction the statements started with
+ * BEGIN rolls the transaction back.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {SqlStatement[]} statements The run statements.
+ * @returns {Promise<void>}
  */
-export function dropViews(db, options = {}) {
-    return new Promise((resolve, reject) => {
+export async function runStatements(db, statements) {
+    let inTransaction = false;
+    for (const statement of statements) {
         try {
-            /**
-             * The dropped table names.
-             * @type {string[]}
-             */
-            const result = [];
-            const views = (options.views ?? defaultViews);
-            for (let i = views.length-1; i >= 0; i--) {
-                const view = views[i];
-                db.query(`DROP VIEW IF EXISTS ${view}`).then(
-                    (result) => {
-                        result.unshift(view)
-                    }, 
-                    (error) => {
-                        throw new Error(`Dropping view ${view} failed`, error);
-                    }
-                )
+            await db.query(statement.text, statement.values);
+        } catch (error) {
+            if (inTransaction) {
+                await db.query("ROLLBACK");
             }
-            resolve(result);
-        } catch(error) {
-            reject(`Dropping views failed`, error);
-        }    
-    })
+            throw error;
+        }
+        if (statement.text === "BEGIN") {
+            inTransaction = true;
+        } else if (statement.text === "COMMIT") {
+            inTransaction = false;
+        }
+    }
 }
 
+/**
+ * Get the definitions of the entity types in the order of creation.
+ * @param {DatabaseOptions} options The database options.
+ * @param {EntityType[]} [types] The entity types. Defaults to all types.
+ * @returns {EntityDefinition[]} The definitions of the types in the order of creation.
+ * @throws {RangeError} The definitions had duplicate names, or cyclic dependencies.
+ */
+function getDefinitions(options, types = undefined) {
+    return sortDefinitions(options.definitions ?? defaultDefinitions).filter( 
+        definition => (types === undefined || types.includes(definition.type)));
+}
 
 /**
- * Drop tables.
- * @param {import("pg").PoolClient|Client} db The database client.
- * @param {TableOptions} [options] The table options.
- * @returns {Promise<string[]>} The promise of dropped tables. 
+ * Get the statements dropping the database entities. The entities are dropped before their dependencies.
+ * @param {DatabaseOptions} [options] The database options.
+ * @param {EntityType[]} [types] The dropped entity types. Defaults to all types.
+ * @returns {SqlStatement[]} The statements in the order of execution.
  */
-export function dropTables(db, options = {}) {
-    return new Promise((resolve, reject) => {
-        try {
-            /**
-             * The dropped table names.
-             * @type {string[]}
-             */
-            const result = [];
-            const tables = (options.tables ?? defaultTables);
-            for (let i = tables.length-1; i >= 0; i--) {
-                const table =tables[i];
-                db.query(`DROP TABLE IF EXISTS ${table}`).then(
-                    (result) => {
-                        result.unshift(table)
-                    }, 
-                    (error) => {
-                        throw new Error(`Dropping table ${table} failed`, error);
-                    }
-                )
-            }
-            resolve(result);
-        } catch(error) {
-            reject(`Dropping tables failed`, error);
-        }    
-    })
+export function dropDatabaseStatements(options = {}, types = undefined) {
+    return getDefinitions(options, types).reverse().map( definition => (definition.toDropString())).filter( 
+        text => (text !== undefined)).map( text => ({ text }));
 }
 
 /**
- * @param {import("pg").PoolClient|Client} db The database client.
- * @param {DatabaseOptions} [options={}] The database options.
- * @returns {Promise<DatabaseOptions>} The promise of dropped options. 
+ * Get the statements creating the database entities. The entities are created after their dependencies.
+ * @param {DatabaseOptions} [options] The database options.
+ * @param {EntityType[]} [types] The created entity types. Defaults to all types.
+ * @returns {SqlStatement[]} The statements in the order of execution.
  */
-export function dropDatabase(db, options = {}) {
-    return new Promise( (resolve, reject) => {
-        const result = {
-            views: [],
-            tables: []
-        };
-        dropViews(db, options).then(
-            (views) => {
-                result.views.push(views);
-                dropTables(db, options).then(
-                    (tables) => {
-                        result.tables.push(tables);
-                    }
-                )
-            }
-        ).then( resolve, reject);
-    });
+export function createDatabaseStatements(options = {}, types = undefined) {
+    return getDefinitions(options, types).map( definition => ({ text: definition.toString() }));
+}
+
+/**
+ * The PostgreSQL regular expression matching to the source reference "[ref: Book, page: Page]" of
+ * a description. The expression matches the same references as the source reference parser of
+ * the guidelines.
+ */
+const sourceReferencePattern = "\\[ref:\\s*([^,\\]]*[^,\\]\\s])\\s*(?:,\\s*page:\\s*(\\d+)\\s*)?\\]";
+
+/**
+ * Get the statements moving the source references of the guideline descriptions to the source
+ * citations. The references are removed from the descriptions, and the unknown source books are
+ * added with their abbreviation as the title. The update returns the identifiers of the migrated
+ * guidelines.
+ * @returns {SqlStatement[]} The statements in the order of execution.
+ */
+export function migrateSourceReferenceStatements() {
+    return [
+        { 
+            text: "INSERT INTO sourcebooks(abbrev, title) SELECT DISTINCT ref[1], ref[1] " + 
+                "FROM spell_guidelines, regexp_match(description, $1) AS ref " + 
+                "WHERE source_book_id IS NULL AND ref IS NOT NULL ON CONFLICT (abbrev) DO NOTHING", 
+            values: [sourceReferencePattern] 
+        },
+        { 
+            text: "UPDATE spell_guidelines AS guideline " + 
+                "SET description = NULLIF(btrim(regexp_replace(guideline.description, $1, ''), $2), ''), " + 
+                "source_page = parsed.ref[2]::integer, source_book_id = sourcebooks.book_id " + 
+                "FROM (SELECT guideline_id, regexp_match(description, $1) AS ref FROM spell_guidelines " + 
+                "WHERE source_book_id IS NULL) AS parsed JOIN sourcebooks ON sourcebooks.abbrev = parsed.ref[1] " + 
+                "WHERE guideline.guideline_id = parsed.guideline_id RETURNING guideline.guideline_id", 
+            values: [sourceReferencePattern, " \t\r\n"] 
+        }
+    ];
+}
+
+/**
+ * Get the statements adding the content. The existing content is kept, and the source references
+ * of the existing descriptions are migrated to the source citations.
+ * @param {CreateDatabaseOptions} [options] The content options.
+ * @returns {SqlStatement[]} The statements in the order of execution.
+ */
+export function createContentStatements(options = {}) {
+    const data = options.testData ? defaultTestData : defaultData;
+    const guidelineSources = [...new Set(data.guidelines.filter( guideline => (guideline.source)).map( 
+        guideline => (guideline.source.ref)))];
+    return [
+        ...data.magicStyles.map( style => ({ 
+            text: "INSERT INTO magicStyles(name) VALUES ($1) ON CONFLICT (name) DO NOTHING", 
+            values: [style.name] 
+        })),
+        ...data.sourcebooks.map( book => ({ 
+            text: "INSERT INTO sourcebooks(abbrev, title, edition, publisher) VALUES ($1, $2, $3, $4) " + 
+                "ON CONFLICT (abbrev) DO NOTHING", 
+            values: [book.abbrev, book.title, book.edition ?? null, book.publisher ?? null] 
+        })),
+        // The unknown source books of the guidelines use their abbreviation as the title.
+        ...guidelineSources.map( ref => ({ 
+            text: "INSERT INTO sourcebooks(abbrev, title) VALUES ($1, $1) ON CONFLICT (abbrev) DO NOTHING", 
+            values: [ref] 
+        })),
+        ...data.arts.map( art => ({ 
+            text: "INSERT INTO arts(style_id, art, abbrev) SELECT style_id, $2, $3 FROM magicStyles WHERE name = $1 " + 
+                "ON CONFLICT (style_id, art) DO NOTHING", 
+            values: [art.style, art.art, art.abbrev] 
+        })),
+        ...[["forms", data.forms], ["techniques", data.techniques]].flatMap( ([table, arts]) => (arts.map( art => ({ 
+            text: `INSERT INTO ${table}(art_id) SELECT art_id FROM arts JOIN magicStyles USING (style_id) ` + 
+                "WHERE magicStyles.name = $1 AND art = $2 ON CONFLICT (art_id) DO NOTHING", 
+            values: [art.style, art.art] 
+        })))),
+        ...data.guidelines.map( guideline => ({ 
+            text: "INSERT INTO spell_guidelines(style_id, technique_id, form_id, level, name, description, " + 
+                "level_formula, source_book_id, source_page) " + 
+                "SELECT style_id, technique.art_id, form.art_id, $4, $5, $6, $7, " + 
+                "(SELECT book_id FROM sourcebooks WHERE abbrev = $8), $9 " + 
+                "FROM techniqueView AS technique JOIN formView AS form USING (style_id) " + 
+                "WHERE technique.style = $1 AND technique.art = $2 AND form.art = $3 " + 
+                "ON CONFLICT (style_id, technique_id, form_id, level, name) WHERE deleted_at IS NULL DO NOTHING", 
+            values: [guideline.style, guideline.technique, guideline.form, guideline.level ?? 0, guideline.name, 
+                guideline.description ?? null, guideline.levelFormula ?? null, guideline.source?.ref ?? null, 
+                guideline.source?.page ?? null] 
+        })),
+        ...migrateSourceReferenceStatements()
+    ];
+}
+
+//////////////////////////////////////////////////////////////////////////////////
+//
+// Database removal
+//
+//////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Drop database entities.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {DatabaseOptions} options The database options.
+ * @param {EntityType[]} [types] The dropped entity types. Defaults to all types.
+ * @returns {Promise<string[]>} The promise of the names of the dropped entities in the order of creation.
+ */
+async function dropEntities(db, options, types = undefined) {
+    await runStatements(db, dropDatabaseStatements(options, types));
+    return getDefinitions(options, types).filter( definition => (definition.toDropString() !== undefined)).map(
+        definition => (definition.name));
+}
+
+/**
+ * Drop views.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {DatabaseOptions} [options] The database options.
+ * @returns {Promise<string[]>} The promise of dropped views in the order of creation. 
+ */
+export async function dropViews(db, options = {}) {
+    try {
+        return await dropEntities(db, options, ["view"]);
+    } catch (error) {
+        throw new Error("Dropping views failed", { cause: error });
+    }
+}
+
+
+/**
+ * Drop tables. The views depending on the tables have to be dropped first.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {DatabaseOptions} [options] The database options.
+ * @returns {Promise<string[]>} The promise of dropped tables in the order of creation. 
+ */
+export async function dropTables(db, options = {}) {
+    try {
+        return await dropEntities(db, options, ["table"]);
+    } catch (error) {
+        throw new Error("Dropping tables failed", { cause: error });
+    }
+}
+
+/**
+ * Drop the database entities. The entities are dropped before their dependencies, and the indexes
+ * are dropped with their tables.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {DatabaseOptions} [options={}] The database options.
+ * @returns {Promise<{views: string[], tables: string[], functions: string[]}>} The promise of dropped 
+ * views, tables and functions in the order of creation. 
+ */
+export async function dropDatabase(db, options = {}) {
+    let dropped;
+    try {
+        dropped = await dropEntities(db, options);
+    } catch (error) {
+        throw new Error("Dropping the database failed", { cause: error });
+    }
+    const ofType = (/** @type {EntityType} */ type) => (getDefinitions(options, [type]).map( 
+        definition => (definition.name)).filter( name => (dropped.includes(name))));
+    return { views: ofType("view"), tables: ofType("table"), functions: ofType("function") };
 }
 
 //////////////////////////////////////////////////////////////////////////////////
@@ -303,7 +435,7 @@ export function dropDatabase(db, options = {}) {
 /**
  * The regular expressmatching to the valid name.
  */
-const validDbNameRegex = /^[a-z_](?:{a-z0-9_*[a-z0-9])?$/i;
+const validDbNameRegex = /^[a-z_](?:[a-z0-9_]*[a-z0-9])?$/i;
 
 /**
  * The default database name options for Postgresql.
@@ -312,7 +444,7 @@ const validDbNameRegex = /^[a-z_](?:{a-z0-9_*[a-z0-9])?$/i;
 const defaultDbNameOptions = { 
     datalen: 32,
     message: "Invalid database entity name",
-    createMessage: (/** @type {string} */ message) => {
+    createError: (/** @type {string} */ message) => {
         return new SyntaxError(message);
     }
 };
@@ -392,20 +524,37 @@ export function promiseOfValidDbEntityName(name, options={}) {
     });
 }
 
+/**
+ * The type of a database entity.
+ * @typedef {"table"|"index"|"view"|"function"|"trigger"} EntityType
+ */
+
+/**
+ * The definition of a database entity.
+ * @typedef {Object} EntityDefinition
+ * @property {string} name The name of the entity.
+ * @property {EntityType} type The type of the entity.
+ * @property {string[]} dependencies The names of the entities the entity depends on. The
+ * entity is created after and dropped before its dependencies.
+ * @property {() => string} toString Converts the definition to the SQL string creating the entity.
+ * @property {() => string|undefined} toDropString Converts the definition to the SQL string dropping
+ * the entity. Undefined, if the entity is dropped with the table it belongs to.
+ */
+
 /**
  * The simple table definition using column and constraint definitions..
- * @typedef {Object} SimpleTableDefinition
- * @property {string} name The table name.
+ * @typedef {Object} SimpleTableDefinitionProps
  * @property {ColumnDefinition[]} columns The columns of the table.
  * @property {ConstraintDefinition[]} [constraints=[]] The constraints of the table.
- * @property {() => string} toString Converts the definition to the SQL string.
+ */
+
+/**
+ * @typedef {EntityDefinition & SimpleTableDefinitionProps} SimpleTableDefinition
  */
 
 /**
  * The table definition creating table from query results.
- * @typedef {Object} QueryTableDefinition
- * @property {string} name The table name.
- * @property {() => string} toString Converts the definition to the SQL string.
+ * @typedef {EntityDefinition} QueryTableDefinition
  */
 
 /**
@@ -415,12 +564,14 @@ export function promiseOfValidDbEntityName(name, options={}) {
 /**
  * The column definition.
  * @typedef {Object} ColumnDefinition
+ * @property {string} name The column name.
  * @property {() => string} toString The SQL string representation of the column definition.
  */
 
 /**
  * The table constraint definition.
  * @typedef {Object} ConstraintDefinition
+ * @property {string} [references] The table referred by a foreign key constraint.
  * @property {() => string} toString The SQL string representation of the constraint.
  */
 
@@ -483,9 +634,8 @@ function storageParameters(options) {
         if (result) {
             return `WITH (${result}) `;
         }
-    } else {
-        return "";
     }
+    return "";
 }
 
 /**
@@ -544,7 +694,7 @@ function tableSpace(options) {
 export function parseQualifiedName(name, options={}) {
     if (typeof name === "string") {
         const segments = name.split(".");
-        if (segments.every( segment => (validDbEntityName(segment, options)))) {
+        if (segments.every( segment => (validDbEntityName(segment, options.datalen)))) {
             switch(segments.length) {
                 case 3: 
                     return {database: segments[0], schema: segments[1], name: segments[2]};
@@ -569,15 +719,15 @@ export function validQualifiedName(name, options={}) {
     switch (typeof name) {
         case "string":
             try {
-                const qualifiedName = parseQualifiedName(name);
+                parseQualifiedName(name, options);
                 return true;
             } catch(error) {
-                createError(message);
+                return false;
             }
         case "object":
             return (name !== null && !(name instanceof Function || name instanceof Array) && 
-                "name" in name && validDbEntityName(name.name, options) &&
-                ["schema", "database"].every( prop => (!(prop in name) || validDbEntityName(name[prop], options))));
+                "name" in name && validDbEntityName(name.name, options.datalen) &&
+                ["schema", "database"].every( prop => (!(prop in name) || validDbEntityName(name[prop], options.datalen))));
         default: 
             return false;
     }
@@ -667,6 +817,8 @@ function partitionOptions(options) {
 /**
  * @typedef {Object} TableOptionProperties
  * @property {boolean} [ignoreExisting=false] Is the declaration ignored, if the table exists.
+ * @property {string[]} [dependencies=[]] The entities the table depends on in addition to the
+ * tables referred by the foreign keys.
  */
 
 /**
@@ -676,7 +828,7 @@ function partitionOptions(options) {
 
 /**
  * Create table definition creating table from a query results.
- * @param {SelectQueryDefinition} query The select query from which the table is created.
+ * @param {import("../data/selectQuery.mjs").SelectQuery|string} query The select query from which the table is created.
  * @param {string} tableName The table name.
  * @param {TableOptions & {columns: string[]}} [options] The table options when creating from query.
  * @return {QueryTableDefinition} The table definition creating table from a query.
@@ -687,6 +839,11 @@ export function createTableFromQuery(query, tableName, options={}) {
     }
     return {
         get name() {return tableName}, 
+        type: "table",
+        dependencies: [...(options.dependencies ?? [])],
+        toDropString() {
+            return `DROP TABLE IF EXISTS ${this.name}`;
+        },
         toString() {
             return `CREATE ${scopeOptions(options)}TABLE ${this.name} ${
              options.columns?.length > 0 ? `${options.columns.join(", ")} `: ""
@@ -714,18 +871,25 @@ export function createTableDefinition(tableName, columns, constraints=[], option
     if (!validTableName(tableName)) {
         throw new SyntaxError("Invalid table name");
     }
+    const references = constraints.map( constraint => (constraint.references)).filter( 
+        table => (table !== undefined && table !== tableName));
     return {
         get name() { return tableName; },
+        type: "table",
+        dependencies: [...new Set([...references, ...(options.dependencies ?? [])])],
         columns, 
         constraints,
+        toDropString() {
+            return `DROP TABLE IF EXISTS ${this.name}`;
+        },
         toString() {
-            return `CREATE ${scopeOptions(options)}TABLE ${options.ignoreExisting ? "IF NOT EXISTS" :""
-            } ${this.name} (${this.columns.map(column => column.toString()).join(",\n")}${
+            return `CREATE ${scopeOptions(options)}TABLE ${options.ignoreExisting ? "IF NOT EXISTS " :""
+            }${this.name} (${this.columns.map(column => column.toString()).join(",\n")}${
                 constraints.length > 0 ? `,\n${constraints.map(constraint => constraint.toString()).join(",\n")}` : ""
             })${
                 inheritOptions(options)
             }${partitionOptions(options)}${
-                accessMethod(options)}${
+                useMethod(options)}${
                 storageParameters(options)}${
             commitParameters(options)
             }${
@@ -734,6 +898,436 @@ export function createTableDefinition(tableName, columns, constraints=[], option
     };
 }
 
+/**
+ * The regular expression matching to a valid column type. The type may have a modifier, like
+ * varchar(255), and the array brackets.
+ */
+const validColumnTypeRegex = /^[a-z_][a-z0-9_]*(?: [a-z_][a-z0-9_]*)*(?:\(\d+(?:,\s*\d+)?\))?(?:\[\])*$/i;
+
+/**
+ * The regular expression matching to a valid collation name, like "C" or "en-US-x-icu".
+ */
+const validCollationRegex = /^[a-z0-9_][a-z0-9_.@-]*$/i;
+
+/**
+ * The referential actions of the foreign keys.
+ * @type {Readonly<string[]>}
+ */
+const referentialActions = Object.freeze(["NO ACTION", "RESTRICT", "CASCADE", "SET NULL", "SET DEFAULT"]);
+
+/**
+ * Check validity of a list of column names.
+ * @param {*} columns The checked column names.
+ * @param {string} message The error message of an invalid list.
+ * @returns {string[]} The valid non-empty list of column names.
+ * @throws {SyntaxError} The list was empty or contained an invalid name.
+ */
+function checkColumnNames(columns, message) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new SyntaxError(message);
+    }
+    return columns.map( column => (checkDbEntityName(column, { message })));
+}
+
+/**
+ * Get the constraint name declaration.
+ * @param {{name?: string}} options The constraint options.
+ * @returns {string} The SQL string for the constraint name, or an empty string, if the constraint
+ * has no name.
+ * @throws {SyntaxError} The constraint name was invalid.
+ */
+function constraintName(options) {
+    return options.name ? `CONSTRAINT ${checkDbEntityName(options.name, { message: "Invalid constraint name" })} ` : "";
+}
+
+/**
+ * The column options.
+ * @typedef {Object} ColumnOptions
+ * @property {boolean} [notNull=false] Is the column NOT NULL.
+ * @property {string} [defaultValue] The SQL expression of the default value.
+ * @property {"ALWAYS"|"BY DEFAULT"} [identity] The identity generation of the column.
+ * @property {string} [generated] The SQL expression of the stored generated column.
+ * @property {string} [collation] The collation of the column. The collation name is quoted.
+ */
+
+/**
+ * Create a column definition. A serial column uses the serial type, like "serial" or "bigserial".
+ * @param {string} columnName The column name.
+ * @param {string} type The column type.
+ * @param {ColumnOptions} [options] The column options.
+ * @returns {ColumnDefinition} The column definition.
+ * @throws {SyntaxError} The name, the type or the options were invalid.
+ */
+export function createColumnDefinition(columnName, type, options = {}) {
+    const name = checkDbEntityName(columnName, { message: "Invalid column name" });
+    if (typeof type !== "string" || !validColumnTypeRegex.test(type)) {
+        throw new SyntaxError("Invalid column type");
+    }
+    if (options.identity !== undefined && !["ALWAYS", "BY DEFAULT"].includes(options.identity)) {
+        throw new SyntaxError("Invalid identity generation");
+    }
+    if ([options.defaultValue, options.identity, options.generated].filter( value => (value !== undefined)).length > 1) {
+        throw new SyntaxError("A column has at most one of default value, identity and generation");
+    }
+    if (options.collation !== undefined && !(typeof options.collation === "string" && 
+        validCollationRegex.test(options.collation))) {
+        throw new SyntaxError("Invalid collation name");
+    }
+    const collation = options.collation;
+    return {
+        get name() { return name; },
+        toString() {
+            return `${name} ${type}${collation ? ` COLLATE "${collation}"` : ""}${options.notNull ? " NOT NULL" : ""}${
+                options.defaultValue === undefined ? "" : ` DEFAULT ${options.defaultValue}`}${
+                options.identity ? ` GENERATED ${options.identity} AS IDENTITY` : ""}${
+                options.generated ? ` GENERATED ALWAYS AS (${options.generated}) STORED` : ""}`;
+        }
+    };
+}
+
+/**
+ * The constraint options.
+ * @typedef {Object} ConstraintOptions
+ * @property {string} [name] The constraint name. Defaults to the name generated by the database.
+ */
+
+/**
+ * Create a primary key constraint.
+ * @param {string[]} columns The key columns.
+ * @param {ConstraintOptions} [options] The constraint options.
+ * @returns {ConstraintDefinition} The constraint definition.
+ * @throws {SyntaxError} The columns or the name were invalid.
+ */
+export function createPrimaryKeyConstraint(columns, options = {}) {
+    const keys = checkColumnNames(columns, "Invalid primary key column");
+    const name = constraintName(options);
+    return {
+        toString() {
+            return `${name}PRIMARY KEY (${keys.join(", ")})`;
+        }
+    };
+}
+
+/**
+ * Create a unique constraint.
+ * @param {string[]} columns The unique columns.
+ * @param {ConstraintOptions & {nullsNotDistinct?: boolean}} [options] The constraint options. The
+ * nullsNotDistinct option makes the null values equal.
+ * @returns {ConstraintDefinition} The constraint definition.
+ * @throws {SyntaxError} The columns or the name were invalid.
+ */
+export function createUniqueConstraint(columns, options = {}) {
+    const keys = checkColumnNames(columns, "Invalid unique column");
+    const name = constraintName(options);
+    return {
+        toString() {
+            return `${name}UNIQUE ${options.nullsNotDistinct ? "NULLS NOT DISTINCT " : ""}(${keys.join(", ")})`;
+        }
+    };
+}
+
+/**
+ * The foreign key options.
+ * @typedef {Object} ForeignKeyOptionProps
+ * @property {string} [onDelete] The referential action on the deletion of the referred row.
+ * @property {string} [onUpdate] The referential action on the update of the referred row.
+ */
+
+/**
+ * Create a foreign key constraint.
+ * @param {string[]} columns The referring columns.
+ * @param {string} table The referred table.
+ * @param {string[]} [refColumns] The referred columns. Defaults to the primary key of the referred table.
+ * @param {ConstraintOptions & ForeignKeyOptionProps} [options] The constraint options.
+ * @returns {ConstraintDefinition} The constraint definition.
+ * @throws {SyntaxError} The columns, the table, the actions or the name were invalid.
+ */
+export function createForeignKeyConstraint(columns, table, refColumns = undefined, options = {}) {
+    const keys = checkColumnNames(columns, "Invalid foreign key column");
+    const refTable = checkTableName(table, { message: "Invalid referred table name" });
+    const refKeys = refColumns === undefined ? undefined : checkColumnNames(refColumns, "Invalid referred column");
+    if (refKeys !== undefined && refKeys.length !== keys.length) {
+        throw new SyntaxError("The foreign key and the referred columns differ in number");
+    }
+    const actions = [["DELETE", options.onDelete], ["UPDATE", options.onUpdate]].map( ([event, action]) => {
+        if (action === undefined) {
+            return "";
+        } else if (!referentialActions.includes(action)) {
+            throw new SyntaxError(`Invalid ON ${event} action`);
+        }
+        return ` ON ${event} ${action}`;
+    }).join("");
+    const name = constraintName(options);
+    return {
+        references: refTable,
+        toString() {
+            return `${name}FOREIGN KEY (${keys.join(", ")}) REFERENCES ${refTable}${
+                refKeys ? `(${refKeys.join(", ")})` : ""}${actions}`;
+        }
+    };
+}
+
+/**
+ * Create a check constraint.
+ * @param {string} expression The SQL expression of the checked condition.
+ * @param {ConstraintOptions} [options] The constraint options.
+ * @returns {ConstraintDefinition} The constraint definition.
+ * @throws {SyntaxError} The name was invalid.
+ */
+export function createCheckConstraint(expression, options = {}) {
+    const name = constraintName(options);
+    return {
+        toString() {
+            return `${name}CHECK (${expression})`;
+        }
+    };
+}
+
+/**
+ * An element of an exclusion constraint.
+ * @typedef {Object} ExclusionElement
+ * @property {string} element The column name, or the parenthesized SQL expression.
+ * @property {string} operator The operator of the exclusion.
+ */
+
+/**
+ * Create an exclusion constraint.
+ * @param {ExclusionElement[]} elements The elements of the exclusion.
+ * @param {ConstraintOptions & {using?: string, where?: string}} [options] The constraint options. The
+ * using option is the index method, and the where option the SQL predicate of a partial exclusion.
+ * @returns {ConstraintDefinition} The constraint definition.
+ * @throws {SyntaxError} The elements, the index method or the name were invalid.
+ */
+export function createExclusionConstraint(elements, options = {}) {
+    if (!Array.isArray(elements) || elements.length === 0) {
+        throw new SyntaxError("Invalid exclusion elements");
+    }
+    const using = checkDbEntityName(options.using ?? "gist", { message: "Invalid index method" });
+    const declarations = elements.map( ({element, operator}) => {
+        if (typeof element !== "string" || !(validDbEntityName(element) || /^\(.+\)$/s.test(element))) {
+            throw new SyntaxError("Invalid exclusion element");
+        } else if (typeof operator !== "string" || !/^[-+*/<>=~!@#%^&|`?]+$/.test(operator)) {
+            throw new SyntaxError("Invalid exclusion operator");
+        }
+        return `${element} WITH ${operator}`;
+    });
+    const name = constraintName(options);
+    return {
+        toString() {
+            return `${name}EXCLUDE USING ${using} (${declarations.join(", ")})${
+                options.where ? ` WHERE (${options.where})` : ""}`;
+        }
+    };
+}
+
+/**
+ * The index options.
+ * @typedef {Object} IndexOptions
+ * @property {boolean} [unique=false] Is the index unique.
+ * @property {string} [using] The index method, like "GIN". Defaults to the default method of the database.
+ * @property {string} [where] The SQL predicate of the partial index.
+ */
+
+/**
+ * The index definition.
+ * @typedef {EntityDefinition} IndexDefinition
+ */
+
+/**
+ * Create an index definition. The index is dropped with its table.
+ * @param {string} indexName The index name.
+ * @param {string} table The indexed table.
+ * @param {string[]} elements The indexed columns, or the parenthesized SQL expressions.
+ * @param {IndexOptions} [options] The index options.
+ * @returns {IndexDefinition} The index definition.
+ * @throws {SyntaxError} The name, the table, the elements or the index method were invalid.
+ */
+export function createIndexDefinition(indexName, table, elements, options = {}) {
+    const name = checkDbEntityName(indexName, { message: "Invalid index name" });
+    const tableName = checkTableName(table, { message: "Invalid indexed table name" });
+    if (!Array.isArray(elements) || elements.length === 0 || !elements.every( 
+        element => (validDbEntityName(element) || /^\(.+\)$/s.test(element)))) {
+        throw new SyntaxError("Invalid index elements");
+    }
+    const using = options.using === undefined ? undefined : 
+        checkDbEntityName(options.using, { message: "Invalid index method" });
+    return {
+        get name() { return name; },
+        type: "index",
+        dependencies: [tableName],
+        toDropString() {
+            return undefined;
+        },
+        toString() {
+            return `CREATE ${options.unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${name} ON ${tableName}${
+                using ? ` USING ${using}` : ""} (${elements.join(", ")})${options.where ? ` WHERE ${options.where}` : ""}`;
+        }
+    };
+}
+
+/**
+ * The view definition.
+ * @typedef {EntityDefinition} ViewDefinition
+ */
+
+/**
+ * Create a view definition.
+ * @param {string} viewName The view name.
+ * @param {string|import("../data/selectQuery.mjs").SelectQuery} query The query of the view.
+ * @param {{dependencies?: string[]}} [options] The view options. The dependencies are the tables
+ * and the views the query uses. The dependencies of a select query default to the tables of the query.
+ * @returns {ViewDefinition} The view definition.
+ * @throws {SyntaxError} The view name was invalid.
+ */
+export function createViewDefinition(viewName, query, options = {}) {
+    const name = checkTableName(viewName, { message: "Invalid view name" });
+    return {
+        get name() { return name; },
+        type: "view",
+        dependencies: [...(options.dependencies ?? (typeof query === "string" ? [] : query.tables ?? []))],
+        toDropString() {
+            return `DROP VIEW IF EXISTS ${name}`;
+        },
+        toString() {
+            return `CREATE OR REPLACE VIEW ${name} AS ${query.toString()}`;
+        }
+    };
+}
+
+/**
+ * The function options.
+ * @typedef {Object} FunctionOptions
+ * @property {string} [parameters=""] The SQL declaration of the parameters.
+ * @property {string} [returns="trigger"] The return type of the function.
+ * @property {string} [language="plpgsql"] The language of the function body.
+ * @property {string[]} [dependencies=[]] The entities the function depends on.
+ */
+
+/**
+ * The function definition.
+ * @typedef {EntityDefinition} FunctionDefinition
+ */
+
+/**
+ * Create a function definition. The default function is a PL/pgSQL trigger function.
+ * @param {string} functionName The function name.
+ * @param {string} body The function body.
+ * @param {FunctionOptions} [options] The function options.
+ * @returns {FunctionDefinition} The function definition.
+ * @throws {SyntaxError} The name, the return type or the language were invalid.
+ */
+export function createFunctionDefinition(functionName, body, options = {}) {
+    const name = checkTableName(functionName, { message: "Invalid function name" });
+    const { parameters = "", returns = "trigger", language = "plpgsql" } = options;
+    if (!validColumnTypeRegex.test(returns)) {
+        throw new SyntaxError("Invalid function return type");
+    }
+    checkDbEntityName(language, { message: "Invalid function language" });
+    return {
+        get name() { return name; },
+        type: "function",
+        dependencies: [...(options.dependencies ?? [])],
+        toDropString() {
+            return `DROP FUNCTION IF EXISTS ${name}(${parameters})`;
+        },
+        toString() {
+            return `CREATE OR REPLACE FUNCTION ${name}(${parameters}) RETURNS ${returns} LANGUAGE ${language} ` + 
+                `AS $function$${body}$function$`;
+        }
+    };
+}
+
+/**
+ * The trigger options.
+ * @typedef {Object} TriggerOptions
+ * @property {"BEFORE"|"AFTER"|"INSTEAD OF"} [timing="AFTER"] The timing of the trigger.
+ * @property {Array<"INSERT"|"UPDATE"|"DELETE"|"TRUNCATE">} [events=["INSERT", "UPDATE", "DELETE"]] The
+ * events firing the trigger.
+ * @property {"ROW"|"STATEMENT"} [forEach="ROW"] Does the trigger fire for each row or each statement.
+ * @property {string} [when] The SQL condition of the trigger.
+ */
+
+/**
+ * The trigger definition.
+ * @typedef {EntityDefinition} TriggerDefinition
+ */
+
+/**
+ * Create a trigger definition. The trigger is dropped before its function. The replaced trigger
+ * requires PostgreSQL 14.
+ * @param {string} triggerName The trigger name.
+ * @param {string} table The table or the view of the trigger.
+ * @param {string} functionName The trigger function.
+ * @param {TriggerOptions} [options] The trigger options.
+ * @returns {TriggerDefinition} The trigger definition.
+ * @throws {SyntaxError} The names or the options were invalid.
+ */
+export function createTriggerDefinition(triggerName, table, functionName, options = {}) {
+    const name = checkDbEntityName(triggerName, { message: "Invalid trigger name" });
+    const tableName = checkTableName(table, { message: "Invalid trigger table name" });
+    const fn = checkTableName(functionName, { message: "Invalid trigger function name" });
+    const { timing = "AFTER", events = ["INSERT", "UPDATE", "DELETE"], forEach = "ROW" } = options;
+    if (!["BEFORE", "AFTER", "INSTEAD OF"].includes(timing)) {
+        throw new SyntaxError("Invalid trigger timing");
+    } else if (events.length === 0 || !events.every( event => (["INSERT", "UPDATE", "DELETE", "TRUNCATE"].includes(event)))) {
+        throw new SyntaxError("Invalid trigger events");
+    } else if (!["ROW", "STATEMENT"].includes(forEach)) {
+        throw new SyntaxError("Invalid trigger level");
+    }
+    return {
+        get name() { return name; },
+        type: "trigger",
+        dependencies: [tableName, fn],
+        toDropString() {
+            return `DROP TRIGGER IF EXISTS ${name} ON ${tableName}`;
+        },
+        toString() {
+            return `CREATE OR REPLACE TRIGGER ${name} ${timing} ${events.join(" OR ")} ON ${tableName} ` + 
+                `FOR EACH ${forEach}${options.when ? ` WHEN (${options.when})` : ""} EXECUTE FUNCTION ${fn}()`;
+        }
+    };
+}
+
+/**
+ * Sort the definitions in the order of creation. An entity is created after its dependencies.
+ * The dependencies outside the definitions are assumed to exist. The dependencies are moved before
+ * the first definition depending on them, and the other definitions keep their order.
+ * @param {Readonly<EntityDefinition[]>} definitions The sorted definitions.
+ * @returns {EntityDefinition[]} The definitions in the order of creation.
+ * @throws {RangeError} The definitions had duplicate names, or cyclic dependencies.
+ */
+export function sortDefinitions(definitions) {
+    /** @type {Map<string, EntityDefinition>} */
+    const byName = new Map();
+    definitions.forEach( definition => {
+        if (byName.has(definition.name)) {
+            throw new RangeError(`Duplicate definition of ${definition.name}`);
+        }
+        byName.set(definition.name, definition);
+    });
+    /** @type {EntityDefinition[]} */
+    const result = [];
+    /** @type {Set<string>} */
+    const created = new Set();
+    /** @type {Set<string>} */
+    const visiting = new Set();
+    const visit = (/** @type {EntityDefinition} */ definition) => {
+        if (created.has(definition.name)) {
+            return;
+        } else if (visiting.has(definition.name)) {
+            throw new RangeError(`Cyclic dependency of ${[...visiting, definition.name].join(" -> ")}`);
+        }
+        visiting.add(definition.name);
+        definition.dependencies.filter( dependency => (dependency !== definition.name && byName.has(dependency)))
+            .forEach( dependency => (visit(byName.get(dependency))));
+        visiting.delete(definition.name);
+        created.add(definition.name);
+        result.push(definition);
+    };
+    definitions.forEach(visit);
+    return result;
+}
+
 /**
  * The database field definition
  * @typedef {ColumnDefinition|ConstraintDefinition} FieldDefinition
@@ -748,53 +1342,362 @@ export function createTableDefinition(tableName, columns, constraints=[], option
  * @typedef {Object} StatementDefinition
  */
 
+//////////////////////////////////////////////////////////////////////////////////
+//
+// Database schema
+//
+//////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Create the definition of a table of a kind of arts. The table refers to the arts of the kind.
+ * @param {string} tableName The table name.
+ * @returns {SimpleTableDefinition} The table definition.
+ */
+function createArtTableDefinition(tableName) {
+    return createTableDefinition(tableName, [
+        createColumnDefinition("art_id", "integer")
+    ], [
+        createPrimaryKeyConstraint(["art_id"]),
+        createForeignKeyConstraint(["art_id"], "arts", ["art_id"], { onDelete: "CASCADE" })
+    ], { ignoreExisting: true });
+}
+
+/**
+ * The default table definitions.
+ * @type {TableDefinition[]}
+ */
+const defaultTableDefs = [
+    createTableDefinition("magicStyles", [
+        createColumnDefinition("style_id", "serial"),
+        createColumnDefinition("name", "varchar(64)", { notNull: true })
+    ], [
+        createPrimaryKeyConstraint(["style_id"]),
+        createUniqueConstraint(["name"])
+    ], { ignoreExisting: true }),
+    createTableDefinition("arts", [
+        createColumnDefinition("art_id", "serial"),
+        createColumnDefinition("style_id", "integer", { notNull: true }),
+        createColumnDefinition("art", "varchar(64)", { notNull: true }),
+        createColumnDefinition("abbrev", "varchar(8)", { notNull: true })
+    ], [
+        createPrimaryKeyConstraint(["art_id"]),
+        createForeignKeyConstraint(["style_id"], "magicStyles", ["style_id"], { onDelete: "CASCADE" }),
+        createUniqueConstraint(["style_id", "art"])
+    ], { ignoreExisting: true }),
+    createArtTableDefinition("forms"),
+    createArtTableDefinition("techniques"),
+    createTableDefinition("sourcebooks", [
+        createColumnDefinition("book_id", "serial"),
+        createColumnDefinition("abbrev", "varchar(16)", { notNull: true }),
+        createColumnDefinition("title", "varchar(255)", { notNull: true }),
+        createColumnDefinition("edition", "varchar(32)"),
+        createColumnDefinition("publisher", "varchar(128)")
+    ], [
+        createPrimaryKeyConstraint(["book_id"]),
+        createUniqueConstraint(["abbrev"])
+    ], { ignoreExisting: true }),
+    createTableDefinition("spell_guidelines", [
+        createColumnDefinition("guideline_id", "serial"),
+        createColumnDefinition("style_id", "integer", { notNull: true }),
+        createColumnDefinition("form_id", "integer", { notNull: true }),
+        createColumnDefinition("technique_id", "integer", { notNull: true }),
+        createColumnDefinition("level", "smallint", { notNull: true, defaultValue: "0" }),
+        createColumnDefinition("name", "varchar(255)", { notNull: true }),
+        createColumnDefinition("description", "text"),
+        createColumnDefinition("level_formula", "text"),
+        createColumnDefinition("source_book_id", "integer"),
+        createColumnDefinition("source_page", "integer"),
+        createColumnDefinition("search_vector", "tsvector", { generated: 
+            "setweight(to_tsvector('english', name), 'A') || " + 
+            "setweight(to_tsvector('english', coalesce(description, '')), 'B')" }),
+        createColumnDefinition("deleted_at", "timestamptz")
+    ], [
+        createPrimaryKeyConstraint(["guideline_id"]),
+        createForeignKeyConstraint(["style_id"], "magicStyles", ["style_id"], { onDelete: "CASCADE" }),
+        createForeignKeyConstraint(["form_id"], "forms", ["art_id"], { onDelete: "CASCADE" }),
+        createForeignKeyConstraint(["technique_id"], "techniques", ["art_id"], { onDelete: "CASCADE" }),
+        createForeignKeyConstraint(["source_book_id"], "sourcebooks", ["book_id"], { onDelete: "SET NULL" })
+    ], { ignoreExisting: true }),
+    createTableDefinition("spells", [
+        createColumnDefinition("spell_id", "serial"),
+        createColumnDefinition("style_id", "integer", { notNull: true }),
+        createColumnDefinition("guideline_id", "integer", { notNull: true }),
+        createColumnDefinition("name", "varchar(255)", { notNull: true }),
+        createColumnDefinition("range", "varchar(64)", { notNull: true }),
+        createColumnDefinition("duration", "varchar(64)", { notNull: true }),
+        createColumnDefinition("target", "varchar(64)", { notNull: true }),
+        createColumnDefinition("size", "smallint", { notNull: true, defaultValue: "0" }),
+        createColumnDefinition("complexity", "smallint", { notNull: true, defaultValue: "0" }),
+        createColumnDefinition("base_level", "smallint"),
+        createColumnDefinition("ritual", "boolean", { notNull: true, defaultValue: "false" }),
+        createColumnDefinition("level", "smallint", { notNull: true }),
+        createColumnDefinition("description", "text"),
+        createColumnDefinition("source_book_id", "integer"),
+        createColumnDefinition("source_page", "integer")
+    ], [
+        createPrimaryKeyConstraint(["spell_id"]),
+        createForeignKeyConstraint(["style_id"], "magicStyles", ["style_id"], { onDelete: "CASCADE" }),
+        // The guidelines of the spells are not purged.
+        createForeignKeyConstraint(["guideline_id"], "spell_guidelines", ["guideline_id"], { onDelete: "RESTRICT" }),
+        createForeignKeyConstraint(["source_book_id"], "sourcebooks", ["book_id"], { onDelete: "SET NULL" }),
+        createUniqueConstraint(["style_id", "name"])
+    ], { ignoreExisting: true }),
+    createTableDefinition("spell_requisites", [
+        createColumnDefinition("spell_id", "integer", { notNull: true }),
+        createColumnDefinition("art_id", "integer", { notNull: true })
+    ], [
+        createPrimaryKeyConstraint(["spell_id", "art_id"]),
+        createForeignKeyConstraint(["spell_id"], "spells", ["spell_id"], { onDelete: "CASCADE" }),
+        createForeignKeyConstraint(["art_id"], "arts", ["art_id"], { onDelete: "CASCADE" })
+    ], { ignoreExisting: true }),
+    createTableDefinition("guideline_groups", [
+        createColumnDefinition("group_id", "serial"),
+        createColumnDefinition("style_id", "integer", { notNull: true }),
+        createColumnDefinition("parent_id", "integer"),
+        createColumnDefinition("name", "varchar(255)", { notNull: true }),
+        createColumnDefinition("position", "integer", { notNull: true })
+    ], [
+        createPrimaryKeyConstraint(["group_id"]),
+        createForeignKeyConstraint(["style_id"], "magicStyles", ["style_id"], { onDelete: "CASCADE" }),
+        createForeignKeyConstraint(["parent_id"], "guideline_groups", ["group_id"], { onDelete: "CASCADE" })
+    ], { ignoreExisting: true }),
+    createTableDefinition("guideline_group_members", [
+        createColumnDefinition("group_id", "integer", { notNull: true }),
+        createColumnDefinition("guideline_id", "integer", { notNull: true }),
+        createColumnDefinition("position", "integer", { notNull: true })
+    ], [
+        createPrimaryKeyConstraint(["group_id", "guideline_id"]),
+        createForeignKeyConstraint(["group_id"], "guideline_groups", ["group_id"], { onDelete: "CASCADE" }),
+        createForeignKeyConstraint(["guideline_id"], "spell_guidelines", ["guideline_id"], { onDelete: "CASCADE" })
+    ], { ignoreExisting: true }),
+    createTableDefinition("guideline_revisions", [
+        createColumnDefinition("revision_id", "serial"),
+        createColumnDefinition("guideline_id", "integer", { notNull: true }),
+        createColumnDefinition("operation", "varchar(16)", { notNull: true }),
+        createColumnDefinition("author", "varchar(255)"),
+        createColumnDefinition("created_at", "timestamptz", { notNull: true, defaultValue: "now()" }),
+        createColumnDefinition("before", "jsonb"),
+        createColumnDefinition("after", "jsonb")
+    ], [
+        createPrimaryKeyConstraint(["revision_id"]),
+        createForeignKeyConstraint(["guideline_id"], "spell_guidelines", ["guideline_id"], { onDelete: "CASCADE" }),
+        createCheckConstraint("operation IN ('create', 'update', 'delete', 'restore', 'revert')")
+    ], { ignoreExisting: true })
+];
+
+/**
+ * The default index definitions.
+ * @type {IndexDefinition[]}
+ */
+const defaultIndexDefs = [
+    createIndexDefinition("spell_guidelines_search_idx", "spell_guidelines", ["search_vector"], { using: "GIN" }),
+    // The guidelines in the trash do not reserve their keys.
+    createIndexDefinition("spell_guidelines_key_idx", "spell_guidelines", 
+        ["style_id", "technique_id", "form_id", "level", "name"], { unique: true, where: "deleted_at IS NULL" })
+];
+
+/**
+ * The default view definitions.
+ * @type {ViewDefinition[]}
+ */
+const defaultViewDefs = [
+    createViewDefinition("artsView", select("magicStyles.name AS style", "arts.style_id", "arts.art_id", "arts.art", 
+        "arts.abbrev", "CASE WHEN forms.art_id IS NOT NULL THEN 'Form' " + 
+        "WHEN techniques.art_id IS NOT NULL THEN 'Technique' END AS type")
+        .from("arts").join("magicStyles", undefined, { using: ["style_id"] })
+        .leftJoin("forms", { using: ["art_id"] }).leftJoin("techniques", { using: ["art_id"] })),
+    ...[["formView", "forms"], ["techniqueView", "techniques"]].map( ([view, table]) => (createViewDefinition(view, 
+        select("magicStyles.name AS style", "arts.style_id", "arts.art_id", "arts.art", "arts.abbrev").from(table)
+            .join("arts", undefined, { using: ["art_id"] }).join("magicStyles", undefined, { using: ["style_id"] })))),
+    // The guidelines in the trash are not shown.
+    createViewDefinition("guidelinesView", select("spell_guidelines.guideline_id", "spell_guidelines.style_id", 
+        "magicStyles.name AS style", "spell_guidelines.technique_id", "spell_guidelines.form_id", 
+        "technique.art AS technique", "form.art AS form", "spell_guidelines.level", "spell_guidelines.name", 
+        "spell_guidelines.description", "spell_guidelines.level_formula", "sourcebooks.abbrev AS source_ref", 
+        "spell_guidelines.source_page", "spell_guidelines.search_vector")
+        .from("spell_guidelines").join("magicStyles", undefined, { using: ["style_id"] })
+        .join("arts", "technique.art_id = spell_guidelines.technique_id", { alias: "technique" })
+        .join("arts", "form.art_id = spell_guidelines.form_id", { alias: "form" })
+        .leftJoin("sourcebooks", "sourcebooks.book_id = spell_guidelines.source_book_id")
+        .where("spell_guidelines.deleted_at IS NULL"))
+];
+
+/**
+ * The default trigger and trigger function definitions.
+ * @type {Array<FunctionDefinition|TriggerDefinition>}
+ */
+const defaultTriggerDefs = [
+    // The foreign keys do not tie the arts of a guideline to the style of the guideline.
+    createFunctionDefinition("check_guideline_arts_style", `
+BEGIN
+    IF EXISTS (SELECT 1 FROM arts WHERE art_id IN (NEW.form_id, NEW.technique_id) AND style_id <> NEW.style_id) THEN
+        RAISE EXCEPTION 'The arts of the guideline % are not arts of its style', NEW.name 
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+`, { dependencies: ["arts"] }),
+    createTriggerDefinition("spell_guidelines_arts_style", "spell_guidelines", "check_guideline_arts_style", 
+        { timing: "BEFORE", events: ["INSERT", "UPDATE"] })
+];
+
+/**
+ * The default definitions of the database entities in the order of declaration. The creation
+ * order is derived from the dependencies.
+ * @type {Readonly<EntityDefinition[]>}
+ */
+const defaultDefinitions = Object.freeze([...defaultTableDefs, ...defaultIndexDefs, ...defaultViewDefs, 
+    ...defaultTriggerDefs]);
+
 //////////////////////////////////////////////////////////////////////////////////
 //
 // Database creation
 //
 //////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Migrate the source references of the guideline descriptions to the source citations in a transaction.
+ * 
+ * The references in format "[ref: Book, page: Page]" are removed from the descriptions. The
+ * unknown source books are added with their abbreviation as the title.
+ * 
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @returns {Promise<number[]>} The promise of the identifiers of the migrated guidelines.
+ */
+export async function migrateSourceReferences(db) {
+    const [insertBooks, updateGuidelines] = migrateSourceReferenceStatements();
+    try {
+        await db.query("BEGIN");
+        await db.query(insertBooks.text, insertBooks.values);
+        const result = await db.query(updateGuidelines.text, updateGuidelines.values);
+        await db.query("COMMIT");
+        return result.rows.map( row => (/** @type {number} */ (row.guideline_id)));
+    } catch (error) {
+        await db.query("ROLLBACK");
+        throw new Error("Migrating the source references failed", { cause: error });
+    }
+}
 
+/**
+ * Create database entities.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {DatabaseOptions} options The database options.
+ * @param {EntityType[]} types The created entity types.
+ * @returns {Promise<string[]>} The promise of the names of the created entities in the order of creation.
+ */
+async function createEntities(db, options, types) {
+    await runStatements(db, createDatabaseStatements(options, types));
+    return getDefinitions(options, types).map( definition => (definition.name));
+}
 
 /**
  * Create database tables.
- * @param {import("pg").PoolClient} db The database connection.
- * @param {*} [options] The create tables options.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {DatabaseOptions} [options] The database options.
  * @returns {Promise<string[]>} The promise of the created tables in the order they were created.
  */
-export function createTables(db, options = {}) {
-    return new Promise( (resolve, reject) => {
-        try {
-            const tableDefs = (options.tableDefs ?? (defaultTableDefs ?? {}));
-            (options.tables ?? defaultTables).forEach( (table, index) => {
-                const def = tableDefs[table];
-                db.query(`CREATE TABLE IF NOT EXISTS ${table} ${
-                    typeof def === "string" ? `(${def})` : def.toString()
-                    }`)
-            });
-        } catch(error) {
-            reject(new Error(`Creation of the tables failed`, error));
-        }
-    })
-}
-
-/**
- * Creates the database from scrach.
- * @param {CreateDatabaseOptions} [options] The create database options.
- */
-export default function createDatebase(db = defaultPool, options = {}) {
-    return new Promise(async (resolve, reject) => {
-        const result = {
-            tables: [],
-            views: [],
-            triggers: []
-        };
-        await dropDatabase(db, options);
-        result.tables.push(await createTables(db, options));
-        result.views.push(await createViews(db, options));
-        result.triggers.push(await createTriggers(db, options));
-        if (options.testData) {
-            createTestContent(db, options);
+export async function createTables(db, options = {}) {
+    try {
+        return await createEntities(db, options, ["table"]);
+    } catch (error) {
+        throw new Error("Creation of the tables failed", { cause: error });
+    }
+}
+
+/**
+ * Create database indexes.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {DatabaseOptions} [options] The database options.
+ * @returns {Promise<string[]>} The promise of the created indexes in the order they were created.
+ */
+export async function createIndexes(db, options = {}) {
+    try {
+        return await createEntities(db, options, ["index"]);
+    } catch (error) {
+        throw new Error("Creation of the indexes failed", { cause: error });
+    }
+}
+
+/**
+ * Create database views.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {DatabaseOptions} [options] The database options.
+ * @returns {Promise<string[]>} The promise of the created views in the order they were created.
+ */
+export async function createViews(db, options = {}) {
+    try {
+        return await createEntities(db, options, ["view"]);
+    } catch (error) {
+        throw new Error("Creation of the views failed", { cause: error });
+    }
+}
+
+/**
+ * Create database triggers and their functions.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {DatabaseOptions} [options] The database options.
+ * @returns {Promise<string[]>} The promise of the created functions and triggers in the order they were created.
+ */
+export async function createTriggers(db, options = {}) {
+    try {
+        return await createEntities(db, options, ["function", "trigger"]);
+    } catch (error) {
+        throw new Error("Creation of the triggers failed", { cause: error });
+    }
+}
+
+/**
+ * Add the default content, and the test content, if requested.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {CreateDatabaseOptions} [options] The content options.
+ * @returns {Promise<number>} The promise of the number of run statements.
+ */
+export async function createContent(db, options = {}) {
+    const statements = createContentStatements(options);
+    try {
+        await runStatements(db, statements);
+        return statements.length;
+    } catch (error) {
+        throw new Error("Adding the content failed", { cause: error });
+    }
+}
+
+/**
+ * Add the default content and the test content.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {CreateDatabaseOptions} [options] The content options.
+ * @returns {Promise<number>} The promise of the number of run statements.
+ */
+export function createTestContent(db, options = {}) {
+    return createContent(db, { ...options, testData: true });
+}
+
+/**
+ * The status of a database entity.
+ * @typedef {Object} EntityStatus
+ * @property {string} name The name of the entity.
+ * @property {"table"|"view"} type The type of the entity.
+ * @property {boolean} exists Does the entity exist.
+ * @property {number} [rows] The number of rows of an existing table.
+ */
+
+/**
+ * Get the status of the database tables and views.
+ * @param {import("pg").PoolClient|import("pg").Client} db The database connection.
+ * @param {DatabaseOptions} [options] The database options.
+ * @returns {Promise<EntityStatus[]>} The statuses of the tables and the views in the order of creation.
+ */
+export async function getDatabaseStatus(db, options = {}) {
+    /** @type {EntityStatus[]} */
+    const result = [];
+    for (const type of /** @type {EntityType[]} */ (["table", "view"])) {
+        for (const {name} of getDefinitions(options, [type])) {
+            const found = await db.query("SELECT to_regclass($1) IS NOT NULL AS exists", [name]);
+            const exists = found.rows[0].exists;
+            const rows = exists && type === "table" ? 
+                Number((await db.query(`SELECT count(*) AS count FROM ${name}`)).rows[0].count) : undefined;
+            result.push({ name, type, exists, ...(rows === undefined ? {} : { rows }) });
         }
-    });
-}
\ No newline at end of file
+    }
+    return result;
+}
@@ -0,0 +1,358 @@
+import { createHash } from "node:crypto";
+import { getDatabaseStatus, runStatements } from "./initDatabase.mjs";
+import baseline from "./migrations/baseline.mjs";
+
+/**
+ * @module setup/migrations
+ *
+ * The versioned schema migrations.
+ *
+ * The applied migrations are recorded in the schema_migrations ledger with the checksums of
+ * their statements. Each migration runs in its own transaction together with its ledger change,
+ * so a failed migration leaves neither schema changes nor a ledger row behind.
+ *
+ * The migration steps are built before they are run, and the printed steps of a dry run are the
+ * statements the run executes.
+ *
+ * The migrations require a single database client instead of a pool, as the statements of
+ * a transaction must share the connection.
+ */
+
+/**
+ * A schema migration.
+ * @typedef {Object} Migration
+ * @property {number} version The positive integer version of the migration. The migrations
+ * are applied in the ascending order of versions.
+ * @property {string} name The name of the migration.
+ * @property {Readonly<string[]>} up The SQL statements applying the migration.
+ * @property {Readonly<string[]>} [down] The SQL statements reverting the migration. Undefined,
+ * if the migration cannot be reverted.
+ */
+
+/**
+ * The migration status.
+ * @typedef {Object} MigrationStatus
+ * @property {number} version The version of the migration.
+ * @property {string} name The name of the migration.
+ * @property {string} checksum The checksum of the migration.
+ * @property {Date} [appliedAt] The time the migration was applied. Undefined, if the migration
+ * is pending.
+ */
+
+/**
+ * The migrations in the order of versions.
+ * @type {Readonly<Migration[]>}
+ */
+export const defaultMigrations = Object.freeze([
+    baseline
+]);
+
+/**
+ * The name of the migration ledger table.
+ */
+export const migrationTable = "schema_migrations";
+
+/**
+ * Calculate the checksum of a migration. The checksum covers the up statements of the migration.
+ *
+ * @param {Migration} migration The migration.
+ * @returns {string} The hexadecimal SHA-256 checksum of the migration.
+ */
+export function migrationChecksum(migration) {
+    const hash = createHash("sha256");
+    migration.up.forEach( statement => {
+        hash.update(statement);
+        hash.update("\0");
+    });
+    return hash.digest("hex");
+}
+
+/**
+ * Check the migrations have unique positive integer versions in the ascending order.
+ *
+ * @param {Readonly<Migration[]>} migrations The migrations.
+ * @returns {Readonly<Migration[]>} The checked migrations.
+ * @throws {RangeError} The versions were invalid.
+ */
+export function checkMigrations(migrations) {
+    migrations.forEach( (migration, index) => {
+        if (!Number.isSafeInteger(migration.version) || migration.version <= 0) {
+            throw new RangeError(`Invalid migration version ${migration.version}`);
+        } else if (index > 0 && migrations[index - 1].version >= migration.version) {
+            throw new RangeError(`Migration ${migration.version} is out of order`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ * The statement creating the migration ledger, if it does not exist.
+ * @type {import("./initDatabase.mjs").SqlStatement}
+ */
+const createLedgerStatement = Object.freeze({
+    text: `CREATE TABLE IF NOT EXISTS ${migrationTable} (version integer PRIMARY KEY, ` +
+        "name varchar(255) NOT NULL, checksum char(64) NOT NULL, applied_at timestamptz NOT NULL DEFAULT now())"
+});
+
+/**
+ * Create the migration ledger, if it does not exist.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @returns {Promise<void>}
+ */
+export async function createMigrationLedger(db) {
+    await db.query(createLedgerStatement.text);
+}
+
+/**
+ * Get the statement dropping the migration ledger. The ledger is dropped with the schema it records.
+ *
+ * @returns {import("./initDatabase.mjs").SqlStatement} The statement dropping the ledger.
+ */
+export function dropMigrationLedgerStatement() {
+    return { text: `DROP TABLE IF EXISTS ${migrationTable}` };
+}
+
+/**
+ * Get the migration status of the database. The status does not change the database, and all
+ * migrations of a database without the ledger are pending.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {Readonly<Migration[]>} [migrations] The known migrations.
+ * @returns {Promise<MigrationStatus[]>} The statuses of the known migrations in the order of versions.
+ * @throws {RangeError} An applied migration was unknown, or its checksum did not match.
+ */
+export async function getMigrationStatus(db, migrations = defaultMigrations) {
+    checkMigrations(migrations);
+    const ledger = await db.query("SELECT to_regclass($1) IS NOT NULL AS exists", [migrationTable]);
+    const result = ledger.rows[0].exists ? 
+        await db.query(`SELECT version, name, checksum, applied_at FROM ${migrationTable} ORDER BY version`) : 
+        { rows: [] };
+    /** @type {Map<number, Record<string, any>>} */
+    const applied = new Map(result.rows.map( row => ([row.version, row])));
+    const statuses = migrations.map( migration => {
+        const checksum = migrationChecksum(migration);
+        const row = applied.get(migration.version);
+        applied.delete(migration.version);
+        if (row && row.checksum !== checksum) {
+            throw new RangeError(`The checksum of the applied migration ${migration.version} ${migration.name} ` +
+                "does not match");
+        }
+        return { version: migration.version, name: migration.name, checksum,
+            ...(row ? { appliedAt: row.applied_at } : {}) };
+    });
+    if (applied.size > 0) {
+        throw new RangeError(`Unknown applied migrations ${[...applied.keys()].join(", ")}`);
+    }
+    return statuses;
+}
+
+/**
+ * Get the migration statuses of a database without applied migrations.
+ *
+ * @param {Readonly<Migration[]>} [migrations] The known migrations.
+ * @returns {MigrationStatus[]} The statuses of the pending migrations in the order of versions.
+ */
+export function pendingMigrationStatus(migrations = defaultMigrations) {
+    return checkMigrations(migrations).map( migration => ({ version: migration.version, name: migration.name, 
+        checksum: migrationChecksum(migration) }));
+}
+
+/**
+ * A migration step running a migration or recording it in the ledger.
+ * @typedef {Object} MigrationStep
+ * @property {Migration} migration The migration of the step.
+ * @property {MigrationStatus} status The status of the migration before the step.
+ * @property {import("./initDatabase.mjs").SqlStatement[]} statements The statements of the step. The
+ * statements run in their own transaction.
+ */
+
+/**
+ * Get the steps applying the pending migrations.
+ *
+ * @param {MigrationStatus[]} statuses The statuses of the migrations.
+ * @param {Object} [options] The migration options.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @param {number} [options.target] The last applied version. Defaults to the latest version.
+ * @returns {MigrationStep[]} The steps in the order of execution.
+ */
+export function migrateUpSteps(statuses, options = {}) {
+    const { migrations = defaultMigrations, target = Infinity } = options;
+    return statuses.flatMap( (status, index) => (status.appliedAt === undefined && status.version <= target ? [{
+        migration: migrations[index], status, statements: [{ text: "BEGIN" }, 
+            ...migrations[index].up.map( text => ({ text })), 
+            { text: `INSERT INTO ${migrationTable}(version, name, checksum) VALUES ($1, $2, $3)`, 
+                values: [status.version, status.name, status.checksum] }, 
+            { text: "COMMIT" }]
+    }] : []));
+}
+
+/**
+ * Get the steps reverting the applied migrations above the target version.
+ *
+ * @param {MigrationStatus[]} statuses The statuses of the migrations.
+ * @param {Object} options The migration options.
+ * @param {number} options.target The last version kept applied. The zero reverts all migrations.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @returns {MigrationStep[]} The steps in the order of execution.
+ * @throws {RangeError} The target was invalid, or a reverted migration could not be reverted.
+ */
+export function migrateDownSteps(statuses, options) {
+    const { migrations = defaultMigrations, target } = options;
+    if (!Number.isSafeInteger(target) || target < 0) {
+        throw new RangeError(`Invalid target version ${target}`);
+    }
+    return [...statuses.entries()].reverse().flatMap( ([index, status]) => {
+        if (status.appliedAt === undefined || status.version <= target) {
+            return [];
+        }
+        const migration = migrations[index];
+        if (migration.down === undefined) {
+            throw new RangeError(`Migration ${migration.version} ${migration.name} cannot be reverted`);
+        }
+        return [{ migration, status, statements: [{ text: "BEGIN" }, ...migration.down.map( text => ({ text })), 
+            { text: `DELETE FROM ${migrationTable} WHERE version = $1`, values: [migration.version] }, 
+            { text: "COMMIT" }] }];
+    });
+}
+
+/**
+ * Get the steps recording the migrations up to the target version as applied without running them.
+ *
+ * @param {MigrationStatus[]} statuses The statuses of the migrations.
+ * @param {Object} [options] The migration options.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @param {number} [options.target] The last recorded version. Defaults to the baseline version.
+ * @returns {MigrationStep[]} The steps in the order of execution.
+ */
+export function recordMigrationSteps(statuses, options = {}) {
+    const { migrations = defaultMigrations, target = baseline.version } = options;
+    return statuses.flatMap( (status, index) => (status.appliedAt === undefined && status.version <= target ? [{
+        migration: migrations[index], status, statements: [
+            { text: `INSERT INTO ${migrationTable}(version, name, checksum) VALUES ($1, $2, $3)`, 
+                values: [status.version, status.name, status.checksum] }]
+    }] : []));
+}
+
+/**
+ * Get the statements of the migration steps. The ledger is created before the steps.
+ *
+ * @param {MigrationStep[]} steps The migration steps.
+ * @returns {import("./initDatabase.mjs").SqlStatement[]} The statements in the order of execution.
+ */
+export function migrationStatements(steps) {
+    return steps.length === 0 ? [] : [createLedgerStatement, ...steps.flatMap( step => (step.statements))];
+}
+
+/**
+ * Run migration steps. The ledger is created before the steps.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {MigrationStep[]} steps The migration steps.
+ * @returns {Promise<Migration[]>} The migrations of the run steps.
+ * @throws {Error} A step failed. The transaction of the step was rolled back, and the earlier
+ * steps stay run.
+ */
+export async function runMigrationSteps(db, steps) {
+    if (steps.length > 0) {
+        await createMigrationLedger(db);
+    }
+    for (const {migration, statements} of steps) {
+        try {
+            await runStatements(db, statements);
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} ${migration.name} failed`, { cause: error });
+        }
+    }
+    return steps.map( step => (step.migration));
+}
+
+/**
+ * Apply the pending migrations.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {Object} [options] The migration options.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @param {number} [options.target] The last applied version. Defaults to the latest version.
+ * @returns {Promise<Migration[]>} The applied migrations in the order they were applied.
+ * @throws {RangeError} The ledger did not match the known migrations.
+ * @throws {Error} A migration failed. The earlier migrations stay applied.
+ */
+export async function migrateUp(db, options = {}) {
+    return runMigrationSteps(db, migrateUpSteps(await getMigrationStatus(db, options.migrations), options));
+}
+
+/**
+ * Revert the applied migrations above the target version.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {Object} options The migration options.
+ * @param {number} options.target The last version kept applied. The zero reverts all migrations.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @returns {Promise<Migration[]>} The reverted migrations in the order they were reverted.
+ * @throws {RangeError} The ledger did not match the known migrations, or a reverted migration
+ * could not be reverted.
+ * @throws {Error} A migration failed. The later migrations stay reverted.
+ */
+export async function migrateDown(db, options) {
+    return runMigrationSteps(db, migrateDownSteps(await getMigrationStatus(db, options.migrations), options));
+}
+
+/**
+ * Record the migrations up to the target version as applied without running them.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {Object} [options] The migration options.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @param {number} [options.target] The last recorded version. Defaults to the baseline version.
+ * @returns {Promise<Migration[]>} The recorded migrations.
+ * @throws {RangeError} The ledger did not match the known migrations.
+ */
+export async function recordMigrations(db, options = {}) {
+    return runMigrationSteps(db, recordMigrationSteps(await getMigrationStatus(db, options.migrations), options));
+}
+
+/**
+ * The steps initializing the schema.
+ * @typedef {Object} InitSchemaSteps
+ * @property {MigrationStep[]} recorded The steps recording the migrations of the existing schema.
+ * @property {MigrationStep[]} applied The steps applying the pending migrations.
+ */
+
+/**
+ * Get the steps initializing the schema. A schema created before the ledger adopts the ledger:
+ * if no migration is applied and all tables of the baseline exist, the baseline is recorded as
+ * applied without running it. The pending migrations are applied after the adoption.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {Object} [options] The migration options.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @returns {Promise<InitSchemaSteps>} The steps of the initialization.
+ * @throws {RangeError} The ledger did not match the known migrations.
+ */
+export async function initSchemaSteps(db, options = {}) {
+    const statuses = await getMigrationStatus(db, options.migrations);
+    const tables = (await getDatabaseStatus(db)).filter( entity => (entity.type === "table"));
+    const recorded = statuses.every( status => (status.appliedAt === undefined)) && 
+        tables.every( table => (table.exists)) ? recordMigrationSteps(statuses, options) : [];
+    const recordedVersions = recorded.map( step => (step.status.version));
+    return { recorded, applied: migrateUpSteps(statuses.map( status => (recordedVersions.includes(status.version) ? 
+        { ...status, appliedAt: new Date() } : status)), options) };
+}
+
+/**
+ * Initialize the schema. The existing schema is adopted, and the pending migrations are applied.
+ * No data is removed.
+ *
+ * @param {import("pg").PoolClient|import("pg").Client} db The database client.
+ * @param {Object} [options] The migration options.
+ * @param {Readonly<Migration[]>} [options.migrations] The known migrations.
+ * @returns {Promise<{recorded: Migration[], applied: Migration[]}>} The migrations recorded for the
+ * existing schema, and the applied migrations.
+ * @throws {RangeError} The ledger did not match the known migrations.
+ * @throws {Error} A migration failed. The earlier migrations stay applied.
+ */
+export async function initSchema(db, options = {}) {
+    const { recorded, applied } = await initSchemaSteps(db, options);
+    return { recorded: await runMigrationSteps(db, recorded), applied: await runMigrationSteps(db, applied) };
+}
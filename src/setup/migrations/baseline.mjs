@@ -0,0 +1,167 @@
+/**
+ * @module setup/migrations/baseline
+ *
+ * The baseline migration creating the schema of the database initialization at the introduction of
+ * the migrations.
+ *
+ * The statements are frozen, because the checksum of an applied migration must not change. A later
+ * schema change is a new migration.
+ */
+
+/**
+ * The baseline migration.
+ * @type {import("../migrations.mjs").Migration}
+ */
+const baseline = Object.freeze({
+    version: 1,
+    name: "baseline",
+    up: Object.freeze([
+        "CREATE TABLE IF NOT EXISTS magicStyles (style_id serial,\n" + 
+            "name varchar(64) NOT NULL,\n" + 
+            "PRIMARY KEY (style_id),\n" + 
+            "UNIQUE (name))",
+        "CREATE TABLE IF NOT EXISTS arts (art_id serial,\n" + 
+            "style_id integer NOT NULL,\n" + 
+            "art varchar(64) NOT NULL,\n" + 
+            "abbrev varchar(8) NOT NULL,\n" + 
+            "PRIMARY KEY (art_id),\n" + 
+            "FOREIGN KEY (style_id) REFERENCES magicStyles(style_id) ON DELETE CASCADE,\n" + 
+            "UNIQUE (style_id, art))",
+        "CREATE TABLE IF NOT EXISTS forms (art_id integer,\n" + 
+            "PRIMARY KEY (art_id),\n" + 
+            "FOREIGN KEY (art_id) REFERENCES arts(art_id) ON DELETE CASCADE)",
+        "CREATE TABLE IF NOT EXISTS techniques (art_id integer,\n" + 
+            "PRIMARY KEY (art_id),\n" + 
+            "FOREIGN KEY (art_id) REFERENCES arts(art_id) ON DELETE CASCADE)",
+        "CREATE TABLE IF NOT EXISTS sourcebooks (book_id serial,\n" + 
+            "abbrev varchar(16) NOT NULL,\n" + 
+            "title varchar(255) NOT NULL,\n" + 
+            "edition varchar(32),\n" + 
+            "publisher varchar(128),\n" + 
+            "PRIMARY KEY (book_id),\n" + 
+            "UNIQUE (abbrev))",
+        "CREATE TABLE IF NOT EXISTS spell_guidelines (guideline_id serial,\n" + 
+            "style_id integer NOT NULL,\n" + 
+            "form_id integer NOT NULL,\n" + 
+            "technique_id integer NOT NULL,\n" + 
+            "level smallint NOT NULL DEFAULT 0,\n" + 
+            "name varchar(255) NOT NULL,\n" + 
+            "description text,\n" + 
+            "level_formula text,\n" + 
+            "source_book_id integer,\n" + 
+            "source_page integer,\n" + 
+            "search_vector tsvector GENERATED ALWAYS AS (setweight(to_tsvector('english', name), 'A') || " + 
+            "setweight(to_tsvector('english', coalesce(description, '')), 'B')) STORED,\n" + 
+            "deleted_at timestamptz,\n" + 
+            "PRIMARY KEY (guideline_id),\n" + 
+            "FOREIGN KEY (style_id) REFERENCES magicStyles(style_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (form_id) REFERENCES forms(art_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (technique_id) REFERENCES techniques(art_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (source_book_id) REFERENCES sourcebooks(book_id) ON DELETE SET NULL)",
+        "CREATE TABLE IF NOT EXISTS spells (spell_id serial,\n" + 
+            "style_id integer NOT NULL,\n" + 
+            "guideline_id integer NOT NULL,\n" + 
+            "name varchar(255) NOT NULL,\n" + 
+            "range varchar(64) NOT NULL,\n" + 
+            "duration varchar(64) NOT NULL,\n" + 
+            "target varchar(64) NOT NULL,\n" + 
+            "size smallint NOT NULL DEFAULT 0,\n" + 
+            "complexity smallint NOT NULL DEFAULT 0,\n" + 
+            "base_level smallint,\n" + 
+            "ritual boolean NOT NULL DEFAULT false,\n" + 
+            "level smallint NOT NULL,\n" + 
+            "description text,\n" + 
+            "source_book_id integer,\n" + 
+            "source_page integer,\n" + 
+            "PRIMARY KEY (spell_id),\n" + 
+            "FOREIGN KEY (style_id) REFERENCES magicStyles(style_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (guideline_id) REFERENCES spell_guidelines(guideline_id) ON DELETE RESTRICT,\n" + 
+            "FOREIGN KEY (source_book_id) REFERENCES sourcebooks(book_id) ON DELETE SET NULL,\n" + 
+            "UNIQUE (style_id, name))",
+        "CREATE TABLE IF NOT EXISTS spell_requisites (spell_id integer NOT NULL,\n" + 
+            "art_id integer NOT NULL,\n" + 
+            "PRIMARY KEY (spell_id, art_id),\n" + 
+            "FOREIGN KEY (spell_id) REFERENCES spells(spell_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (art_id) REFERENCES arts(art_id) ON DELETE CASCADE)",
+        "CREATE TABLE IF NOT EXISTS guideline_groups (group_id serial,\n" + 
+            "style_id integer NOT NULL,\n" + 
+            "parent_id integer,\n" + 
+            "name varchar(255) NOT NULL,\n" + 
+            "position integer NOT NULL,\n" + 
+            "PRIMARY KEY (group_id),\n" + 
+            "FOREIGN KEY (style_id) REFERENCES magicStyles(style_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (parent_id) REFERENCES guideline_groups(group_id) ON DELETE CASCADE)",
+        "CREATE TABLE IF NOT EXISTS guideline_group_members (group_id integer NOT NULL,\n" + 
+            "guideline_id integer NOT NULL,\n" + 
+            "position integer NOT NULL,\n" + 
+            "PRIMARY KEY (group_id, guideline_id),\n" + 
+            "FOREIGN KEY (group_id) REFERENCES guideline_groups(group_id) ON DELETE CASCADE,\n" + 
+            "FOREIGN KEY (guideline_id) REFERENCES spell_guidelines(guideline_id) ON DELETE CASCADE)",
+        "CREATE TABLE IF NOT EXISTS guideline_revisions (revision_id serial,\n" + 
+            "guideline_id integer NOT NULL,\n" + 
+            "operation varchar(16) NOT NULL,\n" + 
+            "author varchar(255),\n" + 
+            "created_at timestamptz NOT NULL DEFAULT now(),\n" + 
+            "before jsonb,\n" + 
+            "after jsonb,\n" + 
+            "PRIMARY KEY (revision_id),\n" + 
+            "FOREIGN KEY (guideline_id) REFERENCES spell_guidelines(guideline_id) ON DELETE CASCADE,\n" + 
+            "CHECK (operation IN ('create', 'update', 'delete', 'restore', 'revert')))",
+        "CREATE INDEX IF NOT EXISTS spell_guidelines_search_idx ON spell_guidelines USING GIN (search_vector)",
+        "CREATE UNIQUE INDEX IF NOT EXISTS spell_guidelines_key_idx ON spell_guidelines (style_id, " + 
+            "technique_id, form_id, level, name) WHERE deleted_at IS NULL",
+        "CREATE OR REPLACE VIEW artsView AS SELECT magicStyles.name AS style, arts.style_id, arts.art_id, " + 
+            "arts.art, arts.abbrev, CASE WHEN forms.art_id IS NOT NULL THEN 'Form' WHEN techniques.art_id IS NOT " + 
+            "NULL THEN 'Technique' END AS type FROM arts INNER JOIN magicStyles USING (style_id) LEFT JOIN forms " + 
+            "USING (art_id) LEFT JOIN techniques USING (art_id)",
+        "CREATE OR REPLACE VIEW formView AS SELECT magicStyles.name AS style, arts.style_id, arts.art_id, " + 
+            "arts.art, arts.abbrev FROM forms INNER JOIN arts USING (art_id) INNER JOIN magicStyles USING " + 
+            "(style_id)",
+        "CREATE OR REPLACE VIEW techniqueView AS SELECT magicStyles.name AS style, arts.style_id, " + 
+            "arts.art_id, arts.art, arts.abbrev FROM techniques INNER JOIN arts USING (art_id) INNER JOIN " + 
+            "magicStyles USING (style_id)",
+        "CREATE OR REPLACE VIEW guidelinesView AS SELECT spell_guidelines.guideline_id, " + 
+            "spell_guidelines.style_id, magicStyles.name AS style, spell_guidelines.technique_id, " + 
+            "spell_guidelines.form_id, technique.art AS technique, form.art AS form, spell_guidelines.level, " + 
+            "spell_guidelines.name, spell_guidelines.description, spell_guidelines.level_formula, " + 
+            "sourcebooks.abbrev AS source_ref, spell_guidelines.source_page, spell_guidelines.search_vector FROM " + 
+            "spell_guidelines INNER JOIN magicStyles USING (style_id) INNER JOIN arts AS technique ON " + 
+            "technique.art_id = spell_guidelines.technique_id INNER JOIN arts AS form ON form.art_id = " + 
+            "spell_guidelines.form_id LEFT JOIN sourcebooks ON sourcebooks.book_id = " + 
+            "spell_guidelines.source_book_id WHERE spell_guidelines.deleted_at IS NULL",
+        "CREATE OR REPLACE FUNCTION check_guideline_arts_style() RETURNS trigger LANGUAGE plpgsql AS " + 
+            "$function$\n" + 
+            "BEGIN\n" + 
+            "    IF EXISTS (SELECT 1 FROM arts WHERE art_id IN (NEW.form_id, NEW.technique_id) AND style_id <> " + 
+            "NEW.style_id) THEN\n" + 
+            "        RAISE EXCEPTION 'The arts of the guideline % are not arts of its style', NEW.name \n" + 
+            "            USING ERRCODE = 'check_violation';\n" + 
+            "    END IF;\n" + 
+            "    RETURN NEW;\n" + 
+            "END;\n" + 
+            "$function$",
+        "CREATE OR REPLACE TRIGGER spell_guidelines_arts_style BEFORE INSERT OR UPDATE ON spell_guidelines " + 
+            "FOR EACH ROW EXECUTE FUNCTION check_guideline_arts_style()"
+    ]),
+    down: Object.freeze([
+        "DROP TRIGGER IF EXISTS spell_guidelines_arts_style ON spell_guidelines",
+        "DROP FUNCTION IF EXISTS check_guideline_arts_style()",
+        "DROP VIEW IF EXISTS guidelinesView",
+        "DROP VIEW IF EXISTS techniqueView",
+        "DROP VIEW IF EXISTS formView",
+        "DROP VIEW IF EXISTS artsView",
+        "DROP TABLE IF EXISTS guideline_revisions",
+        "DROP TABLE IF EXISTS guideline_group_members",
+        "DROP TABLE IF EXISTS guideline_groups",
+        "DROP TABLE IF EXISTS spell_requisites",
+        "DROP TABLE IF EXISTS spells",
+        "DROP TABLE IF EXISTS spell_guidelines",
+        "DROP TABLE IF EXISTS sourcebooks",
+        "DROP TABLE IF EXISTS techniques",
+        "DROP TABLE IF EXISTS forms",
+        "DROP TABLE IF EXISTS arts",
+        "DROP TABLE IF EXISTS magicStyles"
+    ])
+});
+
+export default baseline;